@@ -0,0 +1,67 @@
+/**
+ * Audio Codec Module - G.711 Mu-law Decoding of Softphone Audio
+ *
+ * This module decodes the mu-law audio the softphone sends and receives
+ * (base64 payloads of one byte per 8 kHz sample) to 16-bit PCM, for
+ * modules that work with the call audio outside the softphone worklet.
+ *
+ * Decoding:
+ * - Follows the G.711 reference implementation, so 0xFF and 0x7F both
+ *   decode to 0 and 0x00 decodes to -32124
+ * - All 256 byte values are decoded once into a table, so decoding a
+ *   payload is one table lookup per sample
+ *
+ * Usage: This module is imported by main.js. callRecording.js decodes
+ * the tapped softphone audio with decodeMuLawPayload().
+ */
+
+// Segment base values of the mu-law decoder
+const muLawSegmentBases = [0, 132, 396, 924, 1980, 4092, 8316, 16764];
+
+/**
+ * Decodes a single mu-law byte to a 16-bit PCM sample.
+ *
+ * @param {number} muLawByte - Mu-law encoded byte
+ * @returns {number} 16-bit PCM sample
+ */
+function decodeMuLawSample(muLawByte) {
+  const value = ~muLawByte;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0F;
+  const sample = muLawSegmentBases[exponent] + (mantissa << (exponent + 3));
+  return (value & 0x80) !== 0 ? -sample : sample;
+}
+
+// 16-bit PCM sample of every mu-law byte
+const muLawDecodeTable = new Int16Array(256);
+for (let byte = 0; byte < 256; byte++) {
+  muLawDecodeTable[byte] = decodeMuLawSample(byte);
+}
+
+/**
+ * Decodes a base64 mu-law payload to 16-bit PCM samples.
+ *
+ * @param {string} payload - Base64 encoded mu-law audio
+ * @returns {Int16Array} Decoded samples
+ *
+ * Usage Example:
+ * decodeMuLawPayload('AP8='); // Int16Array [-32124, 0]
+ */
+function decodeMuLawPayload(payload) {
+  const bytes = window.decodeBase64(payload);
+  const samples = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    samples[i] = muLawDecodeTable[bytes[i]];
+  }
+  return samples;
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Functions:
+ * - decodeMuLawSample: Decode one mu-law byte
+ * - decodeMuLawPayload: Decode a base64 mu-law payload
+ */
+window.decodeMuLawSample = decodeMuLawSample;
+window.decodeMuLawPayload = decodeMuLawPayload;
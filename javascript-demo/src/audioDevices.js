@@ -0,0 +1,431 @@
+/**
+ * Audio Devices Module - Microphone and Speaker Selection
+ *
+ * This module lets the agent choose the microphone used for outbound
+ * audio and the output device used for call playback, instead of the
+ * system defaults.
+ *
+ * Device Selection:
+ * - Microphone: The preferred microphone is requested whenever the
+ *   softphone asks for microphone access. Changing it during a call
+ *   switches the microphone of the running call (see the Microphone
+ *   Routing of the Audio Worklet Interceptor in main.js)
+ * - Speaker: Call playback is sent to the preferred output device with
+ *   AudioContext.setSinkId(), where the browser supports it
+ *
+ * Hot-Plug:
+ * - The device lists follow devices being plugged in and removed
+ * - A preferred device that is plugged back in is used again, also
+ *   during a call; while it is missing the system default is used
+ *
+ * Persistence:
+ * - The preferred devices are stored per browser in localStorage under
+ *   'audioDevicePreferences'. Devices are matched by ID and, if the
+ *   browser has given the device a new ID, by name
+ *
+ * Dependencies:
+ * - window.softphoneAudioContexts (main.js)
+ * - Call session events (callSession.js)
+ *
+ * Usage: This module is imported by main.js, which calls
+ * initAudioDevices() with the call session during application start.
+ */
+
+const audioDevicePreferencesStorageKey = 'audioDevicePreferences';
+
+// Whether the browser can choose the output device of an AudioContext
+const canSelectAudioOutput = Boolean(window.AudioContext && 'setSinkId' in window.AudioContext.prototype);
+
+// Device state
+let audioDevicePreferences = { input: null, output: null };
+let availableAudioDevices = { input: [], output: [] };
+let audioDevicesCallSession = null;
+let originalGetUserMedia = null;
+// Last applyAudioDevices() run; runs are chained so they do not overlap
+let audioDevicesApplied = Promise.resolve();
+// Microphone streams opened by switchMicrophone(); the softphone package
+// keeps and releases the stream it opened itself
+const switchedMicrophoneStreams = new WeakSet();
+
+/**
+ * Loads the preferred devices from localStorage.
+ *
+ * @returns {void}
+ */
+function loadAudioDevicePreferences() {
+  try {
+    const stored = localStorage.getItem(audioDevicePreferencesStorageKey);
+    const parsed = stored ? JSON.parse(stored) : {};
+    audioDevicePreferences = {
+      input: parsed.input || null,
+      output: parsed.output || null
+    };
+  } catch (error) {
+    console.error('Error loading audio device preferences from localStorage:', error);
+    localStorage.removeItem(audioDevicePreferencesStorageKey);
+    audioDevicePreferences = { input: null, output: null };
+  }
+}
+
+/**
+ * Saves the preferred devices to localStorage.
+ *
+ * @returns {void}
+ */
+function saveAudioDevicePreferences() {
+  try {
+    localStorage.setItem(audioDevicePreferencesStorageKey, JSON.stringify(audioDevicePreferences));
+  } catch (error) {
+    console.error('Error saving audio device preferences to localStorage:', error);
+  }
+}
+
+/**
+ * Gets the ID of the preferred device if it is currently available.
+ *
+ * @param {string} kind - 'input' or 'output'
+ * @returns {string} Device ID, or '' for the system default
+ */
+function getPreferredAudioDeviceId(kind) {
+  const preference = audioDevicePreferences[kind];
+  if (!preference) {
+    return '';
+  }
+
+  const devices = availableAudioDevices[kind];
+  const device = devices.find(candidate => candidate.deviceId === preference.deviceId)
+    || devices.find(candidate => preference.label && candidate.label === preference.label);
+  return device ? device.deviceId : '';
+}
+
+/**
+ * Sets the preferred device and applies it to the running call.
+ *
+ * @param {string} kind - 'input' or 'output'
+ * @param {string} deviceId - Device ID, or '' for the system default
+ * @returns {Promise<void>}
+ *
+ * Usage Example:
+ * await setPreferredAudioDevice('output', headsetId);
+ */
+async function setPreferredAudioDevice(kind, deviceId) {
+  const device = availableAudioDevices[kind].find(candidate => candidate.deviceId === deviceId);
+  audioDevicePreferences[kind] = device ? { deviceId: device.deviceId, label: device.label } : null;
+  saveAudioDevicePreferences();
+  await applyAudioDevices(kind === 'input');
+}
+
+/**
+ * Lists the available audio devices and applies the preferred ones.
+ *
+ * Device names are only given by the browser once microphone access has
+ * been granted; until then devices are numbered.
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshAudioDevices() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return;
+  }
+
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const listDevices = (kind, fallbackName) => devices
+      .filter(device => device.kind === kind && device.deviceId && device.deviceId !== 'default')
+      .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `${fallbackName} ${index + 1}` }));
+
+    availableAudioDevices = {
+      input: listDevices('audioinput', 'Microphone'),
+      output: listDevices('audiooutput', 'Speaker')
+    };
+  } catch (error) {
+    console.error('Error listing audio devices:', error);
+  }
+
+  renderAudioDevices();
+  await applyAudioDevices();
+}
+
+/**
+ * Requests microphone access with the preferred microphone.
+ *
+ * Replaces navigator.mediaDevices.getUserMedia so the softphone opens the
+ * preferred microphone. If it cannot be opened, the request is retried
+ * as originally made.
+ *
+ * @returns {void}
+ */
+function installPreferredMicrophone() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia || originalGetUserMedia) {
+    return;
+  }
+
+  originalGetUserMedia = navigator.mediaDevices.getUserMedia.bind(navigator.mediaDevices);
+  navigator.mediaDevices.getUserMedia = async function(constraints) {
+    const deviceId = getPreferredAudioDeviceId('input');
+    if (!constraints || !constraints.audio || !deviceId) {
+      return originalGetUserMedia(constraints);
+    }
+
+    const audio = typeof constraints.audio === 'object' ? constraints.audio : {};
+    try {
+      return await originalGetUserMedia({ ...constraints, audio: { ...audio, deviceId: { exact: deviceId } } });
+    } catch (error) {
+      console.warn('Could not open the preferred microphone, using the default:', error.message);
+      return originalGetUserMedia(constraints);
+    }
+  };
+}
+
+/**
+ * Applies the agent's microphone mute to a stream opened by
+ * switchMicrophone(). The softphone package only mutes the stream it
+ * opened itself. The microphone is muted unless the agent has taken
+ * over and not muted it, like isMicrophoneLive() in audioMeters.js, so
+ * the payer never hears the agent while the AI agent handles the call.
+ *
+ * @param {MediaStream} stream - Microphone stream
+ * @returns {void}
+ */
+function applyMicrophoneMute(stream) {
+  const session = audioDevicesCallSession;
+  const muted = !session || !session.hasTakenOver || session.isInputMuted;
+  stream.getAudioTracks().forEach(track => {
+    track.enabled = !muted;
+  });
+}
+
+/**
+ * Switches the microphone of a running softphone audio context.
+ *
+ * The new microphone is connected to the input node the softphone
+ * worklet is fed from, muted like the one it replaces. The previous
+ * microphone is disconnected; it is only released if it was opened
+ * here, because the softphone package still holds the stream it opened.
+ *
+ * @param {AudioContext} context - Softphone audio context
+ * @param {string} deviceId - Device ID, or '' for the system default
+ * @returns {Promise<void>}
+ */
+async function switchMicrophone(context, deviceId) {
+  const microphone = context.softphoneMicrophone;
+  const [previousTrack] = microphone.stream ? microphone.stream.getAudioTracks() : [];
+
+  // Keep the softphone's audio constraints (echo cancellation etc.)
+  const constraints = previousTrack ? { ...previousTrack.getConstraints() } : {};
+  delete constraints.deviceId;
+  const audio = deviceId ? { ...constraints, deviceId: { exact: deviceId } } : (Object.keys(constraints).length ? constraints : true);
+
+  const stream = await originalGetUserMedia({ audio });
+  if (context.state === 'closed') {
+    stream.getTracks().forEach(track => track.stop());
+    return;
+  }
+
+  switchedMicrophoneStreams.add(stream);
+  applyMicrophoneMute(stream);
+
+  const source = new MediaStreamAudioSourceNode(context, { mediaStream: stream });
+  source.connect(microphone.input);
+  if (microphone.source) {
+    microphone.source.disconnect();
+  }
+  if (microphone.stream && switchedMicrophoneStreams.has(microphone.stream)) {
+    microphone.stream.getTracks().forEach(track => track.stop());
+  }
+  microphone.source = source;
+  microphone.stream = stream;
+
+  // Release the microphone opened here when the call's audio context is closed
+  if (!microphone.releaseOnClose) {
+    microphone.releaseOnClose = true;
+    context.addEventListener('statechange', () => {
+      if (context.state === 'closed' && microphone.stream && switchedMicrophoneStreams.has(microphone.stream)) {
+        microphone.stream.getTracks().forEach(track => track.stop());
+      }
+    });
+  }
+}
+
+/**
+ * Applies the preferred devices to the softphone audio contexts of the
+ * running call.
+ *
+ * A microphone is switched when another one is preferred, or when the
+ * one in use was unplugged.
+ *
+ * @param {boolean} [switchMicrophones=false] - Reopen the microphones even
+ *   if the one in use is still available (after the agent chose another)
+ * @returns {Promise<void>}
+ */
+function applyAudioDevices(switchMicrophones = false) {
+  audioDevicesApplied = audioDevicesApplied.then(() => applyAudioDevicesToContexts(switchMicrophones));
+  return audioDevicesApplied;
+}
+
+/**
+ * Applies the preferred devices to each softphone audio context.
+ *
+ * @param {boolean} switchMicrophones - See applyAudioDevices()
+ * @returns {Promise<void>}
+ */
+async function applyAudioDevicesToContexts(switchMicrophones) {
+  const contexts = window.softphoneAudioContexts ? [...window.softphoneAudioContexts] : [];
+  const inputDeviceId = getPreferredAudioDeviceId('input');
+  const outputDeviceId = getPreferredAudioDeviceId('output');
+
+  for (const context of contexts) {
+    if (context.state === 'closed') {
+      continue;
+    }
+
+    if (canSelectAudioOutput && context.sinkId !== outputDeviceId) {
+      try {
+        await context.setSinkId(outputDeviceId);
+      } catch (error) {
+        console.error('Error selecting the audio output device:', error);
+      }
+    }
+
+    const microphone = context.softphoneMicrophone;
+    if (microphone && originalGetUserMedia) {
+      const [track] = microphone.stream ? microphone.stream.getAudioTracks() : [];
+      const trackEnded = !track || track.readyState === 'ended';
+      const currentDeviceId = track ? track.getSettings().deviceId : '';
+      if (switchMicrophones || trackEnded || (inputDeviceId && currentDeviceId !== inputDeviceId)) {
+        try {
+          await switchMicrophone(context, inputDeviceId);
+        } catch (error) {
+          console.error('Error switching the microphone:', error);
+          if (window.showError) {
+            window.showError(`The microphone could not be switched: ${error.message}`);
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Fills a device select with the available devices.
+ *
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {string} kind - 'input' or 'output'
+ * @returns {void}
+ */
+function renderAudioDeviceSelect(select, kind) {
+  const selectedDeviceId = getPreferredAudioDeviceId(kind);
+  select.textContent = '';
+
+  const defaultOption = document.createElement('option');
+  defaultOption.value = '';
+  defaultOption.textContent = 'System default';
+  select.appendChild(defaultOption);
+
+  availableAudioDevices[kind].forEach(device => {
+    const option = document.createElement('option');
+    option.value = device.deviceId;
+    option.textContent = device.label;
+    select.appendChild(option);
+  });
+
+  // Keep a preferred device that is unplugged visible
+  const preference = audioDevicePreferences[kind];
+  if (preference && !selectedDeviceId) {
+    const option = document.createElement('option');
+    option.value = preference.deviceId;
+    option.textContent = `${preference.label} (not connected)`;
+    option.disabled = true;
+    select.appendChild(option);
+    select.value = preference.deviceId;
+    return;
+  }
+
+  select.value = selectedDeviceId;
+}
+
+/**
+ * Renders the Audio Settings device selects.
+ *
+ * @returns {void}
+ */
+function renderAudioDevices() {
+  const inputSelect = document.getElementById('audioInputSelect');
+  if (inputSelect) {
+    renderAudioDeviceSelect(inputSelect, 'input');
+  }
+
+  const outputSelect = document.getElementById('audioOutputSelect');
+  if (outputSelect) {
+    renderAudioDeviceSelect(outputSelect, 'output');
+    outputSelect.disabled = !canSelectAudioOutput;
+    outputSelect.title = canSelectAudioOutput ? '' : 'This browser always plays calls on the system default output';
+  }
+}
+
+/**
+ * Initializes audio device selection.
+ *
+ * @param {CallSession} callSession - Session whose calls use the devices
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Restores the preferred devices and opens the preferred microphone
+ *    whenever the softphone asks for microphone access
+ * 2. Lists the audio devices and follows hot-plug events
+ * 3. Applies the preferred devices when a call connects
+ * 4. Mutes a switched microphone along with the call
+ *
+ * Usage Example:
+ * initAudioDevices(callSession);
+ */
+function initAudioDevices(callSession) {
+  audioDevicesCallSession = callSession;
+  loadAudioDevicePreferences();
+  installPreferredMicrophone();
+
+  const inputSelect = document.getElementById('audioInputSelect');
+  if (inputSelect) {
+    inputSelect.addEventListener('change', () => setPreferredAudioDevice('input', inputSelect.value));
+  }
+  const outputSelect = document.getElementById('audioOutputSelect');
+  if (outputSelect) {
+    outputSelect.addEventListener('change', () => setPreferredAudioDevice('output', outputSelect.value));
+  }
+
+  if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+    navigator.mediaDevices.addEventListener('devicechange', refreshAudioDevices);
+  }
+
+  // Device names become available once the call has opened the microphone
+  callSession.subscribe(event => {
+    if (event.type === 'state' && audioDevicesCallSession.isConnected) {
+      refreshAudioDevices();
+    }
+  });
+
+  // Keep a switched microphone muted and unmuted with the call
+  callSession.subscribe(() => {
+    const contexts = window.softphoneAudioContexts ? [...window.softphoneAudioContexts] : [];
+    contexts.forEach(context => {
+      const microphone = context.softphoneMicrophone;
+      if (microphone && microphone.stream && switchedMicrophoneStreams.has(microphone.stream)) {
+        applyMicrophoneMute(microphone.stream);
+      }
+    });
+  });
+
+  refreshAudioDevices();
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Functions:
+ * - initAudioDevices: Set up microphone and speaker selection
+ * - setPreferredAudioDevice: Choose the microphone or output device
+ * - refreshAudioDevices: List the audio devices again
+ */
+window.initAudioDevices = initAudioDevices;
+window.setPreferredAudioDevice = setPreferredAudioDevice;
+window.refreshAudioDevices = refreshAudioDevices;
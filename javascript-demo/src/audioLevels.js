@@ -0,0 +1,201 @@
+/**
+ * Audio Levels Module - Playback Volume and Microphone Gain
+ *
+ * This module adds sliders for the call playback volume and the gain of
+ * the microphone audio sent to the call. They complement the Mute
+ * Speaker and Mute Mic buttons, for quiet payer representatives and
+ * loud call-center floors.
+ *
+ * Levels:
+ * - Playback volume: Gain of the call audio played to the agent
+ *   (audioContext.softphonePlayback, see the Softphone Audio Tap in main.js)
+ * - Microphone gain: Gain of the agent's microphone before it is sent
+ *   (audioContext.softphoneMicrophone, see the Audio Worklet
+ *   Interceptor in main.js)
+ * - Both range from 0% to 200%; 100% leaves the audio unchanged
+ *
+ * Persistence:
+ * - Levels are stored per user in localStorage under 'audioLevels'
+ *
+ * Dependencies:
+ * - window.softphoneAudioContexts (main.js)
+ * - window.getCurrentUser (auth.js)
+ * - Call session events (callSession.js)
+ *
+ * Usage: This module is imported by main.js, which calls
+ * initAudioLevels() with the call session during application start.
+ */
+
+const audioLevelsStorageKey = 'audioLevels';
+
+// Levels used until the user changes them
+const defaultAudioLevels = {
+  playbackVolume: 1,
+  microphoneGain: 1
+};
+
+// Time constant (in seconds) of level changes, to avoid clicks
+const audioLevelRampSeconds = 0.02;
+
+/**
+ * Gets the key the current user's levels are stored under.
+ *
+ * @returns {string}
+ */
+function getAudioLevelsUserKey() {
+  const user = window.getCurrentUser ? window.getCurrentUser() : null;
+  return (user && (user.id || user.username)) || 'default';
+}
+
+/**
+ * Loads the levels of all users from localStorage.
+ *
+ * @returns {Object} Levels by user key
+ */
+function loadAllAudioLevels() {
+  try {
+    const stored = localStorage.getItem(audioLevelsStorageKey);
+    const parsed = stored ? JSON.parse(stored) : {};
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error('Error loading audio levels from localStorage:', error);
+    localStorage.removeItem(audioLevelsStorageKey);
+    return {};
+  }
+}
+
+/**
+ * Gets the current user's levels.
+ *
+ * @returns {Object} Levels ({ playbackVolume, microphoneGain })
+ */
+function getAudioLevels() {
+  return { ...defaultAudioLevels, ...loadAllAudioLevels()[getAudioLevelsUserKey()] };
+}
+
+/**
+ * Sets one of the current user's levels and applies it to the running call.
+ *
+ * @param {string} level - 'playbackVolume' or 'microphoneGain'
+ * @param {number} value - Gain, from 0 to 2
+ * @returns {void}
+ *
+ * Usage Example:
+ * setAudioLevel('playbackVolume', 1.5);
+ */
+function setAudioLevel(level, value) {
+  if (!(level in defaultAudioLevels)) {
+    return;
+  }
+
+  const allLevels = loadAllAudioLevels();
+  const userKey = getAudioLevelsUserKey();
+  allLevels[userKey] = { ...getAudioLevels(), [level]: Math.min(Math.max(value, 0), 2) };
+
+  try {
+    localStorage.setItem(audioLevelsStorageKey, JSON.stringify(allLevels));
+  } catch (error) {
+    console.error('Error saving audio levels to localStorage:', error);
+  }
+
+  applyAudioLevels();
+  renderAudioLevels();
+}
+
+/**
+ * Applies the current user's levels to the softphone audio contexts.
+ *
+ * @returns {void}
+ */
+function applyAudioLevels() {
+  const levels = getAudioLevels();
+  const contexts = window.softphoneAudioContexts ? [...window.softphoneAudioContexts] : [];
+
+  contexts.forEach(context => {
+    if (context.state === 'closed') {
+      return;
+    }
+    if (context.softphonePlayback) {
+      context.softphonePlayback.output.gain.setTargetAtTime(levels.playbackVolume, context.currentTime, audioLevelRampSeconds);
+    }
+    if (context.softphoneMicrophone) {
+      context.softphoneMicrophone.input.gain.setTargetAtTime(levels.microphoneGain, context.currentTime, audioLevelRampSeconds);
+    }
+  });
+}
+
+/**
+ * Renders the level sliders and their values.
+ *
+ * @returns {void}
+ */
+function renderAudioLevels() {
+  const levels = getAudioLevels();
+  [
+    ['playbackVolumeSlider', 'playbackVolumeValue', levels.playbackVolume],
+    ['microphoneGainSlider', 'microphoneGainValue', levels.microphoneGain]
+  ].forEach(([sliderId, valueId, value]) => {
+    const percent = Math.round(value * 100);
+    const slider = document.getElementById(sliderId);
+    if (slider) {
+      slider.value = String(percent);
+    }
+    const label = document.getElementById(valueId);
+    if (label) {
+      label.textContent = `${percent}%`;
+    }
+  });
+}
+
+/**
+ * Initializes the playback volume and microphone gain sliders.
+ *
+ * @param {CallSession} callSession - Session whose calls use the levels
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Shows the current user's levels
+ * 2. Stores and applies levels as the sliders are moved
+ * 3. Applies the levels to each call as it connects
+ *
+ * Usage Example:
+ * initAudioLevels(callSession);
+ */
+function initAudioLevels(callSession) {
+  [
+    ['playbackVolumeSlider', 'playbackVolume'],
+    ['microphoneGainSlider', 'microphoneGain']
+  ].forEach(([sliderId, level]) => {
+    const slider = document.getElementById(sliderId);
+    if (slider) {
+      slider.addEventListener('input', () => setAudioLevel(level, Number(slider.value) / 100));
+    }
+  });
+
+  callSession.subscribe(event => {
+    if (event.type !== 'state') {
+      return;
+    }
+    // Another user may have signed in since the last call
+    if (event.state === 'starting') {
+      renderAudioLevels();
+    }
+    if (event.session.isConnected) {
+      applyAudioLevels();
+    }
+  });
+
+  renderAudioLevels();
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Functions:
+ * - initAudioLevels: Set up the playback volume and microphone gain sliders
+ * - getAudioLevels: Current user's levels
+ * - setAudioLevel: Change a level
+ */
+window.initAudioLevels = initAudioLevels;
+window.getAudioLevels = getAudioLevels;
+window.setAudioLevel = setAudioLevel;
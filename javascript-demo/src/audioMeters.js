@@ -0,0 +1,412 @@
+/**
+ * Audio Meters Module - Live Levels and "You Are Muted" Warning
+ *
+ * This module shows level meters for the agent's microphone and the call
+ * audio next to the Mute Mic and Mute Speaker buttons, and warns the
+ * agent who starts talking while the payer cannot hear them.
+ *
+ * Meters:
+ * - Microphone: Level of the microphone as captured, before the
+ *   microphone gain. While the payer cannot hear the agent (muted, or
+ *   before the take over) the softphone's microphone may deliver
+ *   silence, so the meter measures a separate stream of the microphone
+ *   instead (shown greyed out)
+ * - Speaker: Level of the call audio played to the agent
+ * - Levels are shown from -60 dBFS (empty) to 0 dBFS (full)
+ *
+ * Muted Speech Warning:
+ * - Shown when the agent talks for a moment while the microphone is
+ *   muted, or before they have taken over the call (the microphone is
+ *   not live while the AI agent handles the call)
+ * - Offers to unmute or to take over, and hides again once the agent
+ *   has been quiet for a few seconds or the microphone is live
+ *
+ * Audio Sources:
+ * - The softphone microphone and playback nodes (see the Audio Worklet
+ *   Interceptor and the Softphone Audio Tap in main.js)
+ * - The microphone source node, not the input node after the microphone
+ *   gain; a switched microphone (audioDevices.js) is followed
+ * - If the softphone has not opened the microphone, or the microphone is
+ *   not live, a microphone stream is opened for the meter
+ *
+ * Dependencies:
+ * - window.softphoneAudioContexts (main.js)
+ * - window.handleTakeOver / window.handleToggleMicMute (main.js)
+ * - Call session events (callSession.js)
+ *
+ * Usage: This module is imported by main.js, which calls
+ * initAudioMeters() with the call session during application start.
+ */
+
+// Level range of the meters, in dBFS
+const meterFloorDb = -60;
+
+// Microphone level above which the agent is taken to be talking, in dBFS
+const speakingThresholdDb = -40;
+
+// How long the agent must talk before the warning is shown (ms)
+const mutedSpeechMinMs = 700;
+
+// Pauses shorter than this do not end a stretch of talking (ms)
+const speechHangoverMs = 300;
+
+// How long after the agent stopped talking the warning is hidden (ms)
+const mutedSpeechHideMs = 4000;
+
+// Meter state
+let metersCallSession = null;
+let microphoneAnalyser = null;
+let playbackAnalyser = null;
+let microphoneMonitor = null;
+let meterAnimationFrame = null;
+let meterSamples = null;
+
+// Muted speech state
+let speechStartedAt = null;
+let lastSpeechAt = null;
+let mutedSpeechDismissed = false;
+let mutedSpeechWarningVisible = false;
+
+/**
+ * Gets the live softphone audio context of the current call.
+ *
+ * @returns {AudioContext|null}
+ */
+function getSoftphoneAudioContext() {
+  const contexts = window.softphoneAudioContexts ? [...window.softphoneAudioContexts] : [];
+  return contexts.reverse().find(context => context.state !== 'closed') || null;
+}
+
+/**
+ * Creates an analyser fed by an audio node.
+ *
+ * @param {AudioContext} context - Context of the node
+ * @param {AudioNode} node - Node to measure
+ * @returns {AnalyserNode}
+ */
+function createMeterAnalyser(context, node) {
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 512;
+  // The softphone microphone source routes connect() through its input
+  // node (see main.js), so the analyser is connected to the node itself
+  AudioNode.prototype.connect.call(node, analyser);
+  return analyser;
+}
+
+/**
+ * Measures the level of an analyser.
+ *
+ * @param {AnalyserNode|null} analyser - Analyser to read
+ * @returns {number} RMS level in dBFS (meterFloorDb when silent or missing)
+ */
+function measureLevel(analyser) {
+  if (!analyser) {
+    return meterFloorDb;
+  }
+
+  if (!meterSamples || meterSamples.length !== analyser.fftSize) {
+    meterSamples = new Float32Array(analyser.fftSize);
+  }
+  analyser.getFloatTimeDomainData(meterSamples);
+
+  let sum = 0;
+  for (let i = 0; i < meterSamples.length; i++) {
+    sum += meterSamples[i] * meterSamples[i];
+  }
+  const rms = Math.sqrt(sum / meterSamples.length);
+  return rms > 0 ? Math.max(20 * Math.log10(rms), meterFloorDb) : meterFloorDb;
+}
+
+/**
+ * Opens a microphone stream for the meter when the softphone has none,
+ * or its microphone is not live.
+ *
+ * @returns {Promise<void>}
+ */
+async function openMicrophoneMonitor() {
+  if (microphoneMonitor || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    return;
+  }
+
+  microphoneMonitor = { context: null, stream: null };
+  const monitor = microphoneMonitor;
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    monitor.stream = stream;
+    monitor.context = context;
+    if (microphoneMonitor !== monitor) {
+      closeMicrophoneMonitor(monitor);
+      return;
+    }
+    microphoneAnalyser = createMeterAnalyser(context, context.createMediaStreamSource(stream));
+  } catch (error) {
+    console.warn('Could not open the microphone for the level meter:', error.message);
+  }
+}
+
+/**
+ * Releases a microphone stream opened for the meter.
+ *
+ * @param {Object} [monitor=microphoneMonitor] - Monitor to close
+ * @returns {void}
+ */
+function closeMicrophoneMonitor(monitor = microphoneMonitor) {
+  if (!monitor) {
+    return;
+  }
+  if (monitor.stream) {
+    monitor.stream.getTracks().forEach(track => track.stop());
+  }
+  if (monitor.context) {
+    monitor.context.close().catch(() => {});
+  }
+  if (monitor === microphoneMonitor) {
+    microphoneMonitor = null;
+    microphoneAnalyser = null;
+  }
+}
+
+/**
+ * Connects the meters to the audio of the current call.
+ *
+ * The analysers are kept on the softphone audio context
+ * (context.softphoneMeters) so they are created once per context, and
+ * once per microphone source when the microphone is switched. While the
+ * microphone is not live a separate microphone stream is measured.
+ *
+ * @returns {void}
+ */
+function attachAudioMeters() {
+  const context = getSoftphoneAudioContext();
+  if (!context) {
+    return;
+  }
+
+  if (!context.softphoneMeters) {
+    context.softphoneMeters = { microphone: null, microphoneSource: null, playback: null };
+  }
+  const meters = context.softphoneMeters;
+
+  if (!meters.playback && context.softphonePlayback) {
+    meters.playback = createMeterAnalyser(context, context.softphonePlayback.output);
+  }
+  const microphone = context.softphoneMicrophone;
+  if (microphone && microphone.source && meters.microphoneSource !== microphone.source) {
+    meters.microphone = createMeterAnalyser(context, microphone.source);
+    meters.microphoneSource = microphone.source;
+  }
+
+  playbackAnalyser = meters.playback;
+  if (meters.microphone && metersCallSession && isMicrophoneLive(metersCallSession)) {
+    closeMicrophoneMonitor();
+    microphoneAnalyser = meters.microphone;
+  } else {
+    openMicrophoneMonitor();
+  }
+}
+
+/**
+ * Disconnects the meters after a call.
+ *
+ * @returns {void}
+ */
+function detachAudioMeters() {
+  closeMicrophoneMonitor();
+  microphoneAnalyser = null;
+  playbackAnalyser = null;
+  speechStartedAt = null;
+  lastSpeechAt = null;
+  renderMeter('micLevelMeter', meterFloorDb);
+  renderMeter('speakerLevelMeter', meterFloorDb);
+  renderMutedSpeechWarning(false);
+}
+
+/**
+ * Whether the payer can hear the agent's microphone.
+ *
+ * @param {CallSession} session - Call session
+ * @returns {boolean}
+ */
+function isMicrophoneLive(session) {
+  return session.hasTakenOver && !session.isInputMuted;
+}
+
+/**
+ * Renders a level meter.
+ *
+ * @param {string} id - Meter element ID
+ * @param {number} levelDb - Level in dBFS
+ * @returns {void}
+ */
+function renderMeter(id, levelDb) {
+  const meter = document.getElementById(id);
+  if (!meter) {
+    return;
+  }
+
+  const fill = meter.querySelector('.level-meter-fill');
+  if (fill) {
+    const ratio = (levelDb - meterFloorDb) / -meterFloorDb;
+    fill.style.transform = `scaleY(${Math.min(Math.max(ratio, 0), 1).toFixed(3)})`;
+  }
+}
+
+/**
+ * Shows or hides the muted speech warning.
+ *
+ * @param {boolean} visible - Whether to show the warning
+ * @param {boolean} [force=false] - Render even if the visibility did not
+ *   change (after the call session changed)
+ * @returns {void}
+ */
+function renderMutedSpeechWarning(visible, force = false) {
+  const banner = document.getElementById('mutedSpeechBanner');
+  const session = metersCallSession;
+  if (!banner || (visible === mutedSpeechWarningVisible && !force)) {
+    return;
+  }
+
+  mutedSpeechWarningVisible = visible && Boolean(session);
+  if (!mutedSpeechWarningVisible) {
+    banner.style.display = 'none';
+    return;
+  }
+
+  const message = document.getElementById('mutedSpeechMessage');
+  const actionBtn = document.getElementById('mutedSpeechActionBtn');
+  if (session.hasTakenOver) {
+    message.textContent = 'You are talking while your microphone is muted. The payer cannot hear you.';
+    actionBtn.textContent = 'Unmute Mic';
+    actionBtn.disabled = false;
+  } else {
+    message.textContent = 'You are talking but have not taken over the call. The payer cannot hear you.';
+    actionBtn.textContent = 'Take Over';
+    actionBtn.disabled = !session.isConnected;
+  }
+  banner.style.display = '';
+}
+
+/**
+ * Tracks whether the agent is talking while the payer cannot hear them.
+ *
+ * @param {number} levelDb - Microphone level in dBFS
+ * @param {number} now - Current time (ms)
+ * @returns {void}
+ */
+function updateMutedSpeech(levelDb, now) {
+  const session = metersCallSession;
+
+  if (levelDb >= speakingThresholdDb) {
+    if (speechStartedAt === null || now - lastSpeechAt > speechHangoverMs) {
+      speechStartedAt = now;
+    }
+    lastSpeechAt = now;
+  }
+
+  if (isMicrophoneLive(session)) {
+    mutedSpeechDismissed = false;
+    renderMutedSpeechWarning(false);
+    return;
+  }
+
+  const talking = speechStartedAt !== null && lastSpeechAt - speechStartedAt >= mutedSpeechMinMs;
+  const recentlyTalking = lastSpeechAt !== null && now - lastSpeechAt < mutedSpeechHideMs;
+  if (!recentlyTalking) {
+    mutedSpeechDismissed = false;
+  }
+  renderMutedSpeechWarning(talking && recentlyTalking && !mutedSpeechDismissed);
+}
+
+/**
+ * Updates the meters and the muted speech warning once per frame while
+ * a call is connected.
+ *
+ * @returns {void}
+ */
+function updateAudioMeters() {
+  const microphoneLevel = measureLevel(microphoneAnalyser);
+  renderMeter('micLevelMeter', microphoneLevel);
+  renderMeter('speakerLevelMeter', measureLevel(playbackAnalyser));
+  updateMutedSpeech(microphoneLevel, performance.now());
+
+  // Follow the softphone microphone being opened or switched
+  attachAudioMeters();
+
+  meterAnimationFrame = requestAnimationFrame(updateAudioMeters);
+}
+
+/**
+ * Starts or stops the meters as the call connects and ends.
+ *
+ * @param {Object} event - Call session event ({ type, state, session })
+ * @returns {void}
+ */
+function handleMetersSessionEvent(event) {
+  const { session } = event;
+
+  const micMeter = document.getElementById('micLevelMeter');
+  if (micMeter) {
+    micMeter.classList.toggle('muted', !isMicrophoneLive(session));
+  }
+
+  if (session.isConnected) {
+    attachAudioMeters();
+    renderMutedSpeechWarning(mutedSpeechWarningVisible, true);
+    if (!meterAnimationFrame) {
+      meterAnimationFrame = requestAnimationFrame(updateAudioMeters);
+    }
+  } else if (meterAnimationFrame) {
+    cancelAnimationFrame(meterAnimationFrame);
+    meterAnimationFrame = null;
+    detachAudioMeters();
+  }
+}
+
+/**
+ * Initializes the level meters and the muted speech warning.
+ *
+ * @param {CallSession} callSession - Session whose calls are metered
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Connects the meters to the audio of each call as it connects
+ * 2. Warns the agent who talks while the payer cannot hear them
+ * 3. Binds the warning's unmute / take over and dismiss buttons
+ *
+ * Usage Example:
+ * initAudioMeters(callSession);
+ */
+function initAudioMeters(callSession) {
+  metersCallSession = callSession;
+  callSession.subscribe(handleMetersSessionEvent);
+
+  const actionBtn = document.getElementById('mutedSpeechActionBtn');
+  if (actionBtn) {
+    actionBtn.addEventListener('click', () => {
+      if (callSession.hasTakenOver) {
+        if (window.handleToggleMicMute) {
+          window.handleToggleMicMute();
+        }
+      } else if (window.handleTakeOver) {
+        window.handleTakeOver();
+      }
+    });
+  }
+
+  const dismissBtn = document.getElementById('mutedSpeechDismissBtn');
+  if (dismissBtn) {
+    dismissBtn.addEventListener('click', () => {
+      mutedSpeechDismissed = true;
+      renderMutedSpeechWarning(false);
+    });
+  }
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Functions:
+ * - initAudioMeters: Set up the level meters and the muted speech warning
+ */
+window.initAudioMeters = initAudioMeters;
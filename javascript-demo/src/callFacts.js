@@ -0,0 +1,406 @@
+/**
+ * Call Facts Module - Reference Numbers, Dates and Amounts from the Call
+ *
+ * This module scans what the payer (Foreign Phone) and the AI agent say
+ * for the numbers an agent would otherwise copy from the scrolling
+ * transcript, and collects them in an editable "Call facts" panel. Each
+ * fact links back to the transcript line it came from.
+ *
+ * Fact Types:
+ * - reference-number: Call reference / confirmation numbers
+ * - claim-number: Claim numbers given by the payer
+ * - check-number: Check, EFT and trace numbers
+ * - amount: Dollar amounts ($1,234.56, 150 dollars)
+ * - date: Dates (04/05/2024, April 5, 2024)
+ * - phone: Phone numbers
+ *
+ * Numbers are only recognized after a label ("reference number is ...",
+ * "check #..."), so amounts, dates and phone numbers are the only facts
+ * found without one.
+ *
+ * Where Facts Go:
+ * - The wrap-up form: the first reference number fills in the payer
+ *   reference number, and all facts are submitted with the wrap-up
+ * - Transcript exports (TXT, JSON and WebVTT) and the call history
+ *
+ * Facts are kept until the next call starts. The panel shows them as
+ * entered, for the agent working the call; exports are redacted like
+ * the transcript (redaction.js).
+ *
+ * Dependencies:
+ * - Transcript model events (transcript.js)
+ * - showTranscriptEntry (transcriptView.js) for links to the source line
+ * - createLocalId (utils.js) for fact ids
+ *
+ * Usage: This module is imported by main.js, which calls initCallFacts()
+ * during application start. Other modules read the facts with
+ * getCallFacts().
+ */
+
+const CallFactType = {
+  referenceNumber: 'reference-number',
+  claimNumber: 'claim-number',
+  checkNumber: 'check-number',
+  amount: 'amount',
+  date: 'date',
+  phone: 'phone'
+};
+
+const callFactTypeLabels = {
+  'reference-number': 'Reference #',
+  'claim-number': 'Claim #',
+  'check-number': 'Check / EFT #',
+  'amount': 'Amount',
+  'date': 'Date',
+  'phone': 'Phone'
+};
+
+// Participants whose messages are scanned for facts
+const callFactParticipantTypes = ['ForeignPhoneParticipant', 'AIAgentParticipant'];
+
+// Label words between a keyword and its number ("number", "no.", "#", "is", ":")
+const numberLabelPattern = '(?:\\s*(?:number|num|no\\.?|#))?\\s*(?:is|was|will be|of)?\\s*[:#]?\\s*';
+
+// An identifier with at least one digit
+const identifierPattern = '((?=[A-Z0-9-]*\\d)[A-Z0-9][A-Z0-9-]{3,24})\\b';
+
+/**
+ * Extraction rules in priority order. Text matched by an earlier rule is
+ * not matched again by a later one, so a reference number is not also
+ * taken for a phone number.
+ */
+const callFactRules = [
+  {
+    type: CallFactType.referenceNumber,
+    pattern: new RegExp(`\\b(?:call\\s+)?(?:reference|ref|confirmation|conf)${numberLabelPattern}${identifierPattern}`, 'gi')
+  },
+  {
+    type: CallFactType.claimNumber,
+    pattern: new RegExp(`\\bclaim${numberLabelPattern}${identifierPattern}`, 'gi')
+  },
+  {
+    type: CallFactType.checkNumber,
+    pattern: new RegExp(`\\b(?:(?:check|cheque)\\s*(?:number|num|no\\.?|#)|eft(?:\\s+trace)?|trace)${numberLabelPattern}${identifierPattern}`, 'gi')
+  },
+  {
+    type: CallFactType.amount,
+    pattern: /(\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?|\$\s?\d+(?:\.\d{1,2})?|\b\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?\s?dollars\b)/gi
+  },
+  {
+    type: CallFactType.date,
+    pattern: /(\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b|\b\d{4}-\d{1,2}-\d{1,2}\b|\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?(?:,?\s+\d{4})?\b)/gi
+  },
+  {
+    type: CallFactType.phone,
+    pattern: /((?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}\b)/g
+  }
+];
+
+// Facts of the current call
+let callFacts = [];
+
+/**
+ * Normalizes a fact value for duplicate detection.
+ *
+ * @param {string} value - Fact value
+ * @returns {string}
+ */
+function normalizeCallFactValue(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9.]/g, '');
+}
+
+/**
+ * Finds facts in a piece of text.
+ *
+ * @param {string} text - Transcript text
+ * @returns {Array<{type: string, value: string}>} Facts in rule order
+ *
+ * Usage Example:
+ * extractCallFacts('Your reference number is A12345, paid $150.00 on 04/05/2024');
+ * // [{ type: 'reference-number', value: 'A12345' },
+ * //  { type: 'amount', value: '$150.00' }, { type: 'date', value: '04/05/2024' }]
+ */
+function extractCallFacts(text) {
+  const facts = [];
+  const taken = [];
+
+  callFactRules.forEach(rule => {
+    rule.pattern.lastIndex = 0;
+    let match;
+    while ((match = rule.pattern.exec(text)) !== null) {
+      const value = match[1];
+      const start = match.index + match[0].lastIndexOf(value);
+      const end = start + value.length;
+
+      if (!taken.some(([takenStart, takenEnd]) => start < takenEnd && end > takenStart)) {
+        taken.push([start, end]);
+        facts.push({ type: rule.type, value: value.trim() });
+      }
+    }
+  });
+
+  return facts;
+}
+
+/**
+ * Gets a copy of the current call's facts.
+ *
+ * @returns {Array<Object>} Facts ({ id, type, value, entryId, source })
+ */
+function getCallFacts() {
+  return callFacts.map(({ normalizedValue, ...fact }) => fact);
+}
+
+/**
+ * Gets the display label of a fact type.
+ *
+ * @param {string} type - One of CallFactType
+ * @returns {string}
+ */
+function getCallFactLabel(type) {
+  return callFactTypeLabels[type] || type;
+}
+
+/**
+ * Adds a fact to the current call.
+ *
+ * @param {string} type - One of CallFactType
+ * @param {string} value - Fact value
+ * @param {Object} [source={}] - Where the fact came from
+ * @param {number} [source.entryId] - Transcript entry the fact was found in
+ * @returns {Object|null} The new fact, or null if it was already known
+ */
+function addCallFact(type, value, source = {}) {
+  const trimmed = (value || '').trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const normalized = normalizeCallFactValue(trimmed);
+  if (callFacts.some(fact => fact.type === type && fact.normalizedValue === normalized)) {
+    return null;
+  }
+
+  const fact = {
+    id: window.createLocalId(),
+    type,
+    value: trimmed,
+    normalizedValue: normalized,
+    entryId: source.entryId || null,
+    source: source.entryId ? 'transcript' : 'agent'
+  };
+  callFacts.push(fact);
+  appendCallFactElement(fact);
+  renderCallFactsEmpty();
+  return fact;
+}
+
+/**
+ * Updates the value of a fact after the agent edited it.
+ *
+ * @param {string} factId - Fact ID
+ * @param {string} value - New value
+ * @returns {void}
+ */
+function updateCallFact(factId, value) {
+  const fact = callFacts.find(item => item.id === factId);
+  if (fact) {
+    fact.value = value.trim();
+    fact.normalizedValue = normalizeCallFactValue(fact.value);
+  }
+}
+
+/**
+ * Removes a fact.
+ *
+ * @param {string} factId - Fact ID
+ * @returns {void}
+ */
+function removeCallFact(factId) {
+  callFacts = callFacts.filter(fact => fact.id !== factId);
+  const list = document.getElementById('callFactList');
+  const item = list ? list.querySelector(`[data-fact-id="${factId}"]`) : null;
+  if (item) {
+    item.remove();
+  }
+  renderCallFactsEmpty();
+}
+
+/**
+ * Appends one fact to the Call facts panel.
+ *
+ * Facts are appended rather than re-rendered, so a fact being edited
+ * keeps its focus when new facts arrive.
+ *
+ * @param {Object} fact - Fact to show
+ * @returns {void}
+ */
+function appendCallFactElement(fact) {
+  const list = document.getElementById('callFactList');
+  if (!list) {
+    return;
+  }
+
+  const item = document.createElement('li');
+  item.className = `call-fact ${fact.type}`;
+  item.dataset.factId = fact.id;
+
+  const label = document.createElement('span');
+  label.className = 'call-fact-label';
+  label.textContent = getCallFactLabel(fact.type);
+  item.appendChild(label);
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = fact.value;
+  input.setAttribute('aria-label', getCallFactLabel(fact.type));
+  input.addEventListener('change', () => updateCallFact(fact.id, input.value));
+  item.appendChild(input);
+
+  if (fact.entryId) {
+    const sourceBtn = document.createElement('button');
+    sourceBtn.type = 'button';
+    sourceBtn.textContent = '↗';
+    sourceBtn.title = 'Show in transcript';
+    sourceBtn.addEventListener('click', () => {
+      if (window.showTranscriptEntry) {
+        window.showTranscriptEntry(fact.entryId);
+      }
+    });
+    item.appendChild(sourceBtn);
+  }
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.textContent = '×';
+  removeBtn.title = 'Remove fact';
+  removeBtn.addEventListener('click', () => removeCallFact(fact.id));
+  item.appendChild(removeBtn);
+
+  list.appendChild(item);
+}
+
+/**
+ * Shows or hides the "no facts yet" hint.
+ *
+ * @returns {void}
+ */
+function renderCallFactsEmpty() {
+  const empty = document.getElementById('callFactsEmpty');
+  if (empty) {
+    empty.style.display = callFacts.length === 0 ? '' : 'none';
+  }
+}
+
+/**
+ * Renders all facts of the current call.
+ *
+ * @returns {void}
+ */
+function renderCallFacts() {
+  const list = document.getElementById('callFactList');
+  if (list) {
+    list.textContent = '';
+  }
+  callFacts.forEach(appendCallFactElement);
+  renderCallFactsEmpty();
+}
+
+/**
+ * Restores the facts of a call that was rejoined after a reload,
+ * replacing the facts found again in the restored transcript.
+ *
+ * @param {Array<Object>} facts - Saved facts (see getCallFacts())
+ * @returns {void}
+ */
+function restoreCallFacts(facts) {
+  callFacts = facts.map(fact => ({ ...fact, normalizedValue: normalizeCallFactValue(fact.value) }));
+  renderCallFacts();
+}
+
+/**
+ * Scans new transcript entries for facts and clears the facts when a
+ * new call starts.
+ *
+ * @param {Object} event - Transcript event ({ type: 'reset' | 'entry', entry })
+ * @returns {void}
+ */
+function handleCallFactsTranscriptEvent(event) {
+  if (event.type === 'reset') {
+    callFacts = [];
+    renderCallFacts();
+    return;
+  }
+
+  const { entry } = event;
+  if (event.type !== 'entry' || entry.kind !== 'speech' || !callFactParticipantTypes.includes(entry.participantType)) {
+    return;
+  }
+
+  extractCallFacts(entry.text).forEach(({ type, value }) => {
+    addCallFact(type, value, { entryId: entry.id });
+  });
+}
+
+/**
+ * Initializes the Call facts panel.
+ *
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Scans Foreign Phone and AI agent messages for facts
+ * 2. Fills the fact type list of the "Add" form
+ * 3. Lets the agent add facts by hand
+ *
+ * Usage Example:
+ * initCallFacts();
+ */
+function initCallFacts() {
+  if (window.subscribeTranscript) {
+    window.subscribeTranscript(handleCallFactsTranscriptEvent);
+  }
+
+  const typeSelect = document.getElementById('callFactType');
+  if (typeSelect) {
+    typeSelect.textContent = '';
+    Object.values(CallFactType).forEach(type => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = getCallFactLabel(type);
+      typeSelect.appendChild(option);
+    });
+  }
+
+  const form = document.getElementById('callFactForm');
+  const valueInput = document.getElementById('callFactValue');
+  if (form && typeSelect && valueInput) {
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (addCallFact(typeSelect.value, valueInput.value)) {
+        valueInput.value = '';
+      }
+    });
+  }
+
+  renderCallFacts();
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Constants:
+ * - CallFactType: Fact types
+ *
+ * Exported Functions:
+ * - initCallFacts: Start collecting facts from the transcript
+ * - extractCallFacts: Find facts in a piece of text
+ * - getCallFacts: Facts of the current call
+ * - restoreCallFacts: Restore saved facts when a call is rejoined
+ * - getCallFactLabel: Display label of a fact type
+ */
+window.CallFactType = CallFactType;
+window.initCallFacts = initCallFacts;
+window.extractCallFacts = extractCallFacts;
+window.getCallFacts = getCallFacts;
+window.restoreCallFacts = restoreCallFacts;
+window.getCallFactLabel = getCallFactLabel;
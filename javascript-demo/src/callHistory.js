@@ -0,0 +1,711 @@
+/**
+ * Call History Module - Persistent Local Call Records
+ *
+ * This module records every call in the browser's IndexedDB so calls can
+ * be looked up after they have ended, even after a page reload. A record
+ * is written as soon as the call starts and updated on every call session
+ * state change and transcript entry, so a call survives in the history
+ * even if the tab crashes mid-call. The record of the last call is kept
+ * up to date after the call ends until the next call starts, so the
+ * closing transcript lines (such as "Call ended") are saved with it.
+ * A call rejoined after a reload (callRecovery.js) continues the record
+ * it had before the reload.
+ *
+ * Call Record Fields:
+ * - id: Record ID
+ * - claimId / jobId: Identifiers of the call
+ * - startedAt / endedAt: ISO timestamps of the start and end of the call
+ * - agentReadyAt / timeToAgentReadyMs: When a payer representative was
+ *   ready for a human, and how long that took from the start of the call
+ * - takenOver / takenOverAt: Whether and when the agent took over
+ * - handedBackAt: When the agent last handed the call back to the AI agent
+ * - endReason: 'agent-hangup', 'remote-hangup', 'cancelled' or 'failed';
+ *   null while the call is in progress, or if the page was closed during
+ *   the call
+ * - error: Error message for failed calls
+ * - transcript: Transcript entries of the call (see transcript.js)
+ * - facts: Call facts found or entered during the call (see callFacts.js)
+ * - recording: Stereo WAV recording saved with the call, if any
+ *   ({ blob, startedAt, durationMs }, see callRecording.js)
+ *
+ * Storage:
+ * - IndexedDB database 'softphone', object store 'calls', indexed by startedAt
+ *
+ * History View:
+ * - The Call History panel lists past calls, most recent first
+ * - Selecting a call opens it read-only in the history dialog
+ *
+ * Dependencies:
+ * - Call session events (callSession.js)
+ * - Transcript model and export (transcript.js)
+ * - PII redaction of transcript text (redaction.js)
+ * - Call facts (callFacts.js)
+ * - Call recordings (callRecording.js)
+ * - createLocalId (utils.js) for record ids
+ *
+ * Usage: This module is imported by main.js, which calls initCallHistory()
+ * with the call session during application start.
+ */
+
+const callHistoryDatabaseName = 'softphone';
+const callHistoryDatabaseVersion = 1;
+const callHistoryStoreName = 'calls';
+
+// Maximum number of calls listed in the history panel
+const callHistoryListLimit = 50;
+
+/**
+ * End Reason Labels
+ *
+ * Human-readable labels for the endReason of a call record.
+ */
+const callEndReasonLabels = {
+  'agent-hangup': 'Ended by agent',
+  'remote-hangup': 'Ended by remote side',
+  'cancelled': 'Cancelled',
+  'failed': 'Failed'
+};
+
+// History state
+let callHistoryDatabasePromise = null;
+// Record of the current call, or of the last call until the next one starts
+let currentCallRecord = null;
+// Saved record of a call from before a reload, continued by the next call that starts
+let resumedCallRecord = null;
+// Record whose transcript changes are waiting to be saved, and its timer
+let pendingCallRecord = null;
+let pendingCallRecordTimer = null;
+let openedCallRecord = null;
+
+/**
+ * Opens (and on first use creates) the call history database.
+ *
+ * The connection is opened once and reused.
+ *
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} If IndexedDB is not available or cannot be opened
+ */
+function openCallHistoryDatabase() {
+  if (callHistoryDatabasePromise) {
+    return callHistoryDatabasePromise;
+  }
+
+  callHistoryDatabasePromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = window.indexedDB.open(callHistoryDatabaseName, callHistoryDatabaseVersion);
+
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(callHistoryStoreName)) {
+        const store = database.createObjectStore(callHistoryStoreName, { keyPath: 'id' });
+        store.createIndex('startedAt', 'startedAt');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later attempt if opening failed
+  callHistoryDatabasePromise.catch(() => {
+    callHistoryDatabasePromise = null;
+  });
+
+  return callHistoryDatabasePromise;
+}
+
+/**
+ * Wraps an IndexedDB request in a Promise.
+ *
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Resolves with the request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Saves (inserts or replaces) a call record.
+ *
+ * @param {Object} record - Call record to save
+ * @returns {Promise<void>}
+ */
+async function saveCallRecord(record) {
+  const database = await openCallHistoryDatabase();
+  const store = database.transaction(callHistoryStoreName, 'readwrite').objectStore(callHistoryStoreName);
+  await requestToPromise(store.put(record));
+}
+
+/**
+ * Gets a single call record.
+ *
+ * @param {string} id - Record ID
+ * @returns {Promise<Object|undefined>}
+ */
+async function getCallRecord(id) {
+  const database = await openCallHistoryDatabase();
+  const store = database.transaction(callHistoryStoreName, 'readonly').objectStore(callHistoryStoreName);
+  return requestToPromise(store.get(id));
+}
+
+/**
+ * Lists call records, most recent first.
+ *
+ * @param {number} [limit=callHistoryListLimit] - Maximum number of records
+ * @returns {Promise<Array<Object>>}
+ */
+async function listCallRecords(limit = callHistoryListLimit) {
+  const database = await openCallHistoryDatabase();
+  const index = database.transaction(callHistoryStoreName, 'readonly')
+    .objectStore(callHistoryStoreName)
+    .index('startedAt');
+
+  return new Promise((resolve, reject) => {
+    const records = [];
+    const request = index.openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && records.length < limit) {
+        records.push(cursor.value);
+        cursor.continue();
+      } else {
+        resolve(records);
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Saves a call recording with the most recent record of a call.
+ *
+ * @param {string} jobId - Job ID of the recorded call
+ * @param {Object} recording - Recording ({ blob, startedAt, durationMs })
+ * @returns {Promise<void>}
+ * @throws {Error} If the call is not in the history
+ */
+async function attachCallRecording(jobId, recording) {
+  const records = await listCallRecords();
+  const record = records.find(candidate => candidate.jobId === jobId);
+  if (!record) {
+    throw new Error('The call is not in the call history');
+  }
+
+  record.recording = recording;
+  // Keep the recording when the current call's record is saved again
+  if (currentCallRecord && currentCallRecord.id === record.id) {
+    currentCallRecord.recording = recording;
+  }
+  await saveCallRecord(record);
+  renderCallHistory();
+}
+
+/**
+ * Creates an empty record for a call that is starting.
+ *
+ * @param {string} claimId - Claim the call is made for
+ * @returns {Object} New call record
+ */
+function createCallRecord(claimId) {
+  return {
+    id: window.createLocalId(),
+    claimId,
+    jobId: null,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    agentReadyAt: null,
+    timeToAgentReadyMs: null,
+    takenOver: false,
+    takenOverAt: null,
+    handedBackAt: null,
+    endReason: null,
+    error: null,
+    transcript: [],
+    facts: []
+  };
+}
+
+/**
+ * Writes a call record to the history.
+ *
+ * The record's `connected` flag only tracks the running call and is
+ * not stored.
+ *
+ * @param {Object} record - Call record to write
+ * @returns {Promise<void>} Resolves once written (errors are logged)
+ */
+function storeCallRecord(record) {
+  const { connected, ...stored } = record;
+  return saveCallRecord(stored)
+    .then(renderCallHistory)
+    .catch(error => console.error('Error saving call to history:', error));
+}
+
+/**
+ * Writes the record whose transcript changes are waiting, if any.
+ *
+ * @returns {void}
+ */
+function flushPendingCallRecord() {
+  clearTimeout(pendingCallRecordTimer);
+  pendingCallRecordTimer = null;
+  if (pendingCallRecord) {
+    const record = pendingCallRecord;
+    pendingCallRecord = null;
+    storeCallRecord(record);
+  }
+}
+
+/**
+ * Writes a call record after the current burst of transcript entries
+ * (a restored transcript adds all of its entries at once).
+ *
+ * @param {Object} record - Call record to write
+ * @returns {void}
+ */
+function scheduleCallRecordSave(record) {
+  if (pendingCallRecord && pendingCallRecord !== record) {
+    flushPendingCallRecord();
+  }
+  pendingCallRecord = record;
+  if (!pendingCallRecordTimer) {
+    pendingCallRecordTimer = setTimeout(flushPendingCallRecord, 0);
+  }
+}
+
+/**
+ * Copies the current transcript and call facts into a call record.
+ *
+ * @param {Object} record - Call record to update
+ * @returns {void}
+ */
+function captureCallContent(record) {
+  record.transcript = window.getTranscriptEntries ? window.getTranscriptEntries() : [];
+  record.facts = window.getCallFacts ? window.getCallFacts() : [];
+}
+
+/**
+ * Determines why a call ended from its last state transition.
+ *
+ * @param {Object} event - The 'ended' or 'failed' call session event
+ * @param {boolean} connected - Whether the call ever connected
+ * @returns {string} End reason (see callEndReasonLabels)
+ */
+function getCallEndReason(event, connected) {
+  if (event.state === 'failed') {
+    return 'failed';
+  }
+  if (!connected) {
+    return 'cancelled';
+  }
+  return event.previousState === 'ending' ? 'agent-hangup' : 'remote-hangup';
+}
+
+/**
+ * Updates the record of the current call from call session events and
+ * saves it after every state change.
+ *
+ * @param {Object} event - Call session event ({ type, previousState, state, session })
+ * @returns {void}
+ */
+function handleHistorySessionEvent(event) {
+  if (event.type !== 'state') {
+    return;
+  }
+
+  const { session, state } = event;
+
+  if (state === 'starting') {
+    flushPendingCallRecord();
+    const resumed = resumedCallRecord && resumedCallRecord.claimId === session.claimId ? resumedCallRecord : null;
+    resumedCallRecord = null;
+    currentCallRecord = { ...createCallRecord(session.claimId), ...resumed };
+    currentCallRecord.connected = false;
+    // A resumed record is already stored; it is saved again with the restored transcript
+    if (!resumed) {
+      storeCallRecord(currentCallRecord);
+    }
+    return;
+  }
+
+  const record = currentCallRecord;
+  if (!record || record.endedAt) {
+    return;
+  }
+
+  const now = new Date();
+
+  if (state === 'waiting-for-job') {
+    record.jobId = session.jobId;
+  } else if (session.isConnected) {
+    record.connected = true;
+  }
+
+  if (state === 'agent-ready' && !record.agentReadyAt) {
+    record.agentReadyAt = now.toISOString();
+    record.timeToAgentReadyMs = now.getTime() - new Date(record.startedAt).getTime();
+  }
+
+  if (state === 'human-active' && !record.takenOver) {
+    record.takenOver = true;
+    record.takenOverAt = now.toISOString();
+  }
+
+  if (state === 'ai-active' && event.previousState === 'human-active') {
+    record.handedBackAt = now.toISOString();
+  }
+
+  if (state === 'ended' || state === 'failed') {
+    record.endedAt = now.toISOString();
+    record.endReason = getCallEndReason(event, record.connected);
+    record.error = session.error ? session.error.message : null;
+  }
+
+  captureCallContent(record);
+  if (pendingCallRecord === record) {
+    pendingCallRecord = null;
+  }
+  storeCallRecord(record);
+}
+
+/**
+ * Saves new transcript entries with the record of the current (or
+ * just ended) call.
+ *
+ * @param {Object} event - Transcript event ({ type, entry })
+ * @returns {void}
+ */
+function handleHistoryTranscriptEvent(event) {
+  if (event.type !== 'entry' || !currentCallRecord) {
+    return;
+  }
+
+  captureCallContent(currentCallRecord);
+  scheduleCallRecordSave(currentCallRecord);
+}
+
+/**
+ * Gets the fields of the current call's record that a call rejoined
+ * after a reload continues with (see resumeCallRecord).
+ *
+ * @returns {Object|null} Record ID, claim and timing fields, or null if
+ *   no call is in progress
+ */
+function getCallRecordCheckpoint() {
+  if (!currentCallRecord || currentCallRecord.endedAt) {
+    return null;
+  }
+
+  const { id, claimId, startedAt, agentReadyAt, timeToAgentReadyMs, takenOver, takenOverAt, handedBackAt } = currentCallRecord;
+  return { id, claimId, startedAt, agentReadyAt, timeToAgentReadyMs, takenOver, takenOverAt, handedBackAt };
+}
+
+/**
+ * Continues a call's record with the next call that starts for the same
+ * claim, instead of creating a new record. Used when a call is rejoined
+ * after a reload, so its start, agent ready and take over times are kept.
+ *
+ * @param {Object} savedRecord - Fields from getCallRecordCheckpoint()
+ * @returns {void}
+ *
+ * Usage Example:
+ * resumeCallRecord(checkpoint.callRecord);
+ * callSession.start(checkpoint.claimId);
+ */
+function resumeCallRecord(savedRecord) {
+  resumedCallRecord = savedRecord;
+}
+
+/**
+ * Gets the label shown for how a recorded call ended.
+ *
+ * @param {Object} record - Call record
+ * @returns {string}
+ */
+function getCallRecordEndLabel(record) {
+  if (record.endReason) {
+    return callEndReasonLabels[record.endReason] || record.endReason;
+  }
+  // Saved mid-call: still running, or the page was closed during the call
+  return currentCallRecord && currentCallRecord.id === record.id ? 'In progress' : 'Did not finish';
+}
+
+/**
+ * Formats a duration in milliseconds as m:ss (or h:mm:ss).
+ *
+ * @param {number|null} durationMs - Duration in milliseconds
+ * @returns {string} Formatted duration, or '-' if unknown
+ */
+function formatCallDuration(durationMs) {
+  if (durationMs === null || durationMs === undefined || durationMs < 0) {
+    return '-';
+  }
+
+  const totalSeconds = Math.round(durationMs / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Gets the duration of a recorded call in milliseconds.
+ *
+ * @param {Object} record - Call record
+ * @returns {number|null}
+ */
+function getCallRecordDuration(record) {
+  if (!record.endedAt) {
+    return null;
+  }
+  return new Date(record.endedAt).getTime() - new Date(record.startedAt).getTime();
+}
+
+/**
+ * Creates an element with a class name and text content.
+ *
+ * @param {string} tagName - Element tag name
+ * @param {string} className - CSS class name
+ * @param {string} text - Text content
+ * @returns {HTMLElement}
+ */
+function createTextElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Renders the Call History panel list.
+ *
+ * @returns {Promise<void>}
+ */
+async function renderCallHistory() {
+  const list = document.getElementById('callHistoryList');
+  if (!list) {
+    return;
+  }
+
+  let records = [];
+  try {
+    records = await listCallRecords();
+  } catch (error) {
+    console.error('Error loading call history:', error);
+    list.textContent = '';
+    list.appendChild(createTextElement('li', 'call-history-empty', 'Call history is not available'));
+    return;
+  }
+
+  list.textContent = '';
+  if (records.length === 0) {
+    list.appendChild(createTextElement('li', 'call-history-empty', 'No calls yet'));
+    return;
+  }
+
+  records.forEach(record => {
+    const item = document.createElement('li');
+    item.className = `call-history-item ${record.endReason || 'unfinished'}`;
+    item.tabIndex = 0;
+    item.title = 'Open call';
+
+    const started = new Date(record.startedAt);
+    const recorded = record.recording ? ' · Recorded' : '';
+    item.appendChild(createTextElement('span', 'call-history-claim', record.claimId));
+    item.appendChild(createTextElement('span', 'call-history-meta',
+      `${started.toLocaleDateString()} ${started.toLocaleTimeString()} · ${formatCallDuration(getCallRecordDuration(record))}${recorded}`));
+    item.appendChild(createTextElement('span', 'call-history-reason', getCallRecordEndLabel(record)));
+
+    item.addEventListener('click', () => openCallHistoryRecord(record.id));
+    item.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        openCallHistoryRecord(record.id);
+      }
+    });
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Opens a recorded call read-only in the history dialog.
+ *
+ * @param {string} id - Record ID
+ * @returns {Promise<void>}
+ */
+async function openCallHistoryRecord(id) {
+  const dialog = document.getElementById('callHistoryDialog');
+  const details = document.getElementById('callHistoryDetails');
+  const transcript = document.getElementById('callHistoryTranscript');
+  if (!dialog || !details || !transcript) {
+    return;
+  }
+
+  let record;
+  try {
+    record = await getCallRecord(id);
+  } catch (error) {
+    console.error('Error loading call from history:', error);
+  }
+  if (!record) {
+    if (window.showError) {
+      window.showError('This call could not be loaded from the history');
+    }
+    return;
+  }
+
+  const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '-');
+  const rows = [
+    ['Claim ID', record.claimId],
+    ['Job ID', record.jobId || '-'],
+    ['Started', formatTime(record.startedAt)],
+    ['Ended', formatTime(record.endedAt)],
+    ['Duration', formatCallDuration(getCallRecordDuration(record))],
+    ['Time to agent ready', formatCallDuration(record.timeToAgentReadyMs)],
+    ['Taken over', record.takenOver ? formatTime(record.takenOverAt) : 'No'],
+    ['Handed back to AI', record.handedBackAt ? formatTime(record.handedBackAt) : 'No'],
+    ['End reason', getCallRecordEndLabel(record)]
+  ];
+  if (record.error) {
+    rows.push(['Error', record.error]);
+  }
+  // Records from before call facts were kept have none
+  (record.facts || []).forEach(fact => {
+    const label = window.getCallFactLabel ? window.getCallFactLabel(fact.type) : fact.type;
+    rows.push([label, window.redactText ? window.redactText(fact.value) : fact.value]);
+  });
+
+  details.textContent = '';
+  rows.forEach(([label, value]) => {
+    details.appendChild(createTextElement('dt', '', label));
+    details.appendChild(createTextElement('dd', '', value));
+  });
+
+  const recordingBtn = document.getElementById('callHistoryRecordingBtn');
+  if (recordingBtn) {
+    recordingBtn.style.display = record.recording ? '' : 'none';
+  }
+
+  openedCallRecord = record;
+  transcript.textContent = '';
+  if (record.transcript.length === 0) {
+    transcript.appendChild(createTextElement('div', 'call-history-empty', 'No transcript was recorded'));
+  }
+  record.transcript.forEach(entry => {
+    const speaker = window.getTranscriptSpeaker ? window.getTranscriptSpeaker(entry) : entry.participantType;
+    const line = document.createElement('div');
+    line.className = 'transcript';
+    line.appendChild(createTextElement('div', 'bold', `${speaker} (${new Date(entry.time).toLocaleTimeString()})`));
+    line.appendChild(createTextElement('div', '', window.redactText ? window.redactText(entry.text) : entry.text));
+    transcript.appendChild(line);
+  });
+
+  dialog.style.display = 'flex';
+}
+
+/**
+ * Closes the history dialog.
+ *
+ * @returns {void}
+ */
+function closeCallHistoryRecord() {
+  const dialog = document.getElementById('callHistoryDialog');
+  if (dialog) {
+    dialog.style.display = 'none';
+  }
+  openedCallRecord = null;
+}
+
+/**
+ * Initializes the call history.
+ *
+ * @param {CallSession} callSession - Session whose events are recorded
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Subscribes to call session and transcript events to record calls
+ * 2. Binds the history dialog close and export controls
+ * 3. Renders the Call History panel
+ *
+ * Usage Example:
+ * initCallHistory(callSession);
+ */
+function initCallHistory(callSession) {
+  callSession.subscribe(handleHistorySessionEvent);
+  if (window.subscribeTranscript) {
+    window.subscribeTranscript(handleHistoryTranscriptEvent);
+  }
+
+  const closeBtn = document.getElementById('callHistoryCloseBtn');
+  if (closeBtn) {
+    closeBtn.addEventListener('click', closeCallHistoryRecord);
+  }
+
+  // Export the opened call's transcript
+  document.querySelectorAll('[data-history-export-format]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (openedCallRecord && window.downloadTranscript) {
+        const { transcript, facts, recording, ...call } = openedCallRecord;
+        window.downloadTranscript(button.dataset.historyExportFormat, transcript, call, facts || []);
+      }
+    });
+  });
+
+  // Download the opened call's recording
+  const recordingBtn = document.getElementById('callHistoryRecordingBtn');
+  if (recordingBtn) {
+    recordingBtn.addEventListener('click', () => {
+      if (openedCallRecord && openedCallRecord.recording && window.downloadRecording) {
+        window.downloadRecording(openedCallRecord.recording, openedCallRecord.claimId);
+      }
+    });
+  }
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      closeCallHistoryRecord();
+    }
+  });
+
+  // Show the opened call again when redaction is turned on or off
+  if (window.subscribeRedaction) {
+    window.subscribeRedaction(() => {
+      if (openedCallRecord) {
+        openCallHistoryRecord(openedCallRecord.id);
+      }
+    });
+  }
+
+  renderCallHistory();
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Functions:
+ * - initCallHistory: Start recording calls from the call session
+ * - getCallRecordCheckpoint / resumeCallRecord: Continue a call's record
+ *   after a reload
+ * - listCallRecords / getCallRecord / saveCallRecord: History storage access
+ * - attachCallRecording: Save a call recording with its call
+ * - openCallHistoryRecord / closeCallHistoryRecord: History dialog
+ * - formatCallDuration: Format a duration as m:ss
+ */
+window.initCallHistory = initCallHistory;
+window.getCallRecordCheckpoint = getCallRecordCheckpoint;
+window.resumeCallRecord = resumeCallRecord;
+window.listCallRecords = listCallRecords;
+window.getCallRecord = getCallRecord;
+window.saveCallRecord = saveCallRecord;
+window.attachCallRecording = attachCallRecording;
+window.openCallHistoryRecord = openCallHistoryRecord;
+window.closeCallHistoryRecord = closeCallHistoryRecord;
+window.formatCallDuration = formatCallDuration;
@@ -0,0 +1,492 @@
+/**
+ * Call Recording Module - Local Stereo Recordings of Calls
+ *
+ * This module records the audio of a call on request and keeps it as a
+ * stereo WAV file for disputes. The audio is taken from the softphone
+ * worklet traffic (see the Softphone Audio Tap in main.js), so the
+ * recording holds exactly what was played to and sent by the agent.
+ *
+ * Recording Format:
+ * - WAV, 16-bit PCM, at the softphone audio rate (8 kHz)
+ * - Left channel: inbound audio (payer representative and AI agent)
+ * - Right channel: outbound audio (agent microphone, as sent)
+ *
+ * Timeline:
+ * - Both channels are placed on the audio clock of the softphone, so
+ *   they stay aligned with each other and with the call. The clock is
+ *   counted in 8 kHz samples whatever rate the audio context runs at,
+ *   because the softphone payloads are always 8 kHz
+ * - While the recording is paused no audio is kept; the paused span is
+ *   silent in the file, so later audio keeps its position in the call
+ *
+ * Recording Lifecycle:
+ * - The agent starts a recording with the Record button once the call
+ *   has connected, and can pause and resume it, for example while card
+ *   data is read out
+ * - When the call ends the recording is finished and offered for
+ *   download or to be saved with the call in the call history
+ *
+ * Dependencies:
+ * - window.subscribeSoftphoneAudio (main.js)
+ * - window.decodeMuLawPayload (audioCodec.js)
+ * - Call session events (callSession.js)
+ * - Call history storage (callHistory.js)
+ *
+ * Usage: This module is imported by main.js, which calls
+ * initCallRecording() with the call session during application start.
+ */
+
+// Sample rate of the softphone payloads, and so of the recording
+const recordingSampleRate = 8000;
+
+// Samples per storage block of a recording channel
+const recordingBlockSize = 8000;
+
+// How far outbound audio may lag the audio clock (in seconds) before the
+// gap is treated as missing audio
+const outboundLagToleranceSeconds = 0.25;
+
+// Recording state
+let recordingCallSession = null;
+let activeRecording = null;
+let finishedRecording = null;
+let recordingTimer = null;
+
+/**
+ * Creates an empty recording channel.
+ *
+ * Samples are kept in fixed-size blocks so long calls do not need one
+ * large buffer that is copied as it grows.
+ *
+ * @returns {Object} Channel ({ blocks, cursor })
+ */
+function createRecordingChannel() {
+  return { blocks: [], cursor: 0 };
+}
+
+/**
+ * Writes samples into a recording channel at a sample position.
+ *
+ * Blocks that are skipped over stay silent.
+ *
+ * @param {Object} channel - Recording channel
+ * @param {number} position - Sample position of the first sample
+ * @param {Int16Array} samples - Samples to write
+ * @returns {void}
+ */
+function writeRecordingSamples(channel, position, samples) {
+  for (let i = 0; i < samples.length; i++) {
+    const index = position + i;
+    const blockIndex = Math.floor(index / recordingBlockSize);
+    if (!channel.blocks[blockIndex]) {
+      channel.blocks[blockIndex] = new Int16Array(recordingBlockSize);
+    }
+    channel.blocks[blockIndex][index % recordingBlockSize] = samples[i];
+  }
+  channel.cursor = position + samples.length;
+}
+
+/**
+ * Reads one sample of a recording channel.
+ *
+ * @param {Object} channel - Recording channel
+ * @param {number} index - Sample position
+ * @returns {number} Sample, 0 where nothing was written
+ */
+function readRecordingSample(channel, index) {
+  const block = channel.blocks[Math.floor(index / recordingBlockSize)];
+  return block ? block[index % recordingBlockSize] : 0;
+}
+
+/**
+ * Gets the current position of the audio clock in samples.
+ *
+ * The clock follows the softphone audio context, counted in 8 kHz
+ * samples. When the context changes (for example after a dropped
+ * connection was re-established) the clock continues from the end of
+ * the recording.
+ *
+ * @param {Object} recording - Active recording
+ * @param {AudioContext} context - Audio context of the tapped worklet
+ * @returns {number} Sample position
+ */
+function getRecordingClock(recording, context) {
+  if (recording.context !== context) {
+    const end = Math.max(recording.inbound.cursor, recording.outbound.cursor);
+    recording.context = context;
+    recording.clockOffset = end - Math.round(context.currentTime * recordingSampleRate);
+  }
+  return Math.round(context.currentTime * recordingSampleRate) + recording.clockOffset;
+}
+
+/**
+ * Adds tapped softphone audio to the active recording.
+ *
+ * Inbound audio is queued by the worklet and played when the audio before
+ * it has finished, or right away if nothing is queued. Outbound audio is
+ * captured continuously and arrives in short bursts, so it is appended
+ * unless it lags the clock by more than outboundLagToleranceSeconds.
+ *
+ * @param {Object} message - Tapped message ({ direction, payload, node })
+ * @returns {void}
+ */
+function handleSoftphoneAudio(message) {
+  const recording = activeRecording;
+  if (!recording || recording.paused || !message.payload) {
+    return;
+  }
+
+  const clock = getRecordingClock(recording, message.node.context);
+  const samples = window.decodeMuLawPayload(message.payload);
+
+  if (message.direction === 'inbound') {
+    const channel = recording.inbound;
+    writeRecordingSamples(channel, Math.max(channel.cursor, clock), samples);
+  } else {
+    const channel = recording.outbound;
+    const tolerance = Math.round(outboundLagToleranceSeconds * recording.sampleRate);
+    const position = channel.cursor < clock - tolerance - samples.length
+      ? clock - samples.length
+      : channel.cursor;
+    writeRecordingSamples(channel, Math.max(position, 0), samples);
+  }
+}
+
+/**
+ * Builds a stereo 16-bit PCM WAV file from a recording.
+ *
+ * @param {Object} recording - Recording with inbound and outbound channels
+ * @returns {Blob} audio/wav Blob
+ */
+function createRecordingWav(recording) {
+  const { inbound, outbound, sampleRate } = recording;
+  const length = Math.max(inbound.cursor, outbound.cursor);
+  const channels = 2;
+  const bytesPerSample = 2;
+  const dataSize = length * channels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  // RIFF header
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+
+  // fmt chunk: PCM, channels, sample rate, byte rate, block align, bits
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+
+  // data chunk: interleaved left (inbound) and right (outbound) samples
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+  for (let i = 0; i < length; i++) {
+    const offset = 44 + i * channels * bytesPerSample;
+    view.setInt16(offset, readRecordingSample(inbound, i), true);
+    view.setInt16(offset + bytesPerSample, readRecordingSample(outbound, i), true);
+  }
+
+  return new Blob([view.buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Whether a recording is running (paused or not).
+ *
+ * @returns {boolean}
+ */
+function isRecording() {
+  return activeRecording !== null;
+}
+
+/**
+ * Starts recording the current call.
+ *
+ * @returns {boolean} Whether a recording was started
+ *
+ * Usage Example:
+ * startCallRecording();
+ */
+function startCallRecording() {
+  const session = recordingCallSession;
+  if (activeRecording || !session || !session.isConnected) {
+    return false;
+  }
+
+  activeRecording = {
+    claimId: session.claimId,
+    jobId: session.jobId,
+    startedAt: new Date().toISOString(),
+    sampleRate: recordingSampleRate,
+    context: null,
+    clockOffset: 0,
+    paused: false,
+    inbound: createRecordingChannel(),
+    outbound: createRecordingChannel()
+  };
+
+  if (window.appendMessage) {
+    window.appendMessage('Recording started');
+  }
+  renderRecordingControls();
+  return true;
+}
+
+/**
+ * Pauses or resumes the active recording.
+ *
+ * @param {boolean} paused - Whether to pause (true) or resume (false)
+ * @returns {void}
+ */
+function setCallRecordingPaused(paused) {
+  if (!activeRecording || activeRecording.paused === paused) {
+    return;
+  }
+
+  activeRecording.paused = paused;
+  if (window.appendMessage) {
+    window.appendMessage(paused ? 'Recording paused' : 'Recording resumed');
+  }
+  renderRecordingControls();
+}
+
+/**
+ * Finishes the active recording and offers it for download or saving.
+ *
+ * @returns {void}
+ */
+function stopCallRecording() {
+  const recording = activeRecording;
+  if (!recording) {
+    return;
+  }
+  activeRecording = null;
+
+  const length = Math.max(recording.inbound.cursor, recording.outbound.cursor);
+  if (length > 0) {
+    finishedRecording = {
+      claimId: recording.claimId,
+      jobId: recording.jobId,
+      startedAt: recording.startedAt,
+      durationMs: Math.round(length * 1000 / recording.sampleRate),
+      blob: createRecordingWav(recording)
+    };
+  }
+  renderRecordingControls();
+  renderFinishedRecording();
+}
+
+/**
+ * Downloads a recording as a WAV file.
+ *
+ * @param {Object} recording - Recording ({ blob, startedAt })
+ * @param {string} claimId - Claim of the recorded call (used in the file name)
+ * @returns {void}
+ *
+ * Usage Example:
+ * downloadRecording(record.recording, record.claimId);
+ */
+function downloadRecording(recording, claimId) {
+  const stamp = new Date(recording.startedAt).toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(recording.blob);
+  link.download = `recording-${claimId || 'call'}-${stamp}.wav`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Saves the finished recording with its call in the call history.
+ *
+ * @returns {Promise<void>}
+ */
+async function saveCallRecordingToHistory() {
+  if (!finishedRecording || !window.attachCallRecording) {
+    return;
+  }
+
+  const { jobId, blob, startedAt, durationMs } = finishedRecording;
+  try {
+    await window.attachCallRecording(jobId, { blob, startedAt, durationMs });
+    discardCallRecording();
+  } catch (error) {
+    console.error('Error saving recording to call history:', error);
+    if (window.showError) {
+      window.showError(`The recording could not be saved: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Drops the finished recording.
+ *
+ * @returns {void}
+ */
+function discardCallRecording() {
+  finishedRecording = null;
+  renderFinishedRecording();
+}
+
+/**
+ * Renders the Record button and the recording indicator.
+ *
+ * @returns {void}
+ */
+function renderRecordingControls() {
+  const session = recordingCallSession;
+  const recordBtn = document.getElementById('recordBtn');
+  if (recordBtn) {
+    if (activeRecording) {
+      recordBtn.textContent = activeRecording.paused ? 'Resume Recording' : 'Pause Recording';
+      recordBtn.disabled = false;
+    } else {
+      recordBtn.textContent = 'Record';
+      recordBtn.disabled = !(session && session.isConnected);
+    }
+  }
+
+  const indicator = document.getElementById('recordingIndicator');
+  if (indicator) {
+    if (activeRecording) {
+      const elapsed = Date.now() - new Date(activeRecording.startedAt).getTime();
+      const duration = window.formatCallDuration ? window.formatCallDuration(elapsed) : '';
+      indicator.textContent = activeRecording.paused ? `REC paused ${duration}` : `REC ${duration}`;
+      indicator.classList.toggle('paused', activeRecording.paused);
+      indicator.style.display = '';
+    } else {
+      indicator.style.display = 'none';
+    }
+  }
+
+  // Keep the elapsed time in the indicator current
+  if (activeRecording && !recordingTimer) {
+    recordingTimer = setInterval(renderRecordingControls, 1000);
+  } else if (!activeRecording && recordingTimer) {
+    clearInterval(recordingTimer);
+    recordingTimer = null;
+  }
+}
+
+/**
+ * Renders the panel offering the finished recording.
+ *
+ * @returns {void}
+ */
+function renderFinishedRecording() {
+  const panel = document.getElementById('recordingPanel');
+  if (!panel) {
+    return;
+  }
+
+  if (!finishedRecording) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const summary = document.getElementById('recordingSummary');
+  if (summary) {
+    const duration = window.formatCallDuration ? window.formatCallDuration(finishedRecording.durationMs) : '';
+    summary.textContent = `Claim ${finishedRecording.claimId} · ${duration}`;
+  }
+  panel.style.display = '';
+}
+
+/**
+ * Follows the call session: enables recording once the call has connected
+ * and finishes the recording when the call is over.
+ *
+ * @param {Object} event - Call session event ({ type, state, session })
+ * @returns {void}
+ */
+function handleRecordingSessionEvent(event) {
+  if (event.type === 'state' && (event.state === 'ended' || event.state === 'failed')) {
+    stopCallRecording();
+    return;
+  }
+  renderRecordingControls();
+}
+
+/**
+ * Initializes call recording.
+ *
+ * @param {CallSession} callSession - Session whose calls can be recorded
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Taps the softphone audio for the active recording
+ * 2. Binds the Record button and the finished recording panel
+ * 3. Finishes the recording when the call ends
+ *
+ * Usage Example:
+ * initCallRecording(callSession);
+ */
+function initCallRecording(callSession) {
+  recordingCallSession = callSession;
+  callSession.subscribe(handleRecordingSessionEvent);
+
+  if (window.subscribeSoftphoneAudio) {
+    window.subscribeSoftphoneAudio(handleSoftphoneAudio);
+  }
+
+  const recordBtn = document.getElementById('recordBtn');
+  if (recordBtn) {
+    recordBtn.addEventListener('click', () => {
+      if (activeRecording) {
+        setCallRecordingPaused(!activeRecording.paused);
+      } else {
+        startCallRecording();
+      }
+    });
+  }
+
+  const downloadBtn = document.getElementById('recordingDownloadBtn');
+  if (downloadBtn) {
+    downloadBtn.addEventListener('click', () => {
+      if (finishedRecording) {
+        downloadRecording(finishedRecording, finishedRecording.claimId);
+      }
+    });
+  }
+  const saveBtn = document.getElementById('recordingSaveBtn');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', saveCallRecordingToHistory);
+  }
+  const discardBtn = document.getElementById('recordingDiscardBtn');
+  if (discardBtn) {
+    discardBtn.addEventListener('click', discardCallRecording);
+  }
+
+  renderRecordingControls();
+  renderFinishedRecording();
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Functions:
+ * - initCallRecording: Set up recording of calls
+ * - startCallRecording / setCallRecordingPaused / stopCallRecording:
+ *   Control the recording of the current call
+ * - isRecording: Whether a recording is running
+ * - downloadRecording: Download a recording as a WAV file
+ * - createRecordingWav: Build a stereo WAV file from a recording
+ */
+window.initCallRecording = initCallRecording;
+window.startCallRecording = startCallRecording;
+window.setCallRecordingPaused = setCallRecordingPaused;
+window.stopCallRecording = stopCallRecording;
+window.isRecording = isRecording;
+window.downloadRecording = downloadRecording;
+window.createRecordingWav = createRecordingWav;
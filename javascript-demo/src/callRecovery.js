@@ -0,0 +1,233 @@
+/**
+ * Call Recovery Module - Crash-Safe Checkpoint of the Active Call
+ *
+ * This module keeps a checkpoint of the connected call in sessionStorage
+ * so a reload or a crashed tab does not lose it. When the page loads
+ * with a checkpoint, a banner offers to rejoin the call; main.js
+ * handleRejoinCall() checks that the job is still live before it opens
+ * a new conversation for it.
+ *
+ * Checkpoint Contents:
+ * - claimId / jobId: Identifiers of the call
+ * - state, takeOverType, isInputMuted, isOutputMuted: Call session state
+ * - transcript / transcriptCall: Transcript entries and call details
+ * - facts: Call facts (callFacts.js)
+ * - callRecord: ID and timing fields of the call's history record
+ *   (callHistory.js), which the rejoined call continues
+ * - savedAt: When the checkpoint was written
+ *
+ * Checkpoint Lifecycle:
+ * - Written once the call has connected, on every call session change
+ *   and every transcript entry, and kept while a dropped connection is
+ *   re-established
+ * - Kept while a call is being rejoined; replaced once the rejoined
+ *   call connects, and kept if it cannot be reconnected so the agent can
+ *   try again
+ * - Removed when the call ends or fails, or when it is discarded
+ *
+ * sessionStorage is kept per tab: it survives reloads and tabs the
+ * browser restores after a crash, and is gone when the tab is closed.
+ *
+ * Dependencies:
+ * - Call session events (callSession.js)
+ * - Transcript model (transcript.js) and call facts (callFacts.js)
+ * - Call history record (callHistory.js)
+ * - window.handleRejoinCall (main.js)
+ *
+ * Usage: This module is imported by main.js, which calls
+ * initCallRecovery() with the call session during application start.
+ */
+
+const callCheckpointStorageKey = 'activeCallCheckpoint';
+
+// Recovery state
+let recoveryCallSession = null;
+// Whether the checkpointed call is being rejoined
+let rejoinInProgress = false;
+
+/**
+ * Gets the saved checkpoint of the active call.
+ *
+ * @returns {Object|null} Checkpoint, or null if there is none
+ */
+function getCallCheckpoint() {
+  try {
+    const stored = sessionStorage.getItem(callCheckpointStorageKey);
+    const checkpoint = stored ? JSON.parse(stored) : null;
+    return checkpoint && checkpoint.jobId ? checkpoint : null;
+  } catch (error) {
+    console.error('Error loading call checkpoint from sessionStorage:', error);
+    sessionStorage.removeItem(callCheckpointStorageKey);
+    return null;
+  }
+}
+
+/**
+ * Removes the saved checkpoint.
+ *
+ * @returns {void}
+ */
+function clearCallCheckpoint() {
+  sessionStorage.removeItem(callCheckpointStorageKey);
+  renderCallRecoveryBanner();
+}
+
+/**
+ * Whether the call session is worth checkpointing: connected, or
+ * re-establishing a dropped connection.
+ *
+ * @param {CallSession} session - Call session
+ * @returns {boolean}
+ */
+function shouldCheckpointSession(session) {
+  return Boolean(session && session.jobId && (session.isConnected || session.isReconnecting));
+}
+
+/**
+ * Writes the checkpoint of the current call.
+ *
+ * @returns {void}
+ */
+function saveCallCheckpoint() {
+  const session = recoveryCallSession;
+  if (!shouldCheckpointSession(session)) {
+    return;
+  }
+
+  const checkpoint = {
+    claimId: session.claimId,
+    jobId: session.jobId,
+    state: session.state,
+    takeOverType: session.takeOverType,
+    isInputMuted: session.isInputMuted,
+    isOutputMuted: session.isOutputMuted,
+    transcript: window.getTranscriptEntries ? window.getTranscriptEntries() : [],
+    transcriptCall: window.getTranscriptCall ? window.getTranscriptCall() : null,
+    facts: window.getCallFacts ? window.getCallFacts() : [],
+    callRecord: window.getCallRecordCheckpoint ? window.getCallRecordCheckpoint() : null,
+    savedAt: new Date().toISOString()
+  };
+
+  try {
+    sessionStorage.setItem(callCheckpointStorageKey, JSON.stringify(checkpoint));
+  } catch (error) {
+    console.error('Error saving call checkpoint to sessionStorage:', error);
+  }
+}
+
+/**
+ * Keeps the checkpoint in step with the call session.
+ *
+ * @param {Object} event - Call session event ({ type, state, session })
+ * @returns {void}
+ */
+function handleRecoverySessionEvent(event) {
+  const { session, state } = event;
+
+  if (state === 'starting' || state === 'ended' || state === 'failed') {
+    // A new call replaces the checkpoint and a finished call needs none,
+    // but a call being rejoined keeps it until it has connected
+    if (event.type === 'state' && !rejoinInProgress) {
+      clearCallCheckpoint();
+    }
+    return;
+  }
+
+  if (shouldCheckpointSession(session)) {
+    rejoinInProgress = false;
+    saveCallCheckpoint();
+  }
+}
+
+/**
+ * Rejoins the checkpointed call (main.js handleRejoinCall).
+ *
+ * @returns {Promise<void>}
+ */
+async function rejoinCheckpointedCall() {
+  if (!window.handleRejoinCall) {
+    return;
+  }
+
+  rejoinInProgress = true;
+  try {
+    await window.handleRejoinCall();
+  } finally {
+    rejoinInProgress = false;
+    renderCallRecoveryBanner();
+  }
+}
+
+/**
+ * Shows the "Rejoin active call" banner while there is a checkpoint and
+ * no call is running.
+ *
+ * @returns {void}
+ */
+function renderCallRecoveryBanner() {
+  const banner = document.getElementById('callRecoveryBanner');
+  if (!banner) {
+    return;
+  }
+
+  const checkpoint = getCallCheckpoint();
+  const sessionActive = recoveryCallSession ? recoveryCallSession.isActive : false;
+  if (!checkpoint || sessionActive) {
+    banner.style.display = 'none';
+    return;
+  }
+
+  const message = document.getElementById('callRecoveryMessage');
+  if (message) {
+    const savedAt = new Date(checkpoint.savedAt).toLocaleTimeString();
+    message.textContent = `A call for claim ${checkpoint.claimId} was still running when this page was closed (last saved ${savedAt}).`;
+  }
+  banner.style.display = '';
+}
+
+/**
+ * Initializes the call checkpoint and the rejoin banner.
+ *
+ * @param {CallSession} callSession - Session to checkpoint
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Checkpoints the call on call session and transcript changes
+ * 2. Offers to rejoin a call found in sessionStorage
+ *
+ * Usage Example:
+ * initCallRecovery(callSession);
+ */
+function initCallRecovery(callSession) {
+  recoveryCallSession = callSession;
+  callSession.subscribe(handleRecoverySessionEvent);
+  callSession.subscribe(renderCallRecoveryBanner);
+
+  if (window.subscribeTranscript) {
+    window.subscribeTranscript(saveCallCheckpoint);
+  }
+
+  const rejoinBtn = document.getElementById('callRecoveryRejoinBtn');
+  if (rejoinBtn) {
+    rejoinBtn.addEventListener('click', rejoinCheckpointedCall);
+  }
+
+  const discardBtn = document.getElementById('callRecoveryDiscardBtn');
+  if (discardBtn) {
+    discardBtn.addEventListener('click', clearCallCheckpoint);
+  }
+
+  renderCallRecoveryBanner();
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Functions:
+ * - initCallRecovery: Start checkpointing and offer to rejoin a saved call
+ * - getCallCheckpoint: Saved checkpoint of the active call
+ * - clearCallCheckpoint: Remove the saved checkpoint
+ */
+window.initCallRecovery = initCallRecovery;
+window.getCallCheckpoint = getCallCheckpoint;
+window.clearCallCheckpoint = clearCallCheckpoint;
@@ -0,0 +1,291 @@
+/**
+ * Call Session Module - Call Lifecycle State Machine
+ *
+ * This module owns the state of the current call. Instead of a set of
+ * loosely related flags (connected, taken over, agent ready, muted...)
+ * the call moves through a fixed set of named states, and every change
+ * is validated against the allowed transitions before it is applied.
+ *
+ * Call States:
+ * - idle: No call has been started yet
+ * - starting: Call is being created via the claims API
+ * - waiting-for-job: Waiting for the call job to become ready
+ * - connecting: Opening (or re-opening) the conversation WebSocket
+ * - ai-active: Connected, the AI agent is handling the call
+ * - agent-ready: Connected, a payer representative is waiting for a human
+ * - human-active: Connected, the browser user has taken over
+ * - ending: Hangup requested, waiting for the connection to close
+ * - ended: Call finished normally
+ * - failed: Call could not be started or was lost
+ *
+ * Session Data (kept alongside the state):
+ * - claimId / jobId: Identifiers of the current call
+ * - takeOverType: Who took over the call ('browser') or null
+ * - isOutputMuted / isInputMuted: Local audio mute flags
+ * - reconnectAttempt: Current reconnect attempt while a dropped
+ *   connection is being re-established (0 otherwise)
+ * - error: Last error that moved the session to 'failed'
+ *
+ * Events:
+ * - 'state': Emitted after every successful state transition
+ * - 'change': Emitted when session data changes without a transition
+ *
+ * Usage: This module is imported by main.js, which creates the single
+ * CallSession instance. UI render functions in ui.js subscribe to it.
+ */
+
+/**
+ * Call Session State Enumeration
+ *
+ * Named states a call session can be in. The string values are used
+ * for logging and as CSS/data attribute values in the UI.
+ */
+const CallSessionState = {
+  idle: 'idle',
+  starting: 'starting',
+  waitingForJob: 'waiting-for-job',
+  connecting: 'connecting',
+  aiActive: 'ai-active',
+  agentReady: 'agent-ready',
+  humanActive: 'human-active',
+  ending: 'ending',
+  ended: 'ended',
+  failed: 'failed'
+};
+
+/**
+ * Allowed Call Session Transitions
+ *
+ * Maps each state to the states it may move to next. Any transition
+ * not listed here is rejected by CallSession.transition().
+ *
+ * Notes:
+ * - 'connecting' is reachable from the connected states so a dropped
+ *   WebSocket can be re-established without losing the session data
+ * - 'human-active' can go back to 'ai-active' when the agent hands the
+ *   call back to the AI agent
+ * - 'ended' and 'failed' can start a new call directly
+ */
+const CallSessionTransitions = {
+  [CallSessionState.idle]: [CallSessionState.starting],
+  [CallSessionState.starting]: [CallSessionState.waitingForJob, CallSessionState.ending, CallSessionState.failed],
+  [CallSessionState.waitingForJob]: [CallSessionState.connecting, CallSessionState.ending, CallSessionState.failed],
+  [CallSessionState.connecting]: [CallSessionState.aiActive, CallSessionState.humanActive, CallSessionState.ending, CallSessionState.ended, CallSessionState.failed],
+  [CallSessionState.aiActive]: [CallSessionState.agentReady, CallSessionState.humanActive, CallSessionState.connecting, CallSessionState.ending, CallSessionState.ended, CallSessionState.failed],
+  [CallSessionState.agentReady]: [CallSessionState.humanActive, CallSessionState.connecting, CallSessionState.ending, CallSessionState.ended, CallSessionState.failed],
+  [CallSessionState.humanActive]: [CallSessionState.aiActive, CallSessionState.connecting, CallSessionState.ending, CallSessionState.ended, CallSessionState.failed],
+  [CallSessionState.ending]: [CallSessionState.ended, CallSessionState.failed],
+  [CallSessionState.ended]: [CallSessionState.idle, CallSessionState.starting],
+  [CallSessionState.failed]: [CallSessionState.idle, CallSessionState.starting]
+};
+
+// States in which the conversation WebSocket is open
+const connectedStates = [
+  CallSessionState.aiActive,
+  CallSessionState.agentReady,
+  CallSessionState.humanActive
+];
+
+// States in which a call is in progress (between start and end)
+const activeStates = [
+  CallSessionState.starting,
+  CallSessionState.waitingForJob,
+  CallSessionState.connecting,
+  ...connectedStates,
+  CallSessionState.ending
+];
+
+/**
+ * Call Session
+ *
+ * Holds the state of a single call and notifies subscribers whenever
+ * it changes. One instance is reused for every call in the page.
+ *
+ * Usage Example:
+ * const session = new CallSession();
+ * session.subscribe((event) => console.log(event.state));
+ * session.start(claimId);
+ * session.transition(CallSessionState.waitingForJob, { jobId });
+ */
+class CallSession {
+  constructor() {
+    this._listeners = new Set();
+    this.state = CallSessionState.idle;
+    this._resetData();
+  }
+
+  /**
+   * Resets per-call data to its initial values.
+   *
+   * @returns {void}
+   */
+  _resetData() {
+    this.claimId = null;
+    this.jobId = null;
+    this.takeOverType = null;
+    this.isOutputMuted = false;
+    this.isInputMuted = false;
+    this.reconnectAttempt = 0;
+    this.error = null;
+  }
+
+  /**
+   * Whether the conversation WebSocket is currently open.
+   *
+   * @returns {boolean}
+   */
+  get isConnected() {
+    return connectedStates.includes(this.state);
+  }
+
+  /**
+   * Whether a call is in progress (started and not yet ended or failed).
+   *
+   * @returns {boolean}
+   */
+  get isActive() {
+    return activeStates.includes(this.state);
+  }
+
+  /**
+   * Whether the browser user has taken over the call. This stays true
+   * while a dropped connection is being re-established.
+   *
+   * @returns {boolean}
+   */
+  get hasTakenOver() {
+    return this.takeOverType !== null;
+  }
+
+  /**
+   * Whether a dropped connection is currently being re-established.
+   *
+   * @returns {boolean}
+   */
+  get isReconnecting() {
+    return this.state === CallSessionState.connecting && this.reconnectAttempt > 0;
+  }
+
+  /**
+   * Whether a payer representative is waiting for a human to take over.
+   *
+   * @returns {boolean}
+   */
+  get payerAgentReady() {
+    return this.state === CallSessionState.agentReady;
+  }
+
+  /**
+   * Checks whether the session may move to the given state.
+   *
+   * @param {string} nextState - One of CallSessionState
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(nextState) {
+    const allowed = CallSessionTransitions[this.state] || [];
+    return allowed.includes(nextState);
+  }
+
+  /**
+   * Moves the session to a new state.
+   *
+   * Validates the transition, applies any accompanying data changes and
+   * notifies subscribers with a 'state' event.
+   *
+   * @param {string} nextState - One of CallSessionState
+   * @param {Object} [data={}] - Session data to update with the transition
+   * @returns {void}
+   * @throws {Error} If the transition is not allowed from the current state
+   *
+   * Usage Example:
+   * session.transition(CallSessionState.failed, { error });
+   */
+  transition(nextState, data = {}) {
+    if (!this.canTransition(nextState)) {
+      throw new Error(`Invalid call session transition: ${this.state} -> ${nextState}`);
+    }
+
+    const previousState = this.state;
+    Object.assign(this, data);
+    this.state = nextState;
+
+    console.log('Call session state:', previousState, '->', nextState);
+    this._emit({ type: 'state', previousState, state: nextState });
+  }
+
+  /**
+   * Starts a new call session for a claim.
+   *
+   * Clears the data of any previous call and moves to 'starting'.
+   *
+   * @param {string} claimId - Claim the call is made for
+   * @returns {void}
+   * @throws {Error} If a call is already in progress
+   */
+  start(claimId) {
+    if (!this.canTransition(CallSessionState.starting)) {
+      throw new Error(`Cannot start a call while the session is ${this.state}`);
+    }
+
+    this._resetData();
+    this.transition(CallSessionState.starting, { claimId });
+  }
+
+  /**
+   * Updates session data without changing state and notifies
+   * subscribers with a 'change' event.
+   *
+   * @param {Object} data - Session data to update
+   * @returns {void}
+   *
+   * Usage Example:
+   * session.update({ isOutputMuted: true });
+   */
+  update(data) {
+    Object.assign(this, data);
+    this._emit({ type: 'change', previousState: this.state, state: this.state });
+  }
+
+  /**
+   * Subscribes to session events.
+   *
+   * @param {Function} listener - Called with ({ type, previousState, state, session })
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Notifies all subscribers. A failing listener does not prevent
+   * the others from being called.
+   *
+   * @param {Object} event - Event to deliver
+   * @returns {void}
+   */
+  _emit(event) {
+    const payload = { ...event, session: this };
+    this._listeners.forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error('Call session listener failed:', error);
+      }
+    });
+  }
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Classes:
+ * - CallSession: Call lifecycle state machine
+ *
+ * Exported Constants:
+ * - CallSessionState: Named call states
+ * - CallSessionTransitions: Allowed state transitions
+ */
+window.CallSession = CallSession;
+window.CallSessionState = CallSessionState;
+window.CallSessionTransitions = CallSessionTransitions;
@@ -0,0 +1,530 @@
+/**
+ * Claim Queue Module - Back-to-Back Calls for a List of Claims
+ *
+ * This module keeps a work queue of claims and dials them one after the
+ * other. Claim IDs or claim URLs can be pasted or imported from a file;
+ * each entry is parsed with extractClaimIdFromUrl(). While the queue is
+ * running, the next pending claim is started with handleConnect() as
+ * soon as the previous call has ended and its wrap-up is finished.
+ *
+ * Item Statuses:
+ * - pending: Waiting to be called
+ * - in-progress: Call for this claim is running
+ * - done: Call was connected and has ended
+ * - failed: Call could not be started or was lost
+ * - skipped: Skipped by the agent, or cancelled before it connected
+ *
+ * Global State Variables:
+ * - queueItems: Queue entries in call order
+ * - queueRunning: Whether the queue starts calls automatically
+ * - activeItemId: Entry whose call is currently running
+ * - awaitingWrapUp: Whether the queue waits for the agent to finish
+ *   the wrap-up form of the last call before dialing the next claim
+ *
+ * Persistence:
+ * - Entries are stored in localStorage under 'claimQueue' so the queue
+ *   survives a page refresh. Entries that were in progress when the
+ *   page was left are put back to pending and the queue is paused.
+ *
+ * Dependencies:
+ * - window.extractClaimIdFromUrl and window.createLocalId (utils.js)
+ * - window.handleConnect (main.js)
+ * - window.whenWrapUpComplete (wrapUp.js)
+ * - Call session events (callSession.js)
+ *
+ * Usage: This module is imported by main.js, which calls initClaimQueue()
+ * with the call session during application start.
+ */
+
+const ClaimQueueStatus = {
+  pending: 'pending',
+  inProgress: 'in-progress',
+  done: 'done',
+  failed: 'failed',
+  skipped: 'skipped'
+};
+
+const claimQueueStorageKey = 'claimQueue';
+
+// Queue state
+let queueItems = [];
+let queueRunning = false;
+let activeItemId = null;
+let awaitingWrapUp = false;
+let queueCallSession = null;
+
+/**
+ * Loads the queue from localStorage.
+ *
+ * Entries that were in progress when the page was left are put back to
+ * pending, since their call did not survive the refresh.
+ *
+ * @returns {void}
+ */
+function loadClaimQueue() {
+  try {
+    const stored = localStorage.getItem(claimQueueStorageKey);
+    const parsed = stored ? JSON.parse(stored) : [];
+    queueItems = Array.isArray(parsed) ? parsed : [];
+    queueItems.forEach(item => {
+      if (item.status === ClaimQueueStatus.inProgress) {
+        item.status = ClaimQueueStatus.pending;
+        item.error = null;
+      }
+    });
+  } catch (error) {
+    console.error('Error loading claim queue from localStorage:', error);
+    localStorage.removeItem(claimQueueStorageKey);
+    queueItems = [];
+  }
+}
+
+/**
+ * Saves the queue to localStorage.
+ *
+ * @returns {void}
+ */
+function saveClaimQueue() {
+  try {
+    localStorage.setItem(claimQueueStorageKey, JSON.stringify(queueItems));
+  } catch (error) {
+    console.error('Error saving claim queue to localStorage:', error);
+  }
+}
+
+/**
+ * Parses pasted or imported text into claim IDs.
+ *
+ * Entries may be separated by new lines, commas, semicolons or spaces.
+ * Each entry may be a claim ID or a claim URL.
+ *
+ * @param {string} text - Raw text containing claim IDs or URLs
+ * @returns {{claimIds: Array<string>, invalid: Array<string>}} Parsed
+ *   claim IDs in input order and the entries that contained no claim ID
+ *
+ * Usage Example:
+ * parseClaimList('https://app.com/claim/8dc1...\n1a2b...');
+ */
+function parseClaimList(text) {
+  const claimIds = [];
+  const invalid = [];
+
+  (text || '').split(/[\s,;]+/).forEach(entry => {
+    if (!entry) {
+      return;
+    }
+    const claimId = window.extractClaimIdFromUrl(entry);
+    if (claimId) {
+      claimIds.push(claimId);
+    } else {
+      invalid.push(entry);
+    }
+  });
+
+  return { claimIds, invalid };
+}
+
+/**
+ * Adds claims from pasted or imported text to the end of the queue.
+ *
+ * Claims that are already pending or in progress are not added twice.
+ *
+ * @param {string} text - Raw text containing claim IDs or URLs
+ * @returns {{added: number, duplicates: number, invalid: Array<string>}}
+ *
+ * Usage Example:
+ * const result = addClaimsToQueue(textarea.value);
+ */
+function addClaimsToQueue(text) {
+  const { claimIds, invalid } = parseClaimList(text);
+  let added = 0;
+  let duplicates = 0;
+
+  claimIds.forEach(claimId => {
+    const queued = queueItems.some(item =>
+      item.claimId === claimId &&
+      (item.status === ClaimQueueStatus.pending || item.status === ClaimQueueStatus.inProgress));
+    if (queued) {
+      duplicates++;
+      return;
+    }
+
+    queueItems.push({
+      id: window.createLocalId(),
+      claimId,
+      status: ClaimQueueStatus.pending,
+      jobId: null,
+      error: null,
+      connected: false,
+      updatedAt: new Date().toISOString()
+    });
+    added++;
+  });
+
+  saveClaimQueue();
+  renderClaimQueue();
+  return { added, duplicates, invalid };
+}
+
+/**
+ * Updates a queue entry and persists the queue.
+ *
+ * @param {Object} item - Queue entry to update
+ * @param {Object} changes - Properties to change
+ * @returns {void}
+ */
+function updateQueueItem(item, changes) {
+  Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+  saveClaimQueue();
+  renderClaimQueue();
+}
+
+/**
+ * Gets the entry whose call is currently running.
+ *
+ * @returns {Object|null}
+ */
+function getActiveQueueItem() {
+  return queueItems.find(item => item.id === activeItemId) || null;
+}
+
+/**
+ * Starts (or resumes) dialing the pending claims in order.
+ *
+ * @returns {void}
+ */
+function startClaimQueue() {
+  queueRunning = true;
+  renderClaimQueue();
+  advanceClaimQueue();
+}
+
+/**
+ * Pauses the queue. The current call is not affected; no further
+ * claims are dialed until the queue is started again.
+ *
+ * @returns {void}
+ */
+function pauseClaimQueue() {
+  queueRunning = false;
+  renderClaimQueue();
+}
+
+/**
+ * Finishes the wrap-up of the last queued call and dials the next
+ * pending claim if the queue is running.
+ *
+ * @returns {void}
+ */
+function continueClaimQueue() {
+  awaitingWrapUp = false;
+  renderClaimQueue();
+  advanceClaimQueue();
+}
+
+/**
+ * Marks a pending entry as skipped.
+ *
+ * @param {string} itemId - Queue entry ID
+ * @returns {void}
+ */
+function skipClaimQueueItem(itemId) {
+  const item = queueItems.find(entry => entry.id === itemId);
+  if (item && item.status === ClaimQueueStatus.pending) {
+    updateQueueItem(item, { status: ClaimQueueStatus.skipped });
+  }
+}
+
+/**
+ * Removes an entry that is not currently being called.
+ *
+ * @param {string} itemId - Queue entry ID
+ * @returns {void}
+ */
+function removeClaimQueueItem(itemId) {
+  if (itemId === activeItemId) {
+    return;
+  }
+  queueItems = queueItems.filter(item => item.id !== itemId);
+  saveClaimQueue();
+  renderClaimQueue();
+}
+
+/**
+ * Removes all entries that are done, failed or skipped.
+ *
+ * @returns {void}
+ */
+function clearFinishedClaimQueueItems() {
+  queueItems = queueItems.filter(item =>
+    item.status === ClaimQueueStatus.pending || item.status === ClaimQueueStatus.inProgress);
+  saveClaimQueue();
+  renderClaimQueue();
+}
+
+/**
+ * Dials the next pending claim if the queue is running and idle.
+ *
+ * Nothing happens while a call is in progress, while the queue waits
+ * for the wrap-up of the previous call, or when no claim is pending.
+ *
+ * If the call cannot even be started (for example because the agent is
+ * signed out or the token request fails), the next claim would fail the
+ * same way, so the claim is put back to pending and the queue is paused
+ * until the agent starts it again.
+ *
+ * @returns {Promise<void>} Resolves once the next call has been started
+ */
+async function advanceClaimQueue() {
+  if (!queueRunning || awaitingWrapUp || activeItemId) {
+    return;
+  }
+  if (queueCallSession && queueCallSession.isActive) {
+    return;
+  }
+
+  const nextItem = queueItems.find(item => item.status === ClaimQueueStatus.pending);
+  if (!nextItem) {
+    queueRunning = false;
+    renderClaimQueue();
+    console.log('Claim queue finished');
+    return;
+  }
+
+  activeItemId = nextItem.id;
+  nextItem.started = false;
+  updateQueueItem(nextItem, { status: ClaimQueueStatus.inProgress, error: null, connected: false });
+
+  if (window.handleConnect) {
+    await window.handleConnect(nextItem.claimId);
+  }
+
+  // handleConnect reports problems before the call starts (e.g. missing
+  // authentication) without touching the call session
+  if (activeItemId === nextItem.id && !nextItem.started) {
+    activeItemId = null;
+    queueRunning = false;
+    updateQueueItem(nextItem, { status: ClaimQueueStatus.pending, error: 'Call could not be started' });
+    console.warn('Claim queue paused: call could not be started');
+  }
+}
+
+/**
+ * Records the outcome of the running entry and moves the queue on.
+ *
+ * After a call that connected the queue waits for the wrap-up, whether
+ * the call ended or failed later; after a call that started but never
+ * connected it continues with the next claim.
+ *
+ * @param {string} status - Final ClaimQueueStatus of the entry
+ * @param {string|null} [error=null] - Error message for failed entries
+ * @returns {void}
+ */
+function finishActiveQueueItem(status, error = null) {
+  const item = getActiveQueueItem();
+  activeItemId = null;
+  if (!item) {
+    return;
+  }
+
+  updateQueueItem(item, { status, error });
+  // The wrap-up form opens for every call that connected, even one
+  // that was lost afterwards
+  awaitingWrapUp = queueRunning && item.connected;
+  renderClaimQueue();
+
+  if (awaitingWrapUp) {
+    // Wait until the other session listeners have run, so the wrap-up
+    // form for this call is open before asking whether it is complete
+    Promise.resolve()
+      .then(() => (window.whenWrapUpComplete ? window.whenWrapUpComplete() : undefined))
+      .then(continueClaimQueue);
+  } else {
+    // Let the call teardown finish before dialing the next claim
+    setTimeout(advanceClaimQueue, 0);
+  }
+}
+
+/**
+ * Tracks the running entry through call session events.
+ *
+ * @param {Object} event - Call session event ({ type, state, session })
+ * @returns {void}
+ */
+function handleQueueSessionEvent(event) {
+  const item = getActiveQueueItem();
+  if (!item || event.type !== 'state') {
+    return;
+  }
+
+  const { session, state } = event;
+
+  if (state === 'starting') {
+    item.started = true;
+  } else if (state === 'waiting-for-job') {
+    updateQueueItem(item, { jobId: session.jobId });
+  } else if (session.isConnected && !item.connected) {
+    updateQueueItem(item, { connected: true });
+  } else if (state === 'ended') {
+    finishActiveQueueItem(item.connected ? ClaimQueueStatus.done : ClaimQueueStatus.skipped);
+  } else if (state === 'failed') {
+    finishActiveQueueItem(ClaimQueueStatus.failed, session.error ? session.error.message : 'Call failed');
+  }
+}
+
+/**
+ * Renders the queue panel.
+ *
+ * Builds the list with DOM APIs and textContent so imported text is
+ * never interpreted as markup.
+ *
+ * @returns {void}
+ */
+function renderClaimQueue() {
+  const list = document.getElementById('claimQueueList');
+  const summary = document.getElementById('claimQueueSummary');
+  const startBtn = document.getElementById('claimQueueStartBtn');
+  const pauseBtn = document.getElementById('claimQueuePauseBtn');
+
+  const pendingCount = queueItems.filter(item => item.status === ClaimQueueStatus.pending).length;
+
+  if (summary) {
+    const doneCount = queueItems.filter(item => item.status === ClaimQueueStatus.done).length;
+    summary.textContent = awaitingWrapUp
+      ? `Waiting for wrap-up, ${pendingCount} pending`
+      : `${pendingCount} pending, ${doneCount} done of ${queueItems.length}`;
+  }
+  if (startBtn) {
+    startBtn.disabled = queueRunning || pendingCount === 0;
+  }
+  if (pauseBtn) {
+    pauseBtn.disabled = !queueRunning;
+  }
+
+  if (!list) {
+    return;
+  }
+
+  list.textContent = '';
+  queueItems.forEach((item, index) => {
+    const row = document.createElement('li');
+    row.className = `claim-queue-item ${item.status}`;
+
+    const label = document.createElement('span');
+    label.className = 'claim-queue-claim';
+    label.textContent = `${index + 1}. ${item.claimId}`;
+    label.title = item.error || item.claimId;
+    row.appendChild(label);
+
+    const status = document.createElement('span');
+    status.className = 'claim-queue-status';
+    status.textContent = item.status;
+    row.appendChild(status);
+
+    if (item.status === ClaimQueueStatus.pending) {
+      const skipBtn = document.createElement('button');
+      skipBtn.type = 'button';
+      skipBtn.textContent = 'Skip';
+      skipBtn.addEventListener('click', () => skipClaimQueueItem(item.id));
+      row.appendChild(skipBtn);
+    }
+
+    if (item.id !== activeItemId) {
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove from queue';
+      removeBtn.addEventListener('click', () => removeClaimQueueItem(item.id));
+      row.appendChild(removeBtn);
+    }
+
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Reports the result of adding claims to the queue.
+ *
+ * @param {Object} result - Result of addClaimsToQueue()
+ * @returns {void}
+ */
+function reportQueueImport(result) {
+  console.log('Claims added to queue:', result.added, 'duplicates:', result.duplicates);
+  if (result.invalid.length > 0 && window.showError) {
+    window.showError(`${result.invalid.length} entries did not contain a claim ID and were not added`);
+  }
+}
+
+/**
+ * Initializes the claim queue.
+ *
+ * @param {CallSession} callSession - Session whose events drive the queue
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Loads the persisted queue
+ * 2. Subscribes to call session events
+ * 3. Binds the queue panel controls (add, import, start, pause, clear)
+ * 4. Renders the queue
+ *
+ * Usage Example:
+ * initClaimQueue(callSession);
+ */
+function initClaimQueue(callSession) {
+  queueCallSession = callSession;
+  loadClaimQueue();
+  callSession.subscribe(handleQueueSessionEvent);
+
+  const input = document.getElementById('claimQueueInput');
+  const addBtn = document.getElementById('claimQueueAddBtn');
+  if (addBtn && input) {
+    addBtn.addEventListener('click', () => {
+      reportQueueImport(addClaimsToQueue(input.value));
+      input.value = '';
+    });
+  }
+
+  const fileInput = document.getElementById('claimQueueFile');
+  if (fileInput) {
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (file) {
+        reportQueueImport(addClaimsToQueue(await file.text()));
+      }
+      fileInput.value = '';
+    });
+  }
+
+  const bindings = {
+    claimQueueStartBtn: startClaimQueue,
+    claimQueuePauseBtn: pauseClaimQueue,
+    claimQueueClearBtn: clearFinishedClaimQueueItems
+  };
+  Object.keys(bindings).forEach(id => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.addEventListener('click', bindings[id]);
+    }
+  });
+
+  renderClaimQueue();
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Constants:
+ * - ClaimQueueStatus: Queue entry statuses
+ *
+ * Exported Functions:
+ * - initClaimQueue: Initialize the queue with the call session
+ * - addClaimsToQueue: Add claims from text
+ * - startClaimQueue / pauseClaimQueue: Control automatic dialing
+ * - continueClaimQueue: Finish wrap-up and dial the next claim
+ */
+window.ClaimQueueStatus = ClaimQueueStatus;
+window.initClaimQueue = initClaimQueue;
+window.addClaimsToQueue = addClaimsToQueue;
+window.startClaimQueue = startClaimQueue;
+window.pauseClaimQueue = pauseClaimQueue;
+window.continueClaimQueue = continueClaimQueue;
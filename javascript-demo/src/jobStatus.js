@@ -0,0 +1,320 @@
+/**
+ * Job Status Module - Call Job Readiness Polling
+ *
+ * This module turns the numeric job statuses reported by the claims API
+ * into named phases and polls a call job until it is ready for the
+ * WebSocket connection. Polling backs off between requests, gives up
+ * after an overall timeout, stops immediately on terminal failures and
+ * can be cancelled at any time with an AbortSignal.
+ *
+ * Job Phases:
+ * - queued: The call job was created and is waiting to be processed
+ * - dialing: The payer phone number is being dialed
+ * - ringing: The payer phone is ringing
+ * - ready: The call is live and the browser can connect
+ * - failed: The call could not be placed or is over (terminal)
+ *
+ * Which numeric status means which phase is configured with
+ * APP_JOB_STATUS_PHASES. Statuses that are not configured have no phase;
+ * polling keeps waiting on them. Whether a call whose connection closed
+ * is still live is decided by isJobLive().
+ *
+ * Dependencies:
+ * - A status fetch function supplied by the caller (see main.js
+ *   checkJobStatus)
+ *
+ * Usage: This module is imported by main.js, which uses it to wait for
+ * a call job after startCall() and to check whether a dropped call is
+ * still live.
+ */
+
+/**
+ * Job Phase Enumeration
+ *
+ * Named phases of a call job. The string values are shown in the
+ * loading overlay while waiting for the job.
+ */
+const JobPhase = {
+  queued: 'queued',
+  dialing: 'dialing',
+  ringing: 'ringing',
+  ready: 'ready',
+  failed: 'failed'
+};
+
+/**
+ * Default Numeric Job Status to Phase Mapping
+ *
+ * Status 1 (job created, processing) and 2 (ready for WebSocket
+ * connection) are the only values the claims API is known to report.
+ * Further statuses, such as the ones for ringing or a failed call, are
+ * added with APP_JOB_STATUS_PHASES.
+ */
+const defaultJobStatusPhases = {
+  1: JobPhase.dialing,
+  2: JobPhase.ready
+};
+
+/**
+ * Gets the numeric job status to phase mapping.
+ *
+ * Configured with APP_JOB_STATUS_PHASES as a comma separated list of
+ * status=phase pairs, which replace the defaults. Entries with an
+ * unknown phase name are ignored.
+ *
+ * @returns {Object} Phase names keyed by numeric status
+ *
+ * Usage Example:
+ * // APP_JOB_STATUS_PHASES="0=queued,1=dialing,5=ringing,2=ready,3=failed"
+ * getJobStatusPhases(); // { 0: 'queued', 1: 'dialing', 5: 'ringing', ... }
+ */
+function getJobStatusPhases() {
+  const configured = (process.env.APP_JOB_STATUS_PHASES || '').replace(/^\"|\"$/g, '');
+  if (!configured.trim()) {
+    return defaultJobStatusPhases;
+  }
+
+  const phases = {};
+  configured.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [status, phase = ''] = entry.split('=').map(part => part.trim());
+      if (Object.values(JobPhase).includes(phase.toLowerCase())) {
+        phases[status] = phase.toLowerCase();
+      } else {
+        console.warn('Ignoring job status phase entry:', entry);
+      }
+    });
+  return phases;
+}
+
+const jobStatusPhases = getJobStatusPhases();
+
+// Whether a status is configured as failed, so the claims API's end of a
+// call can be recognized without assuming that every other status is over
+const hasFailedJobStatus = Object.values(jobStatusPhases).includes(JobPhase.failed);
+
+/**
+ * Loading overlay messages for each job phase.
+ */
+const jobPhaseMessages = {
+  [JobPhase.queued]: 'Call queued...',
+  [JobPhase.dialing]: 'Dialing payer...',
+  [JobPhase.ringing]: 'Ringing...',
+  [JobPhase.ready]: 'Call ready, connecting...',
+  [JobPhase.failed]: 'Call failed'
+};
+
+/**
+ * Default Polling Settings
+ *
+ * - initialDelayMs: Delay before the second status request
+ * - maxDelayMs: Upper bound for the delay between requests
+ * - backoffFactor: Multiplier applied to the delay after each request
+ * - timeoutMs: Overall time to wait for the job to become ready
+ */
+const defaultJobPollSettings = {
+  initialDelayMs: 1000,
+  maxDelayMs: 5000,
+  backoffFactor: 1.5,
+  timeoutMs: 60000
+};
+
+/**
+ * Gets the named phase of a job status response.
+ *
+ * Numeric statuses are mapped through jobStatusPhases. Textual statuses
+ * (for example "Ringing") are matched against the phase names.
+ *
+ * @param {Object} jobStatus - Job status response from the claims API
+ * @returns {string|null} One of JobPhase, or null for a status that is
+ *   not configured (still in progress)
+ *
+ * Usage Example:
+ * getJobPhase({ status: 2 }); // 'ready'
+ */
+function getJobPhase(jobStatus) {
+  const status = jobStatus ? jobStatus.status : undefined;
+
+  if (typeof status === 'string') {
+    const phase = JobPhase[status.toLowerCase()];
+    if (phase) {
+      return phase;
+    }
+  }
+
+  return jobStatusPhases[status] || null;
+}
+
+/**
+ * Checks whether a job may still have a live call.
+ *
+ * Without a status configured as failed, only a ready job is live, so a
+ * call the payer hung up (whatever status the job moves to) ends rather
+ * than being reconnected. Once a failed status is configured, only that
+ * status ends the call and unconfigured statuses are treated as live.
+ *
+ * @param {Object} jobStatus - Job status response from the claims API
+ * @returns {boolean} True if the call may still be live
+ *
+ * Usage Example:
+ * isJobLive({ status: 2 }); // true
+ * isJobLive({ status: 4 }); // false with the default mapping
+ */
+function isJobLive(jobStatus) {
+  const phase = getJobPhase(jobStatus);
+  if (!hasFailedJobStatus) {
+    return phase === JobPhase.ready;
+  }
+  return phase !== JobPhase.failed;
+}
+
+/**
+ * Gets the loading overlay message for a job phase.
+ *
+ * @param {string} phase - One of JobPhase
+ * @returns {string} Message describing the phase
+ */
+function getJobPhaseMessage(phase) {
+  return jobPhaseMessages[phase] || 'Connecting to call...';
+}
+
+/**
+ * Creates the error thrown when polling is cancelled.
+ *
+ * The error has the name 'AbortError', like the one thrown by fetch(),
+ * so callers can handle both the same way.
+ *
+ * @returns {Error}
+ */
+function createAbortError() {
+  const error = new Error('Waiting for the call was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Waits for the given time unless the signal is aborted first.
+ *
+ * @param {number} delayMs - Time to wait in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>} Resolves after the delay, rejects with an
+ *   AbortError when cancelled
+ */
+function waitForDelay(delayMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', handleAbort);
+      }
+      resolve();
+    }, delayMs);
+
+    function handleAbort() {
+      clearTimeout(timer);
+      reject(createAbortError());
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', handleAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Polls a call job until it is ready for the WebSocket connection.
+ *
+ * @param {Function} fetchStatus - Called with the AbortSignal, resolves
+ *   to the job status response
+ * @param {Object} [options={}] - Polling options
+ * @param {AbortSignal} [options.signal] - Cancels polling and the pending request
+ * @param {Function} [options.onPhase] - Called with (phase, jobStatus) when the phase changes
+ * @param {number} [options.initialDelayMs] - See defaultJobPollSettings
+ * @param {number} [options.maxDelayMs] - See defaultJobPollSettings
+ * @param {number} [options.backoffFactor] - See defaultJobPollSettings
+ * @param {number} [options.timeoutMs] - See defaultJobPollSettings
+ * @returns {Promise<Object>} The job status response once the job is ready
+ *
+ * Functionality:
+ * 1. Requests the job status and maps it to a phase
+ * 2. Reports phase changes through onPhase
+ * 3. Resolves as soon as the job is ready
+ * 4. Waits with growing delays between requests
+ *
+ * Error Handling:
+ * - Throws immediately when the job reaches the failed phase
+ * - Throws when the job is not ready within timeoutMs
+ * - Throws an AbortError when the signal is aborted
+ *
+ * Usage Example:
+ * const jobStatus = await pollJobUntilReady(
+ *   (signal) => checkJobStatus(jobId, token, { signal }),
+ *   { signal: controller.signal, onPhase: (phase) => console.log(phase) }
+ * );
+ */
+async function pollJobUntilReady(fetchStatus, options = {}) {
+  const settings = { ...defaultJobPollSettings, ...options };
+  const { signal, onPhase } = settings;
+  const deadline = Date.now() + settings.timeoutMs;
+  let delayMs = settings.initialDelayMs;
+  let lastPhase = null;
+
+  while (true) {
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+
+    const jobStatus = await fetchStatus(signal);
+    const phase = getJobPhase(jobStatus);
+
+    if (phase !== lastPhase) {
+      console.log('Job phase:', phase, `(status ${jobStatus.status})`);
+      lastPhase = phase;
+      if (onPhase) {
+        onPhase(phase, jobStatus);
+      }
+    }
+
+    if (phase === JobPhase.ready) {
+      return jobStatus;
+    }
+
+    if (phase === JobPhase.failed) {
+      throw new Error(`Call could not be placed (job status ${jobStatus.status}).`);
+    }
+
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      throw new Error(`Job did not reach ready state after ${Math.round(settings.timeoutMs / 1000)} seconds.`);
+    }
+
+    await waitForDelay(Math.min(delayMs, remainingMs), signal);
+    delayMs = Math.min(delayMs * settings.backoffFactor, settings.maxDelayMs);
+  }
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Constants:
+ * - JobPhase: Named job phases
+ * - jobStatusPhases: Numeric status to phase mapping (configured)
+ *
+ * Exported Functions:
+ * - getJobPhase: Map a job status response to a phase
+ * - isJobLive: Whether a job may still have a live call
+ * - getJobPhaseMessage: Loading message for a phase
+ * - pollJobUntilReady: Poll a job until it is ready
+ */
+window.JobPhase = JobPhase;
+window.jobStatusPhases = jobStatusPhases;
+window.getJobPhase = getJobPhase;
+window.isJobLive = isJobLive;
+window.getJobPhaseMessage = getJobPhaseMessage;
+window.pollJobUntilReady = pollJobUntilReady;
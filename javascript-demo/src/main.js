@@ -43,6 +43,18 @@ if (typeof window !== 'undefined') {
  *    - Logs each attempt and failure
  *    - Throws error if all paths fail
  *
+ * 4. Context Tracking:
+ *    - Records every context that loads the softphone worklet in
+ *      window.softphoneAudioContexts so they can be closed when a call
+ *      is torn down without reloading the page
+ *
+ * 5. Microphone Routing:
+ *    - Microphone sources created in a softphone context are connected
+ *      through a GainNode kept in audioContext.softphoneMicrophone
+ *      ({ input, source, stream }), so the microphone can be switched
+ *      during a call (see audioDevices.js) and its send gain adjusted
+ *      (see audioLevels.js)
+ *
  * Intercepted Paths:
  * - /softphoneAudioWorklet/SoftPhoneAudioWorklet.js
  * - ./softphoneAudioWorklet/SoftPhoneAudioWorklet.js
@@ -55,6 +67,9 @@ if (typeof window !== 'undefined') {
   // Store the original AudioContext constructor
   const OriginalAudioContext = window.AudioContext || window.webkitAudioContext;
 
+  // Audio contexts that loaded the softphone worklet (closed on call teardown)
+  window.softphoneAudioContexts = new Set();
+
   if (OriginalAudioContext) {
     // Create a wrapper constructor
     function WrappedAudioContext(options) {
@@ -66,6 +81,7 @@ if (typeof window !== 'undefined') {
         // Check if this is the softphone worklet
         if (moduleURL.includes('softphoneAudioWorklet') || moduleURL.includes('SoftPhoneAudioWorklet')) {
           console.log('Intercepted softphone worklet loading request:', moduleURL);
+          window.softphoneAudioContexts.add(audioContext);
 
           // Try multiple paths
           const possiblePaths = [
@@ -93,6 +109,29 @@ if (typeof window !== 'undefined') {
         return originalAddModule.call(this, moduleURL, options);
       };
 
+      // Route softphone microphone sources through a shared input node
+      const originalCreateMediaStreamSource = audioContext.createMediaStreamSource;
+      audioContext.createMediaStreamSource = function(stream) {
+        const source = originalCreateMediaStreamSource.call(this, stream);
+        if (!window.softphoneAudioContexts.has(audioContext)) {
+          return source;
+        }
+
+        if (!audioContext.softphoneMicrophone) {
+          audioContext.softphoneMicrophone = { input: audioContext.createGain(), source: null, stream: null };
+        }
+        const microphone = audioContext.softphoneMicrophone;
+        microphone.source = source;
+        microphone.stream = stream;
+
+        const originalConnect = source.connect;
+        source.connect = function(destination, ...rest) {
+          originalConnect.call(source, microphone.input);
+          return microphone.input.connect(destination, ...rest);
+        };
+        return source;
+      };
+
       return audioContext;
     }
 
@@ -108,6 +147,93 @@ if (typeof window !== 'undefined') {
   }
 })();
 
+/**
+ * Softphone Audio Tap - Immediately Invoked Function Expression (IIFE)
+ *
+ * This function wraps the AudioWorkletNode constructor so the audio that
+ * passes through the softphone worklet can be observed without changing
+ * the softphone package. Only nodes of the 'softphone-audio-worklet'
+ * processor are tapped; their messages are still delivered unchanged.
+ *
+ * Tapped Messages:
+ * - inbound: Messages the package posts to the worklet port to be played
+ *   ({ payload } with base64 mu-law payer/AI audio)
+ * - outbound: OutboundAudio messages the worklet posts back with the
+ *   agent's microphone audio (base64 mu-law)
+ *
+ * Listeners added with window.subscribeSoftphoneAudio(listener) receive
+ * { direction, payload, node } for every tapped message and get an
+ * unsubscribe function back.
+ *
+ * Playback Routing:
+ * - The worklet output is connected through a GainNode kept in
+ *   audioContext.softphonePlayback ({ output }), so the playback
+ *   volume can be adjusted (see audioLevels.js)
+ *
+ * Usage: Automatically executed when file loads
+ */
+(function() {
+  const OriginalAudioWorkletNode = window.AudioWorkletNode;
+  const softphoneAudioListeners = new Set();
+
+  // Delivers a tapped message to every listener
+  function notifySoftphoneAudio(direction, payload, node) {
+    softphoneAudioListeners.forEach(listener => {
+      try {
+        listener({ direction, payload, node });
+      } catch (error) {
+        console.error('Error in softphone audio listener:', error);
+      }
+    });
+  }
+
+  window.subscribeSoftphoneAudio = function(listener) {
+    softphoneAudioListeners.add(listener);
+    return () => softphoneAudioListeners.delete(listener);
+  };
+
+  if (OriginalAudioWorkletNode) {
+    function WrappedAudioWorkletNode(context, name, options) {
+      const node = new OriginalAudioWorkletNode(context, name, options);
+      if (name !== 'softphone-audio-worklet') {
+        return node;
+      }
+
+      // Audio posted to the worklet for playback
+      const originalPostMessage = node.port.postMessage;
+      node.port.postMessage = function(message, ...rest) {
+        if (message && typeof message.payload === 'string') {
+          notifySoftphoneAudio('inbound', message.payload, node);
+        }
+        return originalPostMessage.call(this, message, ...rest);
+      };
+
+      // Microphone audio posted by the worklet
+      node.port.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'OutboundAudio') {
+          notifySoftphoneAudio('outbound', event.data.payload, node);
+        }
+      });
+
+      // Route playback through a shared output node
+      const originalConnect = node.connect;
+      node.connect = function(destination, ...rest) {
+        if (!context.softphonePlayback) {
+          context.softphonePlayback = { output: context.createGain() };
+        }
+        originalConnect.call(node, context.softphonePlayback.output);
+        return context.softphonePlayback.output.connect(destination, ...rest);
+      };
+
+      return node;
+    }
+
+    WrappedAudioWorkletNode.prototype = OriginalAudioWorkletNode.prototype;
+    Object.setPrototypeOf(WrappedAudioWorkletNode, OriginalAudioWorkletNode);
+    window.AudioWorkletNode = WrappedAudioWorkletNode;
+  }
+})();
+
 // Import the softphone package
 import CallService from '@outbound-ai/softphone';
 
@@ -116,20 +242,39 @@ import './style.css';
 
 // Import our modules
 import './utils.js';
+import './audioCodec.js';
 import './auth.js';
+import './callSession.js';
+import './jobStatus.js';
 import './ui.js';
+import './redaction.js';
+import './transcript.js';
+import './transcriptView.js';
+import './transcriptAlerts.js';
+import './callFacts.js';
+import './wrapUp.js';
+import './claimQueue.js';
+import './callHistory.js';
+import './callRecovery.js';
+import './callRecording.js';
+import './audioDevices.js';
+import './audioLevels.js';
+import './audioMeters.js';
 
 // Global variables
 let conversation = null;
 let callService = null;
-let isConnected = false;
-let hasTakenOver = false;
-let payerAgentReady = false;
-window.payerAgentReady = false;
-let takeOverType = null;
 let isLoading = false;
-let isOutputMuted = false;
-let isInputMuted = false;
+let audioWorkletPreloaded = false;
+// Whether the conversation being opened rejoins a call after a reload
+let rejoiningCall = false;
+let connectAbortController = null;
+// Reconnect attempt waiting for its conversation to open ({ conversation, settle })
+let pendingReconnectAttempt = null;
+
+// Single call session shared with the UI module
+const callSession = new window.CallSession();
+window.callSession = callSession;
 
 /**
  * Preloads the audio worklet to ensure it's available before starting calls.
@@ -251,6 +396,44 @@ window.loadAudioWorklet = async function(audioContext, retries = 3) {
 
 // Audio worklet interceptor is set up immediately at the top of the file
 
+/**
+ * Creates a CallService connected to the configured service URI.
+ *
+ * Used on application start and again after every call, so each call
+ * gets a fresh service without reloading the page.
+ *
+ * @returns {CallService} New call service instance with logging attached
+ *
+ * Usage Example:
+ * callService = createCallService();
+ */
+function createCallService() {
+  const serviceUri = (process.env.APP_SERVICE_URI || '').replace(/^\"|\"$/g, ''); // Remove quotes from environment variable
+  console.log('Initializing CallService with URI:', serviceUri);
+  const service = new CallService(serviceUri);
+
+  // Set up logging
+  service.onLog = (message) => {
+    console.log('softphone', message);
+  };
+
+  return service;
+}
+
+/**
+ * Checks whether the page should reload after each call.
+ *
+ * Calls are normally torn down and re-initialized in place. Setting
+ * APP_RELOAD_AFTER_CALL=true restores the old behaviour of reloading the
+ * page after every call as a fallback.
+ *
+ * @returns {boolean} True if the page should reload after a call
+ */
+function shouldReloadAfterCall() {
+  const value = (process.env.APP_RELOAD_AFTER_CALL || '').replace(/^\"|\"$/g, '');
+  return value.toLowerCase() === 'true';
+}
+
 /**
  * Main application initialization function that sets up all components.
  *
@@ -272,7 +455,8 @@ window.loadAudioWorklet = async function(audioContext, retries = 3) {
  *    - Initializes CallService with WebSocket URI
  *    - Sets up logging callbacks
  * 6. Event Listeners: Sets up all UI event handlers
- * 7. Loading Overlay: Hides authentication loading overlay
+ * 7. Call Session: Subscribes the UI to call session changes
+ * 8. Loading Overlay: Hides authentication loading overlay
  *
  * Error Handling:
  * - Wraps each major section in try-catch blocks
@@ -349,14 +533,7 @@ async function initializeApp() {
     }
 
     // Initialize the call service with the service URI
-    const serviceUri = (process.env.APP_SERVICE_URI || '').replace(/^\"|\"$/g, ''); // Remove quotes from environment variable
-    console.log('Initializing CallService with URI:', serviceUri);
-    callService = new CallService(serviceUri);
-
-    // Set up logging
-    callService.onLog = (message) => {
-      console.log('softphone', message);
-    };
+    callService = createCallService();
 
     console.log('Softphone package initialized successfully');
 
@@ -369,7 +546,79 @@ async function initializeApp() {
       console.error('Error details:', error.message);
     }
 
+    // Render call controls from the call session
+    if (window.renderCallSession) {
+      callSession.subscribe(window.renderCallSession);
+      window.renderCallSession();
+    }
+
+    // Keep the structured transcript of each call for export and history
+    if (window.initTranscript) {
+      window.initTranscript(callSession);
+      if (window.renderTranscriptEvent) {
+        window.subscribeTranscript(window.renderTranscriptEvent);
+      }
+      // Search, filters and scrolling apply to the rendered entries
+      if (window.initTranscriptView) {
+        window.initTranscriptView();
+      }
+      // Redact personal data in the displayed and exported transcript
+      if (window.initRedaction) {
+        window.initRedaction();
+        window.subscribeRedaction(() => {
+          window.renderTranscript(window.getTranscriptEntries());
+          window.refreshTranscriptView();
+        });
+      }
+      // Keyword alert rules on the live transcript
+      if (window.initTranscriptAlerts) {
+        window.initTranscriptAlerts();
+      }
+      // Reference numbers, dates and amounts from the call
+      if (window.initCallFacts) {
+        window.initCallFacts();
+      }
+    }
+
+    // Show the wrap-up form after each call and retry unsent wrap-ups
+    if (window.initWrapUp) {
+      window.initWrapUp(callSession);
+    }
+
+    // Restore the claim queue and let it follow the call session
+    if (window.initClaimQueue) {
+      window.initClaimQueue(callSession);
+    }
+
+    // Record calls in the local call history
+    if (window.initCallHistory) {
+      window.initCallHistory(callSession);
+    }
+
+    // Checkpoint the active call and offer to rejoin it after a reload
+    if (window.initCallRecovery) {
+      window.initCallRecovery(callSession);
+    }
+
+    // Record calls to stereo WAV on request
+    if (window.initCallRecording) {
+      window.initCallRecording(callSession);
+    }
+
+    // Microphone and speaker selection
+    if (window.initAudioDevices) {
+      window.initAudioDevices(callSession);
+    }
+
+    // Call volume and microphone gain
+    if (window.initAudioLevels) {
+      window.initAudioLevels(callSession);
+    }
 
+    // Level meters and the "you are muted" warning
+    if (window.initAudioMeters) {
+      window.initAudioMeters(callSession);
+    }
 
     // Hide auth loading overlay
     try {
@@ -400,7 +649,8 @@ async function initializeApp() {
  *
  * This function configures all the necessary event listeners for a conversation
  * instance, including connection state changes, transcript updates, and human
- * agent availability notifications.
+ * agent availability notifications. Connection and agent events are applied
+ * to the call session, which the UI renders from.
  *
  * @param {Conversation} conversation - The conversation instance to set up handlers for
  * @returns {void}
@@ -408,19 +658,25 @@ async function initializeApp() {
  * Functionality:
  * 1. Connection State Handler:
  *    - Listens for connection state changes
- *    - Updates global connection status
- *    - Triggers UI updates for call status and audio status
+ *    - While a reconnect attempt waits for this conversation, reports
+ *      the open or close to reconnectCall() instead
+ *    - Moves the call session to its connected state ('ai-active' or
+ *      'human-active' when the call was already taken over)
+ *    - When a connected call closes, hands over to handleConnectionLost()
+ *      to tell a dropped connection from a real hangup
+ *    - Otherwise ends the call session and tears the call down in place
  *
  * 2. Transcript Handler:
  *    - Listens for new transcript messages
  *    - Appends messages to UI transcript display
  *    - Handles participant ID and type information
+ *    - Checks each message against the alert rules (transcriptAlerts.js)
  *
  * 3. Human Agent Handler:
  *    - Listens for "stop" messages indicating human agent availability
- *    - Sets payerAgentReady flag to true
+ *    - Moves the call session to 'agent-ready'
  *    - Shows notification to user
- *    - Only triggers when takeover hasn't occurred yet
+ *    - Only triggers while the AI agent is still handling the call
  *
  * Event Types Handled:
  * - onConnectionStateChanged: Connection status updates
@@ -434,61 +690,326 @@ function setupConversationHandlers(conversation) {
   if (conversation) {
     conversation.onConnectionStateChanged = (connected) => {
       console.log('Connection state changed:', connected);
-      window.isConnected = connected;
-      if (window.updateCallStatus) {
-        window.updateCallStatus(connected);
+
+      // A reconnect attempt decides itself whether its connection opened
+      if (pendingReconnectAttempt && pendingReconnectAttempt.conversation === conversation) {
+        pendingReconnectAttempt.settle(connected);
+        return;
       }
-      if (window.updateAudioStatus) {
-        window.updateAudioStatus();
+
+      if (connected) {
+        markConversationConnected();
+        return;
       }
 
-          // Clear UI and reload page when connection is lost (call ends)
-    if (!connected) {
-      clearUIAfterCall();
-      // Reload page after a short delay to ensure fresh state for next call
-      setTimeout(() => {
-        reloadPageAfterCall();
-      }, 1000); // 1 second delay to allow UI to update
-    }
+      // A connected call may have dropped rather than ended
+      if (callSession.isConnected) {
+        handleConnectionLost();
+        return;
+      }
+
+      // Connection closed by the other side: the call has ended
+      if (callSession.canTransition(window.CallSessionState.ended)) {
+        callSession.transition(window.CallSessionState.ended);
+      }
+      finishCall();
     };
 
     conversation.onTranscriptAvailable = (participantId, participantType, text) => {
       console.log('Transcript available:', participantId, participantType, text);
       if (window.appendTranscriptMessage) {
-        window.appendTranscriptMessage(participantId, participantType, text);
+        const entry = window.appendTranscriptMessage(participantId, participantType, text);
+        // Highlight, pin and sound alerts for matching alert rules
+        if (window.checkTranscriptAlerts) {
+          window.checkTranscriptAlerts(entry);
+        }
       }
     };
 
     conversation.onHoldForHumanEvent = async (message) => {
-      console.log('Hold for human event:', message);
-      console.log('Message type:', typeof message);
-      console.log('Message value:', message);
-      console.log('takeOverType:', takeOverType);
-      console.log('showHumanRepresentativeNotification available:', !!window.showHumanRepresentativeNotification);
-
-      // Only trigger when message is "stop" and we haven't taken over yet
-      if (message === "stop" && takeOverType === null) {
+      console.log('Hold for human event:', message, 'call state:', callSession.state);
+
+      // Only trigger when message is "stop" and the AI agent still has the call
+      if (message === "stop" && callSession.state === window.CallSessionState.aiActive) {
         console.log('Setting payer agent as ready');
-        payerAgentReady = true;
-        window.payerAgentReady = true;
-        console.log('Agent set as ready:', payerAgentReady);
+        callSession.transition(window.CallSessionState.agentReady);
 
         // Show notification immediately when agent is ready
         if (window.showHumanRepresentativeNotification) {
-          console.log('Calling showHumanRepresentativeNotification...');
           window.showHumanRepresentativeNotification('Payer agent is ready');
         } else {
           console.error('showHumanRepresentativeNotification function not found!');
         }
       } else {
-        console.log('Condition not met: message !== "stop" or takeOverType !== null');
-        console.log('message === "stop":', message === "stop");
-        console.log('takeOverType === null:', takeOverType === null);
+        console.log('Ignoring hold for human event in state:', callSession.state);
       }
     };
   }
 }
 
+/**
+ * Moves the call session into its connected state.
+ *
+ * Called when the conversation reports an open connection. A call that
+ * was taken over before the connection (re)opened goes straight back to
+ * 'human-active'; otherwise the AI agent is in control. After a
+ * reconnect, or when a call is rejoined after a reload, the mute and
+ * takeover state is re-applied to the new conversation first.
+ *
+ * @returns {void}
+ */
+function markConversationConnected() {
+  if (callSession.state !== window.CallSessionState.connecting) {
+    return;
+  }
+
+  const reconnected = callSession.isReconnecting;
+  const rejoined = rejoiningCall;
+  rejoiningCall = false;
+  if (reconnected || rejoined) {
+    restoreConversationState();
+  }
+
+  const nextState = callSession.hasTakenOver
+    ? window.CallSessionState.humanActive
+    : window.CallSessionState.aiActive;
+  callSession.transition(nextState, { reconnectAttempt: 0 });
+
+  if (window.appendTranscriptMessage) {
+    if (reconnected) {
+      window.appendTranscriptMessage(null, 'system', 'Reconnected to the call');
+    } else if (rejoined) {
+      window.appendTranscriptMessage(null, 'system', 'Rejoined the call after the page was reloaded');
+    }
+  }
+}
+
+/**
+ * Reconnect Settings
+ *
+ * Controls how a dropped conversation WebSocket is re-established.
+ * The delay before each attempt doubles from initialDelayMs up to
+ * maxDelayMs; after maxAttempts failed attempts the call is failed.
+ * An attempt whose connection has not opened within openTimeoutMs
+ * counts as failed.
+ */
+const reconnectSettings = {
+  maxAttempts: 8,
+  initialDelayMs: 1000,
+  maxDelayMs: 15000,
+  openTimeoutMs: 10000
+};
+
+/**
+ * Handles a connected call whose WebSocket closed unexpectedly.
+ *
+ * The close event looks the same for a network blip and for the payer
+ * hanging up, so the job is checked before deciding: while the job is
+ * still live (or its status cannot be fetched because the network is
+ * down) the connection is re-established, otherwise the call has ended.
+ *
+ * @returns {Promise<void>} Resolves when the call is reconnected or finished
+ *
+ * Functionality:
+ * 1. Moves the call session to 'connecting' so the UI shows the call is
+ *    not usable, and closes the dead conversation (transcript is kept)
+ * 2. Checks whether the connection dropped or the call ended
+ * 3. Reconnects via reconnectCall() or finishes the call
+ *
+ * Usage Example:
+ * handleConnectionLost();
+ */
+async function handleConnectionLost() {
+  const jobId = callSession.jobId;
+  console.warn('Connection lost, checking whether the call is still live...');
+
+  callSession.transition(window.CallSessionState.connecting);
+  closeConversation();
+
+  const dropped = await isConnectionDropped(jobId);
+
+  // The call may have been ended by the user meanwhile
+  if (callSession.state !== window.CallSessionState.connecting || callSession.jobId !== jobId) {
+    return;
+  }
+
+  if (!dropped) {
+    callSession.transition(window.CallSessionState.ended);
+    finishCall();
+    return;
+  }
+
+  if (window.appendTranscriptMessage) {
+    window.appendTranscriptMessage(null, 'system', 'Connection lost, reconnecting...');
+  }
+  await reconnectCall(jobId);
+}
+
+/**
+ * Checks whether a closed connection was a drop rather than a hangup.
+ *
+ * @param {string} jobId - Job of the call whose connection closed
+ * @returns {Promise<boolean>} True if the call should be reconnected
+ *
+ * Decision:
+ * - Browser offline: dropped
+ * - Job still live (ready, see isJobLive() in jobStatus.js): dropped
+ * - Job status request fails: dropped (the network is most likely down)
+ * - Any other job status: the call has ended
+ */
+async function isConnectionDropped(jobId) {
+  if (!navigator.onLine) {
+    return true;
+  }
+
+  try {
+    const token = await window.getToken();
+    const jobStatus = await checkJobStatus(jobId, token);
+    console.log('Connection closed, job status:', jobStatus.status);
+    return window.isJobLive(jobStatus);
+  } catch (error) {
+    console.warn('Could not check job status after connection loss:', error.message);
+    return true;
+  }
+}
+
+/**
+ * Re-establishes the conversation for a call with backoff.
+ *
+ * Requests a new conversation for the same job until its connection
+ * opens, the call is ended by the user or reconnectSettings.maxAttempts
+ * is reached. A conversation whose connection closes or does not open
+ * within reconnectSettings.openTimeoutMs is closed and the next attempt
+ * is made. The transcript is kept; mute and takeover state are restored
+ * by markConversationConnected() once the new connection is open.
+ *
+ * @param {string} jobId - Job of the call to reconnect
+ * @returns {Promise<void>} Resolves when reconnected, abandoned or failed
+ *
+ * Error Handling:
+ * - Logs each failed attempt and retries after the next backoff delay
+ * - Fails the call session and shows an error after the last attempt
+ *
+ * Usage Example:
+ * await reconnectCall(callSession.jobId);
+ */
+async function reconnectCall(jobId) {
+  const isStillReconnecting = () =>
+    callSession.state === window.CallSessionState.connecting && callSession.jobId === jobId;
+
+  for (let attempt = 1; attempt <= reconnectSettings.maxAttempts; attempt++) {
+    callSession.update({ reconnectAttempt: attempt });
+
+    const delay = Math.min(reconnectSettings.initialDelayMs * 2 ** (attempt - 1), reconnectSettings.maxDelayMs);
+    console.log(`Reconnect attempt ${attempt}/${reconnectSettings.maxAttempts} in ${delay}ms`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    if (!isStillReconnecting()) {
+      return;
+    }
+
+    try {
+      const token = await window.getToken();
+      const newConversation = await callService.getConversationAsync(jobId, token);
+
+      if (!isStillReconnecting()) {
+        if (newConversation.close) {
+          newConversation.close();
+        }
+        return;
+      }
+
+      conversation = newConversation;
+      window.conversation = conversation;
+      setupConversationHandlers(conversation);
+
+      const opened = await waitForReconnectedConversation(newConversation, reconnectSettings.openTimeoutMs);
+      if (!isStillReconnecting()) {
+        return;
+      }
+      if (opened) {
+        markConversationConnected();
+        return;
+      }
+
+      console.warn(`Reconnect attempt ${attempt} failed: the connection did not open`);
+      closeConversation();
+    } catch (error) {
+      console.warn(`Reconnect attempt ${attempt} failed:`, error.message);
+    }
+  }
+
+  if (isStillReconnecting()) {
+    const error = new Error('Lost connection to the call and could not reconnect.');
+    if (window.appendTranscriptMessage) {
+      window.appendTranscriptMessage(null, 'system', error.message, 'error');
+    }
+    callSession.transition(window.CallSessionState.failed, { error });
+    finishCall();
+    if (window.showError) {
+      window.showError(error.message);
+    }
+  }
+}
+
+/**
+ * Waits until a reconnected conversation opens or closes.
+ *
+ * @param {Conversation} reconnected - Conversation of the reconnect attempt
+ * @param {number} timeoutMs - Time to wait for the connection to open
+ * @returns {Promise<boolean>} True if the connection opened; false if it
+ *   closed or did not open in time
+ */
+function waitForReconnectedConversation(reconnected, timeoutMs) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => settle(false), timeoutMs);
+
+    function settle(connected) {
+      clearTimeout(timer);
+      if (pendingReconnectAttempt && pendingReconnectAttempt.conversation === reconnected) {
+        pendingReconnectAttempt = null;
+      }
+      resolve(connected);
+    }
+
+    pendingReconnectAttempt = { conversation: reconnected, settle };
+
+    // The connection may already be open before the handlers were attached
+    if (reconnected.connected) {
+      settle(true);
+    }
+  });
+}
+
+/**
+ * Re-applies the call session's mute and takeover state to the current
+ * conversation after it was re-established.
+ *
+ * @returns {void}
+ */
+function restoreConversationState() {
+  if (!conversation) {
+    return;
+  }
+
+  try {
+    if (callSession.isOutputMuted) {
+      conversation.muteOutput();
+    }
+
+    if (callSession.hasTakenOver) {
+      conversation.agentTakeOver();
+      if (callSession.isInputMuted) {
+        conversation.muteInput();
+      } else {
+        conversation.unmuteInput();
+      }
+    }
+  } catch (error) {
+    console.error('Error restoring conversation state:', error);
+  }
+}
+
 /**
  * Sets up all DOM event listeners for user interactions.
  *
@@ -526,7 +1047,7 @@ function setupConversationHandlers(conversation) {
  * Button IDs Handled:
  * - connectBtn, endCallBtn
  * - muteSpeakerBtn, muteMicBtn
- * - takeOverBtn, errorCloseBtn, logoutBtn
+ * - takeOverBtn, returnToAIBtn, errorCloseBtn, logoutBtn
  * - speechForm, speechInput
  * - .dtmf class elements
  *
@@ -554,23 +1075,12 @@ function setupEventListeners() {
     muteSpeakerBtn.addEventListener('click', () => {
       console.log('Mute speaker clicked');
       if (conversation) {
-        console.log('Before mute - isOutputMuted:', isOutputMuted);
-        if (isOutputMuted) {
-          console.log('Unmuting output');
+        if (callSession.isOutputMuted) {
           conversation.unmuteOutput();
-          isOutputMuted = false;
-          window.isOutputMuted = false;
         } else {
-          console.log('Muting output');
           conversation.muteOutput();
-          isOutputMuted = true;
-          window.isOutputMuted = true;
-        }
-        console.log('After mute - isOutputMuted:', isOutputMuted);
-        console.log('After mute - window.isOutputMuted:', window.isOutputMuted);
-        if (window.updateAudioStatus) {
-          window.updateAudioStatus();
         }
+        callSession.update({ isOutputMuted: !callSession.isOutputMuted });
       }
     });
   }
@@ -580,25 +1090,7 @@ function setupEventListeners() {
   if (muteMicBtn) {
     muteMicBtn.addEventListener('click', () => {
       console.log('Mute mic clicked');
-      if (conversation && hasTakenOver) {
-        console.log('Before mute - isInputMuted:', isInputMuted);
-        if (isInputMuted) {
-          console.log('Unmuting input');
-          conversation.unmuteInput();
-          isInputMuted = false;
-          window.isInputMuted = false;
-        } else {
-          console.log('Muting input');
-          conversation.muteInput();
-          isInputMuted = true;
-          window.isInputMuted = true;
-        }
-        console.log('After mute - isInputMuted:', isInputMuted);
-        console.log('After mute - window.isInputMuted:', window.isInputMuted);
-        if (window.updateAudioStatus) {
-          window.updateAudioStatus();
-        }
-      }
+      handleToggleMicMute();
     });
   }
 
@@ -608,6 +1100,12 @@ function setupEventListeners() {
     takeOverBtn.addEventListener('click', handleTakeOver);
   }
 
+  // Return to AI button
+  const returnToAIBtn = document.getElementById('returnToAIBtn');
+  if (returnToAIBtn) {
+    returnToAIBtn.addEventListener('click', handleReturnToAI);
+  }
+
   // Error close button
   const errorCloseBtn = document.getElementById('errorCloseBtn');
   if (errorCloseBtn) {
@@ -637,6 +1135,9 @@ function setupEventListeners() {
       if (text && conversation && conversation.connected) {
         conversation.synthesizeSpeech(text);
         speechInput.value = '';
+        if (window.appendTranscriptMessage) {
+          window.appendTranscriptMessage(null, 'BrowserParticipant', text, 'speech-synthesized');
+        }
       } else if (!text) {
         alert('Please enter text to speak');
       } else if (!conversation || !conversation.connected) {
@@ -652,6 +1153,9 @@ function setupEventListeners() {
       const code = button.getAttribute('data-code');
       if (code && conversation && conversation.connected) {
         conversation.synthesizeTouchTones(code);
+        if (window.appendTranscriptMessage) {
+          window.appendTranscriptMessage(null, 'BrowserParticipant', code, 'dtmf-sent');
+        }
       } else if (!conversation || !conversation.connected) {
         alert('Not connected to call. Please start a call first.');
       }
@@ -671,29 +1175,23 @@ function setupEventListeners() {
  * Functionality:
  * 1. Takeover Execution:
  *    - Calls conversation.agentTakeOver()
- *    - Sets takeover type to 'browser'
- *    - Updates global takeover status
  *
  * 2. Audio Management:
  *    - Unmutes microphone input
  *    - Enables user to speak
  *
  * 3. State Management:
- *    - Resets payer agent ready status
- *    - Updates global state variables
+ *    - Moves the call session to 'human-active' with takeover type 'browser'
+ *    - Clears the payer agent ready state
+ *    - Session subscribers re-render call status, dialpad and audio controls
  *
- * 4. UI Updates:
+ * 4. Transcript:
  *    - Adds takeover message to transcript
- *    - Updates call status display
- *    - Enables dialpad functionality
- *
- * 5. User Feedback:
- *    - Shows success message
- *    - Updates UI elements
  *
  * Prerequisites:
  * - Requires active conversation
- * - User must be connected to call
+ * - Call session must be connected ('ai-active' or 'agent-ready'); a
+ *   takeover is not possible while the connection is being re-established
  *
  * Error Handling:
  * - Shows alert if not connected to call
@@ -703,45 +1201,147 @@ function setupEventListeners() {
  * handleTakeOver();
  */
 function handleTakeOver() {
-  if (conversation) {
+  if (conversation && callSession.isConnected && callSession.canTransition(window.CallSessionState.humanActive)) {
     // Use package method
     conversation.agentTakeOver();
 
-    takeOverType = 'browser';
-    hasTakenOver = true;
-    window.hasTakenOver = true;
-
     // Unmute input
     if (conversation.unmuteInput) {
       conversation.unmuteInput();
     }
 
-    if (payerAgentReady) {
-      payerAgentReady = false;
-      window.payerAgentReady = false;
-    }
+    // Clears the payer agent ready state and renders the UI
+    callSession.transition(window.CallSessionState.humanActive, {
+      takeOverType: 'browser',
+      isInputMuted: false
+    });
 
     // Add to transcript
     if (window.appendTranscriptMessage) {
       const currentUser = window.getCurrentUser();
       const username = currentUser && currentUser.username ? currentUser.username : 'Unknown User';
-      window.appendTranscriptMessage(null, 'system', `${username} took over the call`);
+      window.appendTranscriptMessage(null, 'system', `${username} took over the call`, 'takeover');
     }
 
-    // Update UI
-    if (window.updateCallStatus) {
-      window.updateCallStatus(true);
+    console.log('Take over completed successfully');
+  } else if (callSession.hasTakenOver) {
+    console.log('Call has already been taken over');
+  } else {
+    alert('Not connected to call. Please start a call first.');
+  }
+}
+
+/**
+ * Mutes or unmutes the agent's microphone after a takeover.
+ *
+ * @returns {void}
+ *
+ * Prerequisites:
+ * - Requires active conversation
+ * - The agent must have taken over; before that the microphone is not
+ *   live and stays muted
+ *
+ * Usage Example:
+ * handleToggleMicMute();
+ */
+function handleToggleMicMute() {
+  if (conversation && callSession.hasTakenOver) {
+    if (callSession.isInputMuted) {
+      conversation.unmuteInput();
+    } else {
+      conversation.muteInput();
+    }
+    callSession.update({ isInputMuted: !callSession.isInputMuted });
+  }
+}
+
+/**
+ * Whether the open conversation can hand a taken-over call back to the
+ * AI agent. Softphone package versions without
+ * conversation.agentHandBack() can only take a call over.
+ *
+ * @returns {boolean}
+ */
+function canReturnToAI() {
+  return Boolean(conversation && typeof conversation.agentHandBack === 'function');
+}
+
+/**
+ * Hands the call back to the AI agent after a human takeover.
+ *
+ * Lets an agent who took over (for example to answer a single
+ * verification question) return control so the AI agent can finish
+ * the claim follow-up.
+ *
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Hand Back:
+ *    - Calls conversation.agentHandBack()
+ *
+ * 2. Audio Management:
+ *    - Mutes microphone input again, like before the takeover
+ *
+ * 3. State Management:
+ *    - Moves the call session from 'human-active' back to 'ai-active'
+ *      and clears the takeover type
+ *    - Session subscribers re-render call status, dialpad and audio controls
+ *
+ * 4. Transcript:
+ *    - Adds a hand back message to the transcript
+ *
+ * Prerequisites:
+ * - Call session must be 'human-active'
+ * - The softphone package must provide conversation.agentHandBack();
+ *   older versions can only take a call over, not hand it back
+ *
+ * Error Handling:
+ * - Shows an error and keeps the human in control if the package
+ *   cannot hand the call back or the hand back fails
+ *
+ * Usage Example:
+ * handleReturnToAI();
+ */
+function handleReturnToAI() {
+  if (!conversation || callSession.state !== window.CallSessionState.humanActive) {
+    console.log('Call is not taken over, nothing to hand back');
+    return;
+  }
+
+  if (!canReturnToAI()) {
+    if (window.showError) {
+      window.showError('This softphone version cannot hand the call back to the AI agent.');
     }
+    return;
+  }
 
-    // Update dialpad state
-    if (window.updateDialpadState) {
-      window.updateDialpadState();
+  try {
+    conversation.agentHandBack();
+  } catch (error) {
+    console.error('Error handing the call back to the AI agent:', error);
+    if (window.showError) {
+      window.showError('Could not hand the call back to the AI agent: ' + error.message);
     }
+    return;
+  }
 
-    console.log('Take over completed successfully');
-  } else {
-    alert('Not connected to call. Please start a call first.');
+  // The browser mic is not live while the AI agent handles the call
+  if (conversation.muteInput) {
+    conversation.muteInput();
+  }
+
+  callSession.transition(window.CallSessionState.aiActive, {
+    takeOverType: null,
+    isInputMuted: true
+  });
+
+  if (window.appendTranscriptMessage) {
+    const currentUser = window.getCurrentUser();
+    const username = currentUser && currentUser.username ? currentUser.username : 'Unknown User';
+    window.appendTranscriptMessage(null, 'system', `${username} handed the call back to the AI agent`, 'takeover');
   }
+
+  console.log('Call handed back to the AI agent');
 }
 
 /**
@@ -751,74 +1351,72 @@ function handleTakeOver() {
  * connection process from audio worklet preloading to establishing the
  * WebSocket connection for real-time communication.
  *
+ * @param {string} [claimInput] - Claim ID or URL to call. When omitted
+ *   (e.g. when called as the Connect button's click handler) the value
+ *   of the #claimId input is used. The claim queue passes its next claim.
  * @returns {Promise<void>} Resolves when connection is complete or fails
  *
  * Functionality:
  * 1. Audio Worklet Preloading:
- *    - Preloads audio worklet after user interaction
+ *    - Preloads audio worklet after the first user interaction
  *    - Handles autoplay restrictions
  *
- * 2. State Reset:
- *    - Resets all call-related state variables
- *    - Prepares for new call
- *
- * 3. Authentication Check:
+ * 2. Authentication Check:
  *    - Validates user authentication
  *    - Retrieves access token
  *    - Ensures user is logged in
  *
- * 4. Claim ID Processing:
- *    - Gets claim ID from input field
+ * 3. Claim ID Processing:
+ *    - Gets claim ID from the argument or the input field
  *    - Extracts claim ID from URL or direct input
  *    - Validates claim ID format
  *
- * 5. Call Initiation:
- *    - Calls startCall() to create call via API
- *    - Waits for job to be ready (status 2)
- *    - Polls job status with timeout
+ * 4. Call Initiation:
+ *    - Starts a new call session ('starting'), clearing previous call state
+ *    - Starts a new transcript, replacing the previous call's
+ *    - Calls startCall() to create call via API ('waiting-for-job')
+ *    - Polls job status with backoff via pollJobUntilReady() until the
+ *      job is ready, showing the current phase in the loading overlay
  *
- * 6. WebSocket Connection:
- *    - Gets conversation from call service
+ * 5. WebSocket Connection:
+ *    - Gets conversation from call service ('connecting')
  *    - Sets up conversation handlers
  *    - Establishes real-time connection
  *
+ * Cancellation:
+ * - The loading overlay's Cancel button (and End Call) abort the pending
+ *   requests and polling via an AbortController
+ * - A cancelled call ends the call session without showing an error
+ *
  * Error Handling:
+ * - Moves the call session to 'failed' if the call was already started
  * - Comprehensive error catching and display
  * - Shows loading overlay during process
  * - Hides overlay on completion or error
  * - Provides user-friendly error messages
  *
  * Timeout Handling:
- * - Waits up to 30 seconds for job to be ready
+ * - Waits up to 60 seconds for job to be ready (see jobStatus.js)
+ * - Fails immediately if the job reaches a terminal failure status
  * - Shows error if job doesn't reach ready state
  *
  * Usage Example:
  * await handleConnect();
+ * await handleConnect(claimId);
  */
-async function handleConnect() {
+async function handleConnect(claimInput) {
   try {
     console.log('Starting connection process...');
 
     // Preload audio worklet now that user has interacted with the page
-    console.log('Preloading audio worklet after user interaction...');
-    try {
-      await preloadAudioWorklet();
-      console.log('Audio worklet preloaded successfully');
-    } catch (error) {
-      console.warn('Audio worklet preloading failed, but continuing:', error.message);
-    }
-
-    // Reset state for new call (like React app)
-    payerAgentReady = false;
-    window.payerAgentReady = false;
-    hasTakenOver = false;
-    window.hasTakenOver = false;
-    takeOverType = null;
-
-    // Show loading overlay
-    const loadingOverlay = document.getElementById('loadingOverlay');
-    if (loadingOverlay) {
-      loadingOverlay.style.display = 'flex';
+    await ensureAudioWorkletPreloaded();
+
+    // Show loading overlay with a Cancel button for this attempt
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    connectAbortController = abortController;
+    if (window.showLoadingOverlay) {
+      window.showLoadingOverlay('Connecting to call...', { onCancel: handleCancelConnect });
     }
 
     // Get current user
@@ -833,9 +1431,12 @@ async function handleConnect() {
       throw new Error('No access token available');
     }
 
-    // Get claim ID from input field
-    const claimIdInput = document.getElementById('claimId');
-    const claimIdValue = claimIdInput ? claimIdInput.value.trim() : '';
+    // Get claim ID from the argument, or from the input field
+    let claimIdValue = typeof claimInput === 'string' ? claimInput.trim() : '';
+    if (!claimIdValue) {
+      const claimIdInput = document.getElementById('claimId');
+      claimIdValue = claimIdInput ? claimIdInput.value.trim() : '';
+    }
 
     // Extract claim ID from input (could be a URL or just the ID)
     const claimId = window.extractClaimIdFromUrl(claimIdValue);
@@ -845,91 +1446,272 @@ async function handleConnect() {
 
     console.log('Starting call for claim:', '[ID]');
 
+    // Reset state for new call (like React app); this also starts a new
+    // transcript and clears the transcript display
+    callSession.start(claimId);
+
     // Start call using the package
-    const callData = await startCall(claimId, token);
+    const callData = await startCall(claimId, token, { signal });
     console.log('Call started successfully:', '[CALL_DATA]');
-
-    // Wait for job to be ready (status 2 indicates ready for WebSocket connection)
-    let jobStatus = await checkJobStatus(callData.jobId, token);
-    let retryCount = 0;
-    const maxRetries = 30; // Wait up to 30 seconds
-
-    while (jobStatus.status !== 2 && retryCount < maxRetries) {
-      console.log(`Job status: ${jobStatus.status}, waiting for status 2...`);
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-      jobStatus = await checkJobStatus(callData.jobId, token);
-      retryCount++;
-    }
-
-    if (jobStatus.status !== 2) {
-      throw new Error(`Job did not reach ready state after ${maxRetries} seconds.`);
-    }
+    callSession.transition(window.CallSessionState.waitingForJob, { jobId: callData.jobId });
+
+    // Wait for job to be ready for the WebSocket connection
+    await window.pollJobUntilReady(
+      (pollSignal) => checkJobStatus(callData.jobId, token, { signal: pollSignal }),
+      {
+        signal,
+        onPhase: (phase) => {
+          if (window.setLoadingMessage) {
+            window.setLoadingMessage(window.getJobPhaseMessage(phase));
+          }
+        }
+      }
+    );
 
     console.log('Job is ready for WebSocket connection');
+    callSession.transition(window.CallSessionState.connecting);
 
     // Get conversation using the package
-    conversation = await callService.getConversationAsync(callData.jobId, token);
-    window.conversation = conversation; // Make conversation available globally
-    setupConversationHandlers(conversation);
+    await openConversation(callData.jobId, token, signal);
 
     // Hide loading overlay
-    if (loadingOverlay) {
-      loadingOverlay.style.display = 'none';
+    if (window.hideLoadingOverlay) {
+      window.hideLoadingOverlay();
     }
 
     console.log('Connection process completed successfully');
   } catch (error) {
-    console.error('Error during connection:', error);
+    handleConnectError(error);
+  } finally {
+    connectAbortController = null;
+  }
+}
+
+/**
+ * Preloads the audio worklet once per page lifetime.
+ *
+ * Called from a user interaction (Connect, Rejoin) to satisfy autoplay
+ * restrictions; later calls reuse the cached module. A failed preload
+ * is logged and the call continues.
+ *
+ * @returns {Promise<void>}
+ */
+async function ensureAudioWorkletPreloaded() {
+  if (audioWorkletPreloaded) {
+    return;
+  }
+
+  console.log('Preloading audio worklet after user interaction...');
+  try {
+    audioWorkletPreloaded = await preloadAudioWorklet();
+    console.log('Audio worklet preloaded successfully');
+  } catch (error) {
+    console.warn('Audio worklet preloading failed, but continuing:', error.message);
+  }
+}
 
-    // Hide loading overlay on error
-    const loadingOverlay = document.getElementById('loadingOverlay');
-    if (loadingOverlay) {
-      loadingOverlay.style.display = 'none';
+/**
+ * Opens the conversation WebSocket for a ready job and makes it the
+ * current conversation.
+ *
+ * @param {string} jobId - Job of the call
+ * @param {string} token - Access token
+ * @param {AbortSignal} signal - Signal of the connect attempt
+ * @returns {Promise<void>}
+ * @throws {Error} An AbortError if the attempt was cancelled meanwhile
+ */
+async function openConversation(jobId, token, signal) {
+  const newConversation = await callService.getConversationAsync(jobId, token);
+  if (signal.aborted) {
+    // Cancelled while the conversation was being opened
+    if (newConversation.close) {
+      newConversation.close();
     }
+    throw signal.reason || new DOMException('Connection cancelled', 'AbortError');
+  }
 
-    // Show error
-    if (window.showError) {
-      window.showError(error.message);
-    }
+  conversation = newConversation;
+  window.conversation = conversation; // Make conversation available globally
+  setupConversationHandlers(conversation);
+
+  // The connection may already be open before the handlers were attached
+  if (conversation.connected) {
+    markConversationConnected();
   }
 }
 
 /**
- * Disconnects from active call and cleans up resources.
+ * Handles an error while connecting (or rejoining) a call.
  *
- * This function properly terminates the call connection and performs
- * comprehensive cleanup of all resources, state variables, and UI elements.
+ * A cancelled attempt ends the call session without an error message;
+ * any other error fails the session (if it was started) and is shown.
  *
+ * @param {Error} error - Error from the connect attempt
  * @returns {void}
+ */
+function handleConnectError(error) {
+  // Hide loading overlay on error
+  if (window.hideLoadingOverlay) {
+    window.hideLoadingOverlay();
+  }
+
+  if (error.name === 'AbortError') {
+    console.log('Connection cancelled');
+    if (callSession.canTransition(window.CallSessionState.ending)) {
+      callSession.transition(window.CallSessionState.ending);
+    }
+    if (callSession.canTransition(window.CallSessionState.ended)) {
+      callSession.transition(window.CallSessionState.ended);
+      if (window.appendTranscriptMessage) {
+        window.appendTranscriptMessage(null, 'system', 'Call cancelled');
+      }
+    }
+    return;
+  }
+
+  console.error('Error during connection:', error);
+
+  if (callSession.isActive && callSession.canTransition(window.CallSessionState.failed)) {
+    if (window.appendTranscriptMessage) {
+      window.appendTranscriptMessage(null, 'system', `Call failed: ${error.message}`, 'error');
+    }
+    callSession.transition(window.CallSessionState.failed, { error });
+  }
+
+  // Show error
+  if (window.showError) {
+    window.showError(error.message);
+  }
+}
+
+/**
+ * Rejoins a call that was still running when the page was reloaded or
+ * the tab crashed, from the checkpoint kept by callRecovery.js.
+ *
+ * @returns {Promise<void>} Resolves when the call is rejoined or the
+ *   attempt failed
  *
  * Functionality:
- * 1. Call Termination:
- *    - Calls conversation.hangup() if available
- *    - Calls conversation.close() if available
- *    - Nullifies conversation object
+ * 1. Checks the saved job with checkJobStatus(); a job that is no longer
+ *    live (see isJobLive() in jobStatus.js) cannot be rejoined and its
+ *    checkpoint is removed
+ * 2. Starts a call session for the saved claim that continues the
+ *    call's history record, and restores the transcript, call facts,
+ *    takeover and mute state
+ * 3. Opens a new conversation for the saved job with
+ *    callService.getConversationAsync(); markConversationConnected()
+ *    re-applies the takeover and mute state to it
  *
- * 2. Service Cleanup:
- *    - Closes call service if exists
- *    - Nullifies call service object
+ * Error Handling:
+ * - If the job status cannot be fetched, the checkpoint is kept so the
+ *   agent can try again
+ * - Errors after the session was started fail the call like handleConnect()
  *
- * 3. State Reset:
- *    - Resets all connection flags
- *    - Resets audio mute states
- *    - Resets takeover status
- *    - Resets agent ready status
+ * Usage Example:
+ * await handleRejoinCall(); // Bound to the "Rejoin active call" button
+ */
+async function handleRejoinCall() {
+  const checkpoint = window.getCallCheckpoint ? window.getCallCheckpoint() : null;
+  if (!checkpoint) {
+    return;
+  }
+  if (callSession.isActive) {
+    if (window.showError) {
+      window.showError('End the current call before rejoining another one');
+    }
+    return;
+  }
+
+  try {
+    await ensureAudioWorkletPreloaded();
+
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    connectAbortController = abortController;
+    if (window.showLoadingOverlay) {
+      window.showLoadingOverlay('Checking whether the call is still live...', { onCancel: handleCancelConnect });
+    }
+
+    const token = await window.getToken();
+    if (!token) {
+      throw new Error('No access token available');
+    }
+
+    const jobStatus = await checkJobStatus(checkpoint.jobId, token, { signal });
+    if (!window.isJobLive(jobStatus)) {
+      window.clearCallCheckpoint();
+      throw new Error('This call has already ended and cannot be rejoined.');
+    }
+
+    console.log('Rejoining call for claim:', '[ID]');
+    if (window.resumeCallRecord && checkpoint.callRecord) {
+      window.resumeCallRecord(checkpoint.callRecord);
+    }
+    callSession.start(checkpoint.claimId);
+    if (window.restoreTranscript && checkpoint.transcriptCall) {
+      window.restoreTranscript(checkpoint.transcript || [], checkpoint.transcriptCall);
+    }
+    if (window.restoreCallFacts && checkpoint.facts) {
+      window.restoreCallFacts(checkpoint.facts);
+    }
+
+    callSession.transition(window.CallSessionState.waitingForJob, {
+      jobId: checkpoint.jobId,
+      takeOverType: checkpoint.takeOverType || null,
+      isInputMuted: Boolean(checkpoint.isInputMuted),
+      isOutputMuted: Boolean(checkpoint.isOutputMuted)
+    });
+    callSession.transition(window.CallSessionState.connecting);
+
+    if (window.setLoadingMessage) {
+      window.setLoadingMessage('Rejoining call...');
+    }
+    rejoiningCall = true;
+    await openConversation(checkpoint.jobId, token, signal);
+
+    if (window.hideLoadingOverlay) {
+      window.hideLoadingOverlay();
+    }
+  } catch (error) {
+    rejoiningCall = false;
+    handleConnectError(error);
+  } finally {
+    connectAbortController = null;
+  }
+}
+
+/**
+ * Cancels a call that is still being connected.
  *
- * 4. UI Updates:
- *    - Updates call status display
- *    - Resets UI to disconnected state
+ * Aborts the pending claims API requests and job status polling started
+ * by handleConnect(). The call session ends without an error message.
  *
- * Cleanup Actions:
- * - Hangs up active call
- * - Closes WebSocket connections
- * - Resets all global state variables
- * - Updates UI immediately
+ * @returns {void}
  *
  * Usage Example:
- * handleDisconnect();
+ * handleCancelConnect(); // Bound to the Cancel button in the loading overlay
+ */
+function handleCancelConnect() {
+  if (connectAbortController) {
+    console.log('Cancelling connection...');
+    connectAbortController.abort();
+  }
+}
+
+/**
+ * Clears the call-specific input fields after a call ends.
+ *
+ * The transcript of the finished call is left on screen so the agent can
+ * still read it; it is cleared when the next call starts.
+ *
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Claim ID: Clears the claim ID input field
+ * 2. Speech Input: Clears the speech input field
+ *
+ * Usage Example:
+ * clearUIAfterCall();
  */
 function clearUIAfterCall() {
   try {
@@ -939,12 +1721,6 @@ function clearUIAfterCall() {
       claimIdInput.value = '';
     }
 
-    // Clear the transcript
-    const transcriptDiv = document.getElementById('transcript');
-    if (transcriptDiv) {
-      transcriptDiv.innerHTML = '';
-    }
-
     // Clear the speech input field
     const speechInput = document.getElementById('speechInput');
     if (speechInput) {
@@ -960,8 +1736,9 @@ function clearUIAfterCall() {
 /**
  * Reloads the page after a call ends.
  *
- * This function provides an alternative to clearing the UI by reloading
- * the entire page, which ensures a completely fresh state.
+ * This function provides an alternative to the in-place teardown by
+ * reloading the entire page, which ensures a completely fresh state.
+ * It is only used when APP_RELOAD_AFTER_CALL is enabled.
  *
  * Usage Example:
  * reloadPageAfterCall();
@@ -975,55 +1752,171 @@ function reloadPageAfterCall() {
   }
 }
 
-function handleDisconnect() {
-  try {
-    console.log('Disconnecting...');
-
-    // Hangup the call immediately
-    if (conversation) {
-      if (conversation.hangup) {
-        conversation.hangup();
-      }
+/**
+ * Closes the current conversation and its audio contexts.
+ *
+ * Handlers are detached first so events from the closed conversation
+ * are ignored. Used on call teardown and before reconnecting a dropped
+ * call.
+ *
+ * @returns {void}
+ */
+function closeConversation() {
+  if (conversation) {
+    try {
+      conversation.onConnectionStateChanged = null;
+      conversation.onTranscriptAvailable = null;
+      conversation.onHoldForHumanEvent = null;
       if (conversation.close) {
         conversation.close();
       }
-      conversation = null;
+    } catch (error) {
+      console.error('Error closing conversation:', error);
     }
+    conversation = null;
+    window.conversation = null;
+  }
 
-    // Close call service if exists
-    if (callService) {
-      if (callService.close) {
-        callService.close();
+  if (window.softphoneAudioContexts) {
+    window.softphoneAudioContexts.forEach(audioContext => {
+      if (audioContext.state !== 'closed') {
+        audioContext.close().catch(error => {
+          console.error('Error closing audio context:', error);
+        });
       }
-      callService = null;
+    });
+    window.softphoneAudioContexts.clear();
+  }
+}
+
+/**
+ * Tears down the conversation, its audio and the call service in place.
+ *
+ * Releases everything that belongs to the finished call and creates a
+ * fresh CallService, so the next call can start without a page reload.
+ * The Keycloak session and the loaded audio worklet module are kept.
+ *
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Conversation Cleanup:
+ *    - Closes the conversation via closeConversation()
+ *
+ * 2. Audio Cleanup:
+ *    - Closes every softphone audio context that is still open
+ *
+ * 3. Service Re-initialization:
+ *    - Closes the call service if it exists
+ *    - Creates a new call service for the next call
+ *
+ * Error Handling:
+ * - Each step is wrapped separately so one failure does not prevent
+ *   the remaining resources from being released
+ *
+ * Usage Example:
+ * teardownCall();
+ */
+function teardownCall() {
+  closeConversation();
+
+  try {
+    if (callService && callService.close) {
+      callService.close();
     }
+  } catch (error) {
+    console.error('Error closing call service:', error);
+  }
+  callService = createCallService();
+
+  console.log('Call torn down, ready for next call');
+}
+
+/**
+ * Finishes a call that has ended or been hung up.
+ *
+ * Tears the call down in place and resets the input fields. When
+ * APP_RELOAD_AFTER_CALL is enabled the page is reloaded afterwards
+ * instead, once the agent has finished the wrap-up form.
+ *
+ * @returns {void}
+ *
+ * Usage Example:
+ * finishCall();
+ */
+function finishCall() {
+  teardownCall();
+  clearUIAfterCall();
 
-    // Reset state
-    isConnected = false;
-    hasTakenOver = false;
-    window.isConnected = false;
-    window.hasTakenOver = false;
-    isOutputMuted = false;
-    isInputMuted = false;
-    window.isOutputMuted = false;
-    window.isInputMuted = false;
-    takeOverType = null;
-    payerAgentReady = false;
-    window.payerAgentReady = false;
-    lastPayerAgentReady = false;
+  if (window.appendTranscriptMessage) {
+    window.appendTranscriptMessage(null, 'system', 'Call ended');
+  }
+
+  if (shouldReloadAfterCall()) {
+    const wrapUpComplete = window.whenWrapUpComplete ? window.whenWrapUpComplete() : Promise.resolve();
 
-    // Update UI immediately
-    if (window.updateCallStatus) {
-      window.updateCallStatus(false);
+    // Reload page after a short delay to allow UI to update
+    wrapUpComplete.then(() => {
+      setTimeout(() => {
+        reloadPageAfterCall();
+      }, 1000);
+    });
+  }
+}
+
+/**
+ * Disconnects from active call and cleans up resources.
+ *
+ * This function properly terminates the call connection and performs
+ * comprehensive cleanup of all resources, state variables, and UI elements.
+ *
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Call Termination:
+ *    - Calls conversation.hangup() if available
+ *
+ * 2. State Reset:
+ *    - Moves the call session through 'ending' to 'ended'
+ *    - Takeover, agent ready and mute state are cleared when the
+ *      next call session starts
+ *
+ * 3. Cleanup:
+ *    - Closes the conversation and its audio contexts
+ *    - Re-creates the call service for the next call
+ *    - Call session subscribers reset the UI to the disconnected state
+ *
+ * Usage Example:
+ * handleDisconnect();
+ */
+function handleDisconnect() {
+  try {
+    console.log('Disconnecting...');
+
+    // Stop a call that is still being connected
+    if (connectAbortController) {
+      connectAbortController.abort();
     }
 
-    // Clear UI fields after disconnection
-    clearUIAfterCall();
+    if (callSession.canTransition(window.CallSessionState.ending)) {
+      callSession.transition(window.CallSessionState.ending);
+    }
 
-    // Reload page after a short delay to ensure fresh state for next call
-    setTimeout(() => {
-      reloadPageAfterCall();
-    }, 1000); // 1 second delay to allow UI to update
+    // Hangup the call immediately
+    const hadConversation = conversation !== null;
+    if (conversation && conversation.hangup) {
+      conversation.hangup();
+    }
+
+    // Finish the session (the connection handler may already have done so);
+    // subscribers update the UI immediately
+    if (callSession.canTransition(window.CallSessionState.ended)) {
+      callSession.transition(window.CallSessionState.ended);
+    }
+
+    // Skip if the connection handler already finished the call during hangup
+    if (!hadConversation || conversation) {
+      finishCall();
+    }
 
     console.log('Disconnected successfully');
   } catch (error) {
@@ -1039,6 +1932,8 @@ function handleDisconnect() {
  *
  * @param {string} claimId - The claim ID to start a call for
  * @param {string} token - Authentication token for API requests
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
  * @returns {Promise<Object>} Call data object containing job information
  *
  * Functionality:
@@ -1086,7 +1981,7 @@ function handleDisconnect() {
  * Usage Example:
  * const callData = await startCall('claim-id-123', 'auth-token');
  */
-async function startCall(claimId, token) {
+async function startCall(claimId, token, options = {}) {
   try {
     console.log('Starting call for claim:', '[ID]');
 
@@ -1107,6 +2002,7 @@ async function startCall(claimId, token) {
         type: 'HumanAgent',
         useCase: 'CSI',
       }),
+      signal: options.signal,
     });
 
     console.log('API response status:', response.status);
@@ -1155,6 +2051,8 @@ async function startCall(claimId, token) {
  *
  * @param {string} jobId - The job ID to check status for
  * @param {string} token - Authentication token for API requests
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
  * @returns {Promise<Object>} Job status object
  *
  * Functionality:
@@ -1187,6 +2085,8 @@ async function startCall(claimId, token) {
  * Status Values:
  * - 1: Job created, processing
  * - 2: Job ready for WebSocket connection
+ * - Further statuses are mapped to phases with APP_JOB_STATUS_PHASES
+ *   (see jobStatus.js)
  *
  * Error Handling:
  * - Handles HTTP error status codes
@@ -1197,7 +2097,7 @@ async function startCall(claimId, token) {
  * Usage Example:
  * const status = await checkJobStatus('job-id-123', 'auth-token');
  */
-async function checkJobStatus(jobId, token) {
+async function checkJobStatus(jobId, token, options = {}) {
   try {
     console.log('Checking job status for:', '[ID]');
 
@@ -1214,6 +2114,7 @@ async function checkJobStatus(jobId, token) {
     const response = await fetch(fullUrl, {
       method: 'GET',
       headers: headers,
+      signal: options.signal,
     });
 
     console.log('Job status response status:', response.status);
@@ -1288,26 +2189,30 @@ document.addEventListener('DOMContentLoaded', () => {
  * Exported Functions:
  * - handleConnect: Call connection handler
  * - handleDisconnect: Call disconnection handler
+ * - handleCancelConnect: Cancel a call that is still connecting
  * - handleTakeOver: Agent takeover handler
+ * - handleReturnToAI: Hand the call back to the AI agent
+ * - canReturnToAI: Whether the softphone package can hand calls back
+ * - handleToggleMicMute: Mute or unmute the microphone after a takeover
+ * - handleRejoinCall: Rejoin a call that was running before a reload
+ * - teardownCall: In-place call teardown
  * - isAgentReady: Agent availability checker
  *
  * Exported State:
- * - isOutputMuted: Speaker mute status
- * - isInputMuted: Microphone mute status
+ * - callSession: Current call session (state, takeover and mute flags)
  *
  * Purpose: Makes functions and state available globally for other modules
  * Usage: These functions can be called from HTML event handlers or other modules
  */
 window.handleConnect = handleConnect;
 window.handleDisconnect = handleDisconnect;
+window.handleCancelConnect = handleCancelConnect;
 window.handleTakeOver = handleTakeOver;
-window.isAgentReady = () => payerAgentReady;
+window.handleReturnToAI = handleReturnToAI;
+window.canReturnToAI = canReturnToAI;
+window.handleToggleMicMute = handleToggleMicMute;
+window.handleRejoinCall = handleRejoinCall;
+window.isAgentReady = () => callSession.payerAgentReady;
 window.clearUIAfterCall = clearUIAfterCall;
+window.teardownCall = teardownCall;
 window.reloadPageAfterCall = reloadPageAfterCall;
-
-// Payer agent ready state tracking
-let lastPayerAgentReady = false;
-
-// Export mute state variables for global access
-window.isOutputMuted = isOutputMuted;
-window.isInputMuted = isInputMuted;
\ No newline at end of file
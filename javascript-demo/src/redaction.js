@@ -0,0 +1,329 @@
+/**
+ * Redaction Module - PII Redaction for Transcript Text
+ *
+ * This module masks personal data in transcript text before it is shown
+ * or exported, so transcripts can be shared (for example with QA)
+ * without exposing patient or member information. The transcript model
+ * itself keeps the original text; redaction is applied when the text is
+ * rendered, exported or shown from the call history.
+ *
+ * Redaction Rules:
+ * - ssn: Social security numbers (123-45-6789, or nine digits after "SSN")
+ * - dob: Dates given as a date of birth ("DOB 01/02/1960", "born on March 3, 1960")
+ * - member-id: IDs after member / subscriber / policy ID or number
+ * - npi: Ten digit numbers after "NPI" or "National Provider Identifier"
+ * - phone: US phone numbers written with separators ((555) 123-4567,
+ *   555.123.4567, +1 555 123 4567), or ten digits after "phone" / "call
+ *   me at". Numbers after a reference, claim or confirmation label are
+ *   left alone.
+ * - address: Street addresses with a capitalized or numbered street name
+ *   (123 Main Street, Suite 4; 5 5th Ave) and P.O. boxes
+ *
+ * Configuration:
+ * - APP_REDACTION_RULES: Comma separated rule names to apply (all rules
+ *   when empty)
+ * - APP_REDACTION_UNMASK_ROLES: Comma separated Keycloak roles (realm or
+ *   client roles) that may turn redaction off; nobody can when empty
+ *
+ * Redaction is on whenever the page loads. Turning it off only lasts
+ * until the page is reloaded.
+ *
+ * Dependencies:
+ * - window.getKeycloakInstance (auth.js) for the user's roles
+ * - Environment variables for the rules and roles
+ *
+ * Usage: This module is imported by main.js, which calls initRedaction()
+ * during application start. ui.js, transcript.js and callHistory.js call
+ * redactText() / redactTranscriptEntries() on the text they show or
+ * export, and re-render when subscribeRedaction() reports a change.
+ */
+
+// Dates as spoken or typed: 01/02/1960, 1-2-60, 1960-01-02, March 3, 1960, 3 March 1960
+const datePattern = '(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{1,2}-\\d{1,2}|'
+  + '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{2,4}|'
+  + '\\d{1,2}(?:st|nd|rd|th)?\\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?,?\\s+\\d{2,4})';
+
+// Street suffixes recognized in addresses
+const streetSuffixPattern = '(?:street|st|avenue|ave|road|rd|boulevard|blvd|drive|dr|lane|ln|court|ct|'
+  + 'way|place|pl|parkway|pkwy|circle|cir|highway|hwy|terrace|ter|trail|trl)';
+
+// Labels of numbers that are not phone numbers ("reference number", "claim #", ...)
+const referenceLabelPattern = '\\b(?:reference|ref|claim|confirmation|conf|authorization|auth|case|ticket|tracking)'
+  + '\\s*(?:number|num|no\\.?|#|id)?\\W{0,3}(?:is\\s+)?';
+
+// Street names start with a capital letter ("Main") or are numbered ("5th")
+const streetNamePattern = /^\d{1,6}\s+(?:[A-Z]|\d+(?:st|nd|rd|th)\b)/;
+
+/**
+ * Redaction rules in the order they are applied.
+ *
+ * Rules with a label prefix ("DOB", "member ID", ...) keep the prefix
+ * (capture group 1) and only replace the value, so the redacted text
+ * still says what was there. A rule's optional accept() function can
+ * reject a match the pattern alone cannot tell apart, which is then
+ * left unchanged.
+ */
+const redactionRules = [
+  {
+    name: 'ssn',
+    placeholder: '[SSN]',
+    pattern: new RegExp('(\\b(?:ssn|social security(?: number)?)\\W{0,3}(?:is\\s+|number\\s+)?)\\d{9}\\b|\\b\\d{3}[-\\s]\\d{2}[-\\s]\\d{4}\\b', 'gi')
+  },
+  {
+    name: 'dob',
+    placeholder: '[DOB]',
+    pattern: new RegExp(`(\\b(?:date of birth|birth ?date|dob|born(?: on)?)\\W{0,3}(?:is\\s+)?)${datePattern}`, 'gi')
+  },
+  {
+    name: 'member-id',
+    placeholder: '[MEMBER ID]',
+    pattern: /(\b(?:member|subscriber|policy|insurance)\s*(?:id|number|no\.?|#)\W{0,3}(?:is\s+)?)(?=[A-Z0-9-]*\d)[A-Z0-9][A-Z0-9-]{4,19}\b/gi
+  },
+  {
+    name: 'npi',
+    placeholder: '[NPI]',
+    pattern: /(\b(?:npi|national provider identifier)(?: number)?\W{0,3}(?:is\s+)?)\d{10}\b/gi
+  },
+  {
+    name: 'phone',
+    placeholder: '[PHONE]',
+    pattern: new RegExp(`(?<!${referenceLabelPattern})(?:\\+?1[\\s.-])?(?:\\(\\d{3}\\)\\s?|\\b\\d{3}[\\s.-])\\d{3}[\\s.-]\\d{4}\\b`
+      + '|(\\b(?:phone|telephone|tel|cell|mobile|fax|call(?:back)?(?: me)? at)(?: number)?\\W{0,3}(?:is\\s+)?)(?:\\+?1)?\\d{10}\\b', 'gi')
+  },
+  {
+    name: 'address',
+    placeholder: '[ADDRESS]',
+    pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Za-z0-9][\\w'.-]*\\s+){1,4}${streetSuffixPattern}\\b\\.?`
+      + '(?:,?\\s*(?:suite|ste|apt|apartment|unit|#)\\.?\\s*[A-Za-z0-9-]+)?|\\bP\\.?\\s?O\\.?\\s+Box\\s+\\d+', 'gi'),
+    accept: match => !/^\d/.test(match) || streetNamePattern.test(match)
+  }
+];
+
+// Redaction state
+let redactionEnabled = true;
+const redactionListeners = new Set();
+
+/**
+ * Reads a comma separated list from an environment value.
+ *
+ * @param {string} value - Environment value
+ * @returns {Array<string>}
+ */
+function parseRedactionList(value) {
+  return (value || '').replace(/^\"|\"$/g, '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Gets the redaction rules selected with APP_REDACTION_RULES.
+ *
+ * @returns {Array<Object>}
+ *
+ * Usage Example:
+ * // APP_REDACTION_RULES="ssn,dob,member-id"
+ * getRedactionRules().map(rule => rule.name); // ['ssn', 'dob', 'member-id']
+ */
+function getRedactionRules() {
+  const names = parseRedactionList(process.env.APP_REDACTION_RULES).map(name => name.toLowerCase());
+  if (names.length === 0) {
+    return redactionRules;
+  }
+
+  const unknown = names.filter(name => !redactionRules.some(rule => rule.name === name));
+  if (unknown.length > 0) {
+    console.warn('Unknown redaction rules in APP_REDACTION_RULES:', unknown.join(', '));
+  }
+  return redactionRules.filter(rule => names.includes(rule.name));
+}
+
+/**
+ * Masks personal data in a piece of transcript text.
+ *
+ * Returns the text unchanged while redaction is turned off.
+ *
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text
+ *
+ * Usage Example:
+ * redactText('My DOB is 01/02/1960'); // 'My DOB is [DOB]'
+ */
+function redactText(text) {
+  if (!redactionEnabled || typeof text !== 'string') {
+    return text;
+  }
+
+  return getRedactionRules().reduce((redacted, rule) =>
+    redacted.replace(rule.pattern, (match, prefix) => {
+      if (rule.accept && !rule.accept(match)) {
+        return match;
+      }
+      return `${typeof prefix === 'string' ? prefix : ''}${rule.placeholder}`;
+    }), text);
+}
+
+/**
+ * Returns copies of transcript entries with redacted text.
+ *
+ * @param {Array<Object>} entries - Transcript entries
+ * @returns {Array<Object>}
+ */
+function redactTranscriptEntries(entries) {
+  if (!redactionEnabled) {
+    return entries;
+  }
+  return entries.map(entry => ({ ...entry, text: redactText(entry.text) }));
+}
+
+/**
+ * Gets the current user's Keycloak roles (realm and client roles).
+ *
+ * Only the token held by the Keycloak instance is used; the copy in
+ * localStorage can be edited in the browser.
+ *
+ * @returns {Array<string>}
+ */
+function getUserRoles() {
+  const keycloak = window.getKeycloakInstance ? window.getKeycloakInstance() : null;
+  const token = keycloak ? keycloak.tokenParsed : null;
+  if (!token) {
+    return [];
+  }
+
+  const realmRoles = (token.realm_access && token.realm_access.roles) || [];
+  const clientRoles = Object.values(token.resource_access || {})
+    .flatMap(access => access.roles || []);
+  return realmRoles.concat(clientRoles);
+}
+
+/**
+ * Whether the current user may turn redaction off.
+ *
+ * @returns {boolean}
+ */
+function canDisableRedaction() {
+  const allowedRoles = parseRedactionList(process.env.APP_REDACTION_UNMASK_ROLES);
+  if (allowedRoles.length === 0) {
+    return false;
+  }
+  const roles = getUserRoles();
+  return allowedRoles.some(role => roles.includes(role));
+}
+
+/**
+ * Whether redaction is currently applied.
+ *
+ * @returns {boolean}
+ */
+function isRedactionEnabled() {
+  return redactionEnabled;
+}
+
+/**
+ * Turns redaction on or off.
+ *
+ * Redaction can always be turned on; turning it off requires one of the
+ * APP_REDACTION_UNMASK_ROLES roles.
+ *
+ * @param {boolean} enabled - Whether to redact
+ * @returns {boolean} Whether the change was applied
+ *
+ * Usage Example:
+ * if (!setRedactionEnabled(false)) {
+ *   showError('Your role cannot turn off redaction');
+ * }
+ */
+function setRedactionEnabled(enabled) {
+  if (!enabled && !canDisableRedaction()) {
+    return false;
+  }
+  if (redactionEnabled === enabled) {
+    return true;
+  }
+
+  redactionEnabled = enabled;
+  renderRedactionToggle();
+  redactionListeners.forEach(listener => {
+    try {
+      listener(redactionEnabled);
+    } catch (error) {
+      console.error('Error in redaction listener:', error);
+    }
+  });
+  return true;
+}
+
+/**
+ * Subscribes to redaction being turned on or off.
+ *
+ * @param {Function} listener - Called with the new enabled state
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeRedaction(listener) {
+  redactionListeners.add(listener);
+  return () => redactionListeners.delete(listener);
+}
+
+/**
+ * Updates the redaction toggle above the transcript.
+ *
+ * The toggle is only shown to users who may turn redaction off; others
+ * see a "PII redacted" badge.
+ *
+ * @returns {void}
+ */
+function renderRedactionToggle() {
+  const toggle = document.getElementById('redactionToggleBtn');
+  if (!toggle) {
+    return;
+  }
+
+  const allowed = canDisableRedaction();
+  toggle.disabled = !allowed;
+  toggle.setAttribute('aria-pressed', String(redactionEnabled));
+  toggle.textContent = redactionEnabled ? 'PII redacted' : 'PII visible';
+  toggle.title = allowed
+    ? (redactionEnabled ? 'Show personal data in the transcript and exports' : 'Redact personal data again')
+    : 'Personal data is redacted in the transcript and exports';
+}
+
+/**
+ * Initializes the redaction toggle.
+ *
+ * @returns {void}
+ *
+ * Usage Example:
+ * initRedaction();
+ */
+function initRedaction() {
+  const toggle = document.getElementById('redactionToggleBtn');
+  if (toggle) {
+    toggle.addEventListener('click', () => {
+      if (!setRedactionEnabled(!redactionEnabled) && window.showError) {
+        window.showError('Your role cannot turn off PII redaction');
+      }
+    });
+  }
+
+  renderRedactionToggle();
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Functions:
+ * - initRedaction: Bind the redaction toggle
+ * - redactText: Mask personal data in a piece of text
+ * - redactTranscriptEntries: Mask personal data in transcript entries
+ * - isRedactionEnabled / setRedactionEnabled: Redaction state
+ * - canDisableRedaction: Whether the user may turn redaction off
+ * - subscribeRedaction: Listen for redaction being turned on or off
+ */
+window.initRedaction = initRedaction;
+window.redactText = redactText;
+window.redactTranscriptEntries = redactTranscriptEntries;
+window.isRedactionEnabled = isRedactionEnabled;
+window.setRedactionEnabled = setRedactionEnabled;
+window.canDisableRedaction = canDisableRedaction;
+window.subscribeRedaction = subscribeRedaction;
@@ -0,0 +1,443 @@
+/**
+ * Transcript Module - Structured Transcript Model and Export
+ *
+ * This module keeps the transcript of the current call as structured
+ * data instead of only as DOM nodes, so it can be exported, stored in
+ * the call history and processed by other features. The transcript of
+ * a call is kept until the next call starts.
+ *
+ * Transcript Entry Fields:
+ * - id: Sequential entry ID within the call
+ * - participantId: Participant that produced the entry (null for system entries)
+ * - participantType: CallParticipantTypeEnum value, or 'system'
+ * - kind: One of TranscriptMessageKind
+ * - text: Entry text
+ * - time: Wall-clock time of the entry (ISO timestamp)
+ * - offsetMs: Time since the call connected, in milliseconds (entries
+ *   before the call connected have an offset of 0). The offset matches
+ *   the position in a recording of the call.
+ *
+ * Export Formats:
+ * - txt: Plain text, one "[time] Speaker: text" line per entry
+ * - json: Call details, call facts and all entries
+ * - srt: SubRip captions timed by offset
+ * - vtt: WebVTT captions timed by offset, with voice tags per speaker
+ *
+ * TXT, JSON and WebVTT exports include the call facts (callFacts.js).
+ *
+ * Dependencies:
+ * - Call session events (callSession.js)
+ * - participantTypeToTitleMapping (utils.js) for speaker names
+ * - redactTranscriptEntries (redaction.js) for exports
+ * - getCallFacts (callFacts.js) for the call facts included in exports
+ *
+ * Usage: This module is imported by main.js, which calls initTranscript()
+ * with the call session during application start. ui.js adds each message
+ * with addTranscriptEntry().
+ */
+
+/**
+ * Transcript Message Kind Enumeration
+ *
+ * - speech: Transcribed speech of a call participant
+ * - system: Status message from the softphone
+ * - dtmf-sent: Touch tones sent from the dialpad
+ * - speech-synthesized: Text spoken into the call with text-to-speech
+ * - takeover: The agent took over or handed the call back
+ * - error: Error during the call
+ */
+const TranscriptMessageKind = {
+  speech: 'speech',
+  system: 'system',
+  dtmfSent: 'dtmf-sent',
+  speechSynthesized: 'speech-synthesized',
+  takeover: 'takeover',
+  error: 'error'
+};
+
+const TranscriptExportFormat = {
+  txt: 'txt',
+  json: 'json',
+  srt: 'srt',
+  vtt: 'vtt'
+};
+
+const transcriptExportMimeTypes = {
+  [TranscriptExportFormat.txt]: 'text/plain',
+  [TranscriptExportFormat.json]: 'application/json',
+  [TranscriptExportFormat.srt]: 'application/x-subrip',
+  [TranscriptExportFormat.vtt]: 'text/vtt'
+};
+
+// Caption display time: per character, and lower and upper bound
+const captionMsPerCharacter = 60;
+const captionMinDurationMs = 1000;
+const captionMaxDurationMs = 6000;
+
+// Transcript state
+let transcriptEntries = [];
+let transcriptCall = { claimId: null, jobId: null, startedAt: null, connectedAt: null };
+const transcriptListeners = new Set();
+
+/**
+ * Starts an empty transcript for a new call.
+ *
+ * @param {Object} [call={}] - Call details ({ claimId })
+ * @returns {void}
+ */
+function resetTranscript(call = {}) {
+  transcriptEntries = [];
+  transcriptCall = {
+    claimId: call.claimId || null,
+    jobId: null,
+    startedAt: new Date().toISOString(),
+    connectedAt: null
+  };
+  emitTranscriptEvent({ type: 'reset' });
+}
+
+/**
+ * Restores the transcript of a call that was rejoined after a reload.
+ *
+ * Listeners receive a 'reset' event followed by an 'entry' event for
+ * every restored entry, as if the entries had just been added.
+ *
+ * @param {Array<Object>} entries - Saved transcript entries
+ * @param {Object} call - Saved call details ({ claimId, jobId, startedAt, connectedAt })
+ * @returns {void}
+ */
+function restoreTranscript(entries, call) {
+  transcriptEntries = [];
+  transcriptCall = { ...transcriptCall, ...call };
+  emitTranscriptEvent({ type: 'reset' });
+
+  entries.forEach(entry => {
+    transcriptEntries.push(entry);
+    emitTranscriptEvent({ type: 'entry', entry });
+  });
+}
+
+/**
+ * Adds an entry to the transcript of the current call.
+ *
+ * @param {string|null} participantId - Participant that produced the entry
+ * @param {string} participantType - CallParticipantTypeEnum value, or 'system'
+ * @param {string} text - Entry text
+ * @param {string} [kind] - One of TranscriptMessageKind (defaults to
+ *   'system' for system entries and 'speech' otherwise)
+ * @returns {Object} The new transcript entry
+ *
+ * Usage Example:
+ * addTranscriptEntry(participantId, 'ForeignPhoneParticipant', 'Hello?');
+ * addTranscriptEntry(null, 'BrowserParticipant', '5', TranscriptMessageKind.dtmfSent);
+ */
+function addTranscriptEntry(participantId, participantType, text, kind) {
+  const now = new Date();
+  const connectedAt = transcriptCall.connectedAt ? new Date(transcriptCall.connectedAt).getTime() : null;
+
+  const entry = {
+    id: transcriptEntries.length + 1,
+    participantId: participantId || null,
+    participantType,
+    kind: kind || (participantType === 'system' ? TranscriptMessageKind.system : TranscriptMessageKind.speech),
+    text: String(text),
+    time: now.toISOString(),
+    offsetMs: connectedAt === null ? 0 : Math.max(0, now.getTime() - connectedAt)
+  };
+
+  transcriptEntries.push(entry);
+  emitTranscriptEvent({ type: 'entry', entry });
+  return entry;
+}
+
+/**
+ * Gets a copy of the current transcript entries.
+ *
+ * @returns {Array<Object>}
+ */
+function getTranscriptEntries() {
+  return transcriptEntries.slice();
+}
+
+/**
+ * Gets the details of the call the current transcript belongs to.
+ *
+ * @returns {Object} { claimId, jobId, startedAt, connectedAt }
+ */
+function getTranscriptCall() {
+  return { ...transcriptCall };
+}
+
+/**
+ * Subscribes to transcript events ('reset', 'entry').
+ *
+ * @param {Function} listener - Called with ({ type, entry })
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeTranscript(listener) {
+  transcriptListeners.add(listener);
+  return () => transcriptListeners.delete(listener);
+}
+
+/**
+ * Notifies transcript subscribers. A failing listener does not prevent
+ * the others from being called.
+ *
+ * @param {Object} event - Event to deliver
+ * @returns {void}
+ */
+function emitTranscriptEvent(event) {
+  transcriptListeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Transcript listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Gets the display name of a transcript entry's speaker.
+ *
+ * @param {Object} entry - Transcript entry
+ * @returns {string}
+ */
+function getTranscriptSpeaker(entry) {
+  if (entry.participantType === 'system') {
+    return 'System';
+  }
+  const titles = window.participantTypeToTitleMapping || {};
+  return titles[entry.participantType] || entry.participantType || 'Unknown';
+}
+
+/**
+ * Formats a caption timestamp (HH:MM:SS,mmm for SRT, HH:MM:SS.mmm for WebVTT).
+ *
+ * @param {number} offsetMs - Offset in milliseconds
+ * @param {string} separator - Separator before the milliseconds
+ * @returns {string}
+ */
+function formatCaptionTime(offsetMs, separator) {
+  const ms = Math.max(0, Math.round(offsetMs));
+  const hours = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const minutes = String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0');
+  const seconds = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+  const millis = String(ms % 1000).padStart(3, '0');
+  return `${hours}:${minutes}:${seconds}${separator}${millis}`;
+}
+
+/**
+ * Builds caption cues from transcript entries.
+ *
+ * Each cue starts at its entry's offset and is shown for a time based
+ * on the text length, but never past the start of the next cue.
+ *
+ * @param {Array<Object>} entries - Transcript entries
+ * @returns {Array<{start: number, end: number, speaker: string, text: string}>}
+ */
+function buildCaptionCues(entries) {
+  return entries.map((entry, index) => {
+    const start = entry.offsetMs || 0;
+    const duration = Math.min(captionMaxDurationMs,
+      Math.max(captionMinDurationMs, entry.text.length * captionMsPerCharacter));
+    const next = entries[index + 1];
+    const nextStart = next ? next.offsetMs || 0 : Infinity;
+    const end = Math.max(start + 1, Math.min(start + duration, nextStart));
+
+    return { start, end, speaker: getTranscriptSpeaker(entry), text: entry.text };
+  });
+}
+
+/**
+ * Escapes text for a WebVTT cue payload.
+ *
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeVttText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Gets the label of a call fact type for exports.
+ *
+ * @param {string} type - Call fact type
+ * @returns {string}
+ */
+function formatFactLabel(type) {
+  return window.getCallFactLabel ? window.getCallFactLabel(type) : type;
+}
+
+/**
+ * Formats transcript entries in an export format.
+ *
+ * @param {string} format - One of TranscriptExportFormat
+ * @param {Array<Object>} entries - Transcript entries
+ * @param {Object} [call={}] - Call details ({ claimId, jobId, startedAt, connectedAt })
+ * @param {Array<Object>} [facts=[]] - Call facts (callFacts.js); included in
+ *   TXT, JSON and WebVTT (as a NOTE block), SRT has no place for them
+ * @returns {string} The formatted transcript
+ * @throws {Error} If the format is not supported
+ *
+ * Usage Example:
+ * const srt = formatTranscript('srt', getTranscriptEntries(), getTranscriptCall());
+ */
+function formatTranscript(format, entries, call = {}, facts = []) {
+  const factLines = facts.map(fact => `${formatFactLabel(fact.type)}: ${fact.value}`);
+
+  switch (format) {
+    case TranscriptExportFormat.txt: {
+      const header = [
+        `Claim ID: ${call.claimId || '-'}`,
+        `Job ID: ${call.jobId || '-'}`,
+        `Call started: ${call.startedAt ? new Date(call.startedAt).toLocaleString() : '-'}`,
+        ''
+      ];
+      if (factLines.length > 0) {
+        header.push('Call facts:', ...factLines.map(line => `  ${line}`), '');
+      }
+      const lines = entries.map(entry =>
+        `[${new Date(entry.time).toLocaleTimeString()}] ${getTranscriptSpeaker(entry)}: ${entry.text}`);
+      return header.concat(lines).join('\n') + '\n';
+    }
+
+    case TranscriptExportFormat.json:
+      return JSON.stringify({ call, facts, entries }, null, 2);
+
+    case TranscriptExportFormat.srt:
+      return buildCaptionCues(entries).map((cue, index) => [
+        String(index + 1),
+        `${formatCaptionTime(cue.start, ',')} --> ${formatCaptionTime(cue.end, ',')}`,
+        `${cue.speaker}: ${cue.text}`,
+        ''
+      ].join('\n')).join('\n');
+
+    case TranscriptExportFormat.vtt:
+      return ['WEBVTT', '']
+        // NOTE blocks may not contain "-->"
+        .concat(factLines.length > 0 ? [['NOTE Call facts', ...factLines.map(line => line.replace(/-->/g, '->'))].join('\n'), ''] : [])
+        .concat(buildCaptionCues(entries).map((cue, index) => [
+        String(index + 1),
+        `${formatCaptionTime(cue.start, '.')} --> ${formatCaptionTime(cue.end, '.')}`,
+        `<v ${escapeVttText(cue.speaker)}>${escapeVttText(cue.text)}`,
+        ''
+      ].join('\n'))).join('\n');
+
+    default:
+      throw new Error(`Unsupported transcript export format: ${format}`);
+  }
+}
+
+/**
+ * Downloads a transcript in an export format.
+ *
+ * Message text and call facts are redacted (redaction.js) unless
+ * redaction has been turned off.
+ *
+ * @param {string} format - One of TranscriptExportFormat
+ * @param {Array<Object>} [entries] - Entries to export (defaults to the current transcript)
+ * @param {Object} [call] - Call details (defaults to the current call)
+ * @param {Array<Object>} [facts] - Call facts (defaults to the current call's facts)
+ * @returns {void}
+ *
+ * Usage Example:
+ * downloadTranscript('vtt');
+ */
+function downloadTranscript(format, entries = getTranscriptEntries(), call = getTranscriptCall(),
+  facts = window.getCallFacts ? window.getCallFacts() : []) {
+  if (entries.length === 0) {
+    if (window.showError) {
+      window.showError('There is no transcript to export yet');
+    }
+    return;
+  }
+
+  const exported = window.redactTranscriptEntries ? window.redactTranscriptEntries(entries) : entries;
+  const exportedFacts = window.redactText
+    ? facts.map(fact => ({ ...fact, value: window.redactText(fact.value) }))
+    : facts;
+  const content = formatTranscript(format, exported, call, exportedFacts);
+  const blob = new Blob([content], { type: `${transcriptExportMimeTypes[format]};charset=utf-8` });
+  const startedAt = call.startedAt ? new Date(call.startedAt) : new Date();
+  const stamp = startedAt.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `transcript-${call.claimId || 'call'}-${stamp}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Keeps the transcript's call details in step with the call session.
+ *
+ * @param {Object} event - Call session event ({ type, state, session })
+ * @returns {void}
+ */
+function handleTranscriptSessionEvent(event) {
+  if (event.type !== 'state') {
+    return;
+  }
+
+  const { session, state } = event;
+
+  if (state === 'starting') {
+    resetTranscript({ claimId: session.claimId });
+  } else if (state === 'waiting-for-job') {
+    transcriptCall.jobId = session.jobId;
+  } else if (session.isConnected && !transcriptCall.connectedAt) {
+    transcriptCall.connectedAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Initializes the transcript model and the Export menu.
+ *
+ * @param {CallSession} callSession - Session the transcript follows
+ * @returns {void}
+ *
+ * Usage Example:
+ * initTranscript(callSession);
+ */
+function initTranscript(callSession) {
+  callSession.subscribe(handleTranscriptSessionEvent);
+
+  document.querySelectorAll('[data-export-format]').forEach(button => {
+    button.addEventListener('click', () => {
+      downloadTranscript(button.dataset.exportFormat);
+      const menu = button.closest('details');
+      if (menu) {
+        menu.open = false;
+      }
+    });
+  });
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Constants:
+ * - TranscriptMessageKind: Kinds of transcript messages
+ * - TranscriptExportFormat: Supported export formats
+ *
+ * Exported Functions:
+ * - initTranscript: Follow the call session and bind the Export menu
+ * - addTranscriptEntry / getTranscriptEntries / getTranscriptCall: Transcript model
+ * - restoreTranscript: Restore a saved transcript when a call is rejoined
+ * - subscribeTranscript: Listen for transcript changes
+ * - getTranscriptSpeaker: Display name of an entry's speaker
+ * - formatTranscript / downloadTranscript: Export
+ */
+window.TranscriptMessageKind = TranscriptMessageKind;
+window.TranscriptExportFormat = TranscriptExportFormat;
+window.initTranscript = initTranscript;
+window.addTranscriptEntry = addTranscriptEntry;
+window.getTranscriptEntries = getTranscriptEntries;
+window.getTranscriptCall = getTranscriptCall;
+window.restoreTranscript = restoreTranscript;
+window.subscribeTranscript = subscribeTranscript;
+window.getTranscriptSpeaker = getTranscriptSpeaker;
+window.formatTranscript = formatTranscript;
+window.downloadTranscript = downloadTranscript;
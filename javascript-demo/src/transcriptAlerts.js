@@ -0,0 +1,460 @@
+/**
+ * Transcript Alerts Module - Keyword Alert Rules on the Live Transcript
+ *
+ * This module checks each message from onTranscriptAvailable against a
+ * list of alert rules, so the agent notices the moment the payer says
+ * something important (a denial, a reference number, a transfer) while
+ * watching several calls or tasks at once.
+ *
+ * Alert Rules:
+ * - A keyword (matched case-insensitively as whole words) or a regular
+ *   expression (matched case-insensitively)
+ * - Optionally limited to one participant type, for example only what
+ *   the Foreign Phone (payer) says
+ * - Rules are edited in the Alerts panel and stored in localStorage
+ *   under 'transcriptAlertRules'; defaults: "denied", "timely filing",
+ *   "reference number" and "transfer you"
+ *
+ * When a Rule Matches:
+ * - The transcript line is highlighted
+ * - An alert is pinned to the Alerts panel until it is dismissed or the
+ *   next call starts; clicking it scrolls to the transcript line
+ * - A short cue is played
+ *
+ * Dependencies:
+ * - Transcript model events (transcript.js) to clear alerts per call
+ * - redactText (redaction.js) for the text shown in alerts
+ * - participantTypeToTitleMapping (utils.js) for participant names and
+ *   createLocalId (utils.js) for alert ids
+ * - showTranscriptEntry (transcriptView.js) to go to an alert's line
+ *
+ * Usage: This module is imported by main.js, which calls
+ * initTranscriptAlerts() during application start and
+ * checkTranscriptAlerts() for every message from onTranscriptAvailable.
+ */
+
+const transcriptAlertRulesStorageKey = 'transcriptAlertRules';
+
+const defaultTranscriptAlertRules = [
+  { id: 'denied', pattern: 'denied', isRegex: false, participantType: null },
+  { id: 'timely-filing', pattern: 'timely filing', isRegex: false, participantType: null },
+  { id: 'reference-number', pattern: 'reference (number|#)', isRegex: true, participantType: 'ForeignPhoneParticipant' },
+  { id: 'transfer-you', pattern: 'transfer you', isRegex: false, participantType: 'ForeignPhoneParticipant' }
+];
+
+// Alert state
+let alertRules = [];
+let transcriptAlerts = [];
+let alertCueContext = null;
+
+/**
+ * Loads the alert rules from localStorage, falling back to the defaults.
+ *
+ * @returns {void}
+ */
+function loadTranscriptAlertRules() {
+  try {
+    const stored = localStorage.getItem(transcriptAlertRulesStorageKey);
+    const parsed = stored ? JSON.parse(stored) : null;
+    alertRules = Array.isArray(parsed) ? parsed : defaultTranscriptAlertRules.slice();
+  } catch (error) {
+    console.error('Error loading alert rules from localStorage:', error);
+    localStorage.removeItem(transcriptAlertRulesStorageKey);
+    alertRules = defaultTranscriptAlertRules.slice();
+  }
+}
+
+/**
+ * Saves the alert rules to localStorage.
+ *
+ * @returns {void}
+ */
+function saveTranscriptAlertRules() {
+  try {
+    localStorage.setItem(transcriptAlertRulesStorageKey, JSON.stringify(alertRules));
+  } catch (error) {
+    console.error('Error saving alert rules to localStorage:', error);
+  }
+}
+
+/**
+ * Builds the regular expression for an alert rule.
+ *
+ * Keywords are escaped and matched as whole words; regular expressions
+ * are used as entered. Both are case-insensitive.
+ *
+ * @param {Object} rule - Alert rule ({ pattern, isRegex })
+ * @returns {RegExp}
+ * @throws {SyntaxError} If a regular expression rule is not valid
+ */
+function compileAlertRule(rule) {
+  if (rule.isRegex) {
+    return new RegExp(rule.pattern, 'i');
+  }
+  const escaped = rule.pattern.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`\\b${escaped}\\b`, 'i');
+}
+
+/**
+ * Gets the participant name used in the Alerts panel.
+ *
+ * @param {string|null} participantType - CallParticipantTypeEnum value, or null for any
+ * @returns {string}
+ */
+function getAlertParticipantTitle(participantType) {
+  if (!participantType) {
+    return 'Anyone';
+  }
+  const titles = window.participantTypeToTitleMapping || {};
+  return titles[participantType] || participantType;
+}
+
+/**
+ * Adds an alert rule.
+ *
+ * @param {string} pattern - Keyword or regular expression
+ * @param {Object} [options={}] - Rule options
+ * @param {boolean} [options.isRegex=false] - Whether the pattern is a regular expression
+ * @param {string|null} [options.participantType=null] - Only match messages from this participant type
+ * @returns {Object} The new rule
+ * @throws {Error} If the pattern is empty or not a valid regular expression
+ *
+ * Usage Example:
+ * addTranscriptAlertRule('appeal', { participantType: 'ForeignPhoneParticipant' });
+ * addTranscriptAlertRule('claim (number|#)\\s*\\d+', { isRegex: true });
+ */
+function addTranscriptAlertRule(pattern, options = {}) {
+  const rule = {
+    id: window.createLocalId(),
+    pattern: (pattern || '').trim(),
+    isRegex: Boolean(options.isRegex),
+    participantType: options.participantType || null
+  };
+
+  if (!rule.pattern) {
+    throw new Error('Enter a keyword or regular expression');
+  }
+  try {
+    compileAlertRule(rule);
+  } catch (error) {
+    // SyntaxError messages already read "Invalid regular expression: ..."
+    throw new Error(error.message);
+  }
+
+  alertRules.push(rule);
+  saveTranscriptAlertRules();
+  renderTranscriptAlertRules();
+  return rule;
+}
+
+/**
+ * Removes an alert rule.
+ *
+ * @param {string} ruleId - Rule ID
+ * @returns {void}
+ */
+function removeTranscriptAlertRule(ruleId) {
+  alertRules = alertRules.filter(rule => rule.id !== ruleId);
+  saveTranscriptAlertRules();
+  renderTranscriptAlertRules();
+}
+
+/**
+ * Checks a transcript message against the alert rules.
+ *
+ * Called for every message from onTranscriptAvailable. Rules that fail
+ * to compile are skipped.
+ *
+ * @param {Object} entry - Transcript entry of the message
+ * @returns {Array<Object>} The rules that matched
+ *
+ * Usage Example:
+ * const entry = appendTranscriptMessage(participantId, participantType, text);
+ * checkTranscriptAlerts(entry);
+ */
+function checkTranscriptAlerts(entry) {
+  if (!entry) {
+    return [];
+  }
+
+  const matched = alertRules.filter(rule => {
+    if (rule.participantType && rule.participantType !== entry.participantType) {
+      return false;
+    }
+    try {
+      return compileAlertRule(rule).test(entry.text);
+    } catch (error) {
+      console.warn('Skipping invalid alert rule:', rule.pattern, error);
+      return false;
+    }
+  });
+
+  if (matched.length === 0) {
+    return matched;
+  }
+
+  matched.forEach(rule => {
+    transcriptAlerts.push({
+      id: `${entry.id}-${rule.id}`,
+      entryId: entry.id,
+      pattern: rule.pattern,
+      participantType: entry.participantType,
+      text: entry.text,
+      time: entry.time
+    });
+  });
+
+  highlightAlertEntry(entry.id);
+  renderTranscriptAlerts();
+  playAlertCue();
+  return matched;
+}
+
+/**
+ * Highlights the transcript line of an alert.
+ *
+ * @param {number} entryId - Transcript entry ID
+ * @returns {void}
+ */
+function highlightAlertEntry(entryId) {
+  const container = document.getElementById('transcript');
+  const element = container ? container.querySelector(`[data-entry-id="${entryId}"]`) : null;
+  if (element) {
+    element.classList.add('alert-match');
+  }
+}
+
+/**
+ * Dismisses a pinned alert.
+ *
+ * @param {string} alertId - Alert ID
+ * @returns {void}
+ */
+function dismissTranscriptAlert(alertId) {
+  transcriptAlerts = transcriptAlerts.filter(alert => alert.id !== alertId);
+  renderTranscriptAlerts();
+}
+
+/**
+ * Plays a short cue when a rule matches.
+ *
+ * @returns {void}
+ */
+function playAlertCue() {
+  try {
+    if (!alertCueContext) {
+      alertCueContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (alertCueContext.state === 'suspended') {
+      alertCueContext.resume();
+    }
+
+    const oscillator = alertCueContext.createOscillator();
+    const gainNode = alertCueContext.createGain();
+    oscillator.connect(gainNode);
+    gainNode.connect(alertCueContext.destination);
+
+    const now = alertCueContext.currentTime;
+    oscillator.frequency.setValueAtTime(1200, now);
+    oscillator.frequency.setValueAtTime(900, now + 0.08);
+    gainNode.gain.setValueAtTime(0.2, now);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.2);
+
+    oscillator.start(now);
+    oscillator.stop(now + 0.2);
+  } catch (error) {
+    console.warn('Could not play alert cue:', error);
+  }
+}
+
+/**
+ * Renders the pinned alerts, newest first.
+ *
+ * @returns {void}
+ */
+function renderTranscriptAlerts() {
+  const list = document.getElementById('transcriptAlertList');
+  if (!list) {
+    return;
+  }
+
+  list.textContent = '';
+  if (transcriptAlerts.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'transcript-alert-empty';
+    empty.textContent = 'No alerts on this call';
+    list.appendChild(empty);
+    return;
+  }
+
+  transcriptAlerts.slice().reverse().forEach(alert => {
+    const item = document.createElement('li');
+    item.className = 'transcript-alert';
+    item.tabIndex = 0;
+    item.title = 'Show in transcript';
+    item.addEventListener('click', () => window.showTranscriptEntry(alert.entryId));
+    item.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        window.showTranscriptEntry(alert.entryId);
+      }
+    });
+
+    const header = document.createElement('div');
+    header.className = 'transcript-alert-header';
+    const rule = document.createElement('span');
+    rule.className = 'transcript-alert-rule';
+    rule.textContent = alert.pattern;
+    header.appendChild(rule);
+    const meta = document.createElement('span');
+    meta.className = 'transcript-alert-meta';
+    meta.textContent = `${getAlertParticipantTitle(alert.participantType)} · ${new Date(alert.time).toLocaleTimeString()}`;
+    header.appendChild(meta);
+
+    const dismissBtn = document.createElement('button');
+    dismissBtn.type = 'button';
+    dismissBtn.textContent = '×';
+    dismissBtn.title = 'Dismiss alert';
+    dismissBtn.addEventListener('click', (event) => {
+      event.stopPropagation();
+      dismissTranscriptAlert(alert.id);
+    });
+    header.appendChild(dismissBtn);
+
+    const text = document.createElement('div');
+    text.className = 'transcript-alert-text';
+    text.textContent = window.redactText ? window.redactText(alert.text) : alert.text;
+
+    item.appendChild(header);
+    item.appendChild(text);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Renders the list of alert rules.
+ *
+ * @returns {void}
+ */
+function renderTranscriptAlertRules() {
+  const list = document.getElementById('transcriptAlertRuleList');
+  if (!list) {
+    return;
+  }
+
+  list.textContent = '';
+  alertRules.forEach(rule => {
+    const item = document.createElement('li');
+    item.className = 'transcript-alert-rule-item';
+
+    const pattern = document.createElement('span');
+    pattern.className = rule.isRegex ? 'transcript-alert-pattern regex' : 'transcript-alert-pattern';
+    pattern.textContent = rule.isRegex ? `/${rule.pattern}/` : rule.pattern;
+    item.appendChild(pattern);
+
+    const participant = document.createElement('span');
+    participant.className = 'transcript-alert-meta';
+    participant.textContent = getAlertParticipantTitle(rule.participantType);
+    item.appendChild(participant);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove rule';
+    removeBtn.addEventListener('click', () => removeTranscriptAlertRule(rule.id));
+    item.appendChild(removeBtn);
+
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Adds a rule from the Alerts panel form.
+ *
+ * @returns {void}
+ */
+function handleAddAlertRule() {
+  const patternInput = document.getElementById('transcriptAlertPattern');
+  const regexInput = document.getElementById('transcriptAlertRegex');
+  const participantSelect = document.getElementById('transcriptAlertParticipant');
+  if (!patternInput) {
+    return;
+  }
+
+  try {
+    addTranscriptAlertRule(patternInput.value, {
+      isRegex: regexInput ? regexInput.checked : false,
+      participantType: participantSelect ? participantSelect.value : null
+    });
+    patternInput.value = '';
+  } catch (error) {
+    if (window.showError) {
+      window.showError(error.message);
+    }
+  }
+}
+
+/**
+ * Clears the alerts when a new call starts.
+ *
+ * @param {Object} event - Transcript event ({ type: 'reset' | 'entry', entry })
+ * @returns {void}
+ */
+function handleAlertTranscriptEvent(event) {
+  if (event.type === 'reset') {
+    transcriptAlerts = [];
+    renderTranscriptAlerts();
+  }
+}
+
+/**
+ * Initializes the alert rules and the Alerts panel.
+ *
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Loads the alert rules from localStorage
+ * 2. Clears pinned alerts when a new call starts
+ * 3. Re-applies line highlights and alert text when redaction changes
+ * 4. Binds the rule form
+ *
+ * Usage Example:
+ * initTranscriptAlerts();
+ */
+function initTranscriptAlerts() {
+  loadTranscriptAlertRules();
+
+  if (window.subscribeTranscript) {
+    window.subscribeTranscript(handleAlertTranscriptEvent);
+  }
+  // The transcript is re-rendered when redaction is turned on or off
+  if (window.subscribeRedaction) {
+    window.subscribeRedaction(() => {
+      transcriptAlerts.forEach(alert => highlightAlertEntry(alert.entryId));
+      renderTranscriptAlerts();
+    });
+  }
+
+  const form = document.getElementById('transcriptAlertRuleForm');
+  if (form) {
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      handleAddAlertRule();
+    });
+  }
+
+  renderTranscriptAlerts();
+  renderTranscriptAlertRules();
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Functions:
+ * - initTranscriptAlerts: Load the rules and bind the Alerts panel
+ * - checkTranscriptAlerts: Check a transcript message against the rules
+ * - addTranscriptAlertRule / removeTranscriptAlertRule: Edit the rules
+ */
+window.initTranscriptAlerts = initTranscriptAlerts;
+window.checkTranscriptAlerts = checkTranscriptAlerts;
+window.addTranscriptAlertRule = addTranscriptAlertRule;
+window.removeTranscriptAlertRule = removeTranscriptAlertRule;
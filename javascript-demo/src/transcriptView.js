@@ -0,0 +1,424 @@
+/**
+ * Transcript View Module - Search, Participant Filters and Scrolling
+ *
+ * This module adds reading aids to the #transcript display for long
+ * calls: a search box that highlights matches, filter chips for each
+ * participant type, and scroll handling that follows new messages only
+ * while the agent is at the bottom of the transcript.
+ *
+ * Search:
+ * - Case-insensitive plain text search, matches are wrapped in <mark>
+ * - Enter jumps to the next match, Shift+Enter to the previous one
+ *
+ * Participant Filters:
+ * - One chip per CallParticipantTypeEnum value (Foreign Phone, AI Agent,
+ *   Browser) plus System; turning a chip off hides those messages
+ *
+ * Scrolling:
+ * - New messages scroll into view while the agent is at the bottom
+ * - When the agent scrolls up, auto-scroll pauses and "Jump to latest"
+ *   shows how many messages arrived since
+ *
+ * Dependencies:
+ * - Transcript model events (transcript.js)
+ * - Transcript entry elements rendered by ui.js (data-entry-id,
+ *   data-participant-type, .transcript-text)
+ *
+ * Usage: This module is imported by main.js, which calls
+ * initTranscriptView() during application start, after the transcript
+ * display has subscribed to the transcript model.
+ */
+
+// Distance from the bottom (px) that still counts as "at the bottom"
+const followScrollThresholdPx = 40;
+
+// View state
+let searchQuery = '';
+let activeMatchIndex = -1;
+const hiddenParticipantTypes = new Set();
+let followLatest = true;
+let unseenMessageCount = 0;
+
+/**
+ * Gets the transcript container.
+ *
+ * @returns {HTMLElement|null}
+ */
+function getTranscriptContainer() {
+  return document.getElementById('transcript');
+}
+
+/**
+ * Whether the transcript is scrolled to (or near) the bottom.
+ *
+ * @param {HTMLElement} container - Transcript container
+ * @returns {boolean}
+ */
+function isScrolledToBottom(container) {
+  return container.scrollHeight - container.scrollTop - container.clientHeight <= followScrollThresholdPx;
+}
+
+/**
+ * Scrolls to the newest message and resumes auto-scroll.
+ *
+ * @returns {void}
+ */
+function jumpToLatest() {
+  const container = getTranscriptContainer();
+  if (container) {
+    container.scrollTop = container.scrollHeight;
+  }
+  followLatest = true;
+  unseenMessageCount = 0;
+  renderJumpToLatest();
+}
+
+/**
+ * Shows or hides the "Jump to latest" control.
+ *
+ * @returns {void}
+ */
+function renderJumpToLatest() {
+  const button = document.getElementById('jumpToLatestBtn');
+  if (!button) {
+    return;
+  }
+
+  button.style.display = followLatest ? 'none' : '';
+  button.textContent = unseenMessageCount > 0
+    ? `Jump to latest (${unseenMessageCount} new)`
+    : 'Jump to latest';
+}
+
+/**
+ * Updates auto-scroll when the agent scrolls the transcript.
+ *
+ * @returns {void}
+ */
+function handleTranscriptScroll() {
+  const container = getTranscriptContainer();
+  if (!container) {
+    return;
+  }
+
+  followLatest = isScrolledToBottom(container);
+  if (followLatest) {
+    unseenMessageCount = 0;
+  }
+  renderJumpToLatest();
+}
+
+/**
+ * Whether an entry element passes the participant filters.
+ *
+ * @param {HTMLElement} element - Transcript entry element
+ * @returns {boolean}
+ */
+function isEntryElementShown(element) {
+  return !hiddenParticipantTypes.has(element.dataset.participantType);
+}
+
+/**
+ * Highlights the search query in an entry element's text.
+ *
+ * The text is rebuilt from text nodes and <mark> elements, so message
+ * text is never interpreted as markup.
+ *
+ * @param {HTMLElement} element - Transcript entry element
+ * @returns {number} Number of matches in the element
+ */
+function highlightEntryElement(element) {
+  const textElement = element.querySelector('.transcript-text');
+  if (!textElement) {
+    return 0;
+  }
+
+  const text = textElement.textContent;
+  textElement.textContent = '';
+
+  if (!searchQuery) {
+    textElement.textContent = text;
+    return 0;
+  }
+
+  const lowerText = text.toLowerCase();
+  const lowerQuery = searchQuery.toLowerCase();
+  let position = 0;
+  let matches = 0;
+
+  while (position < text.length) {
+    const index = lowerText.indexOf(lowerQuery, position);
+    if (index === -1) {
+      break;
+    }
+
+    if (index > position) {
+      textElement.appendChild(document.createTextNode(text.slice(position, index)));
+    }
+    const mark = document.createElement('mark');
+    mark.className = 'transcript-match';
+    mark.textContent = text.slice(index, index + searchQuery.length);
+    textElement.appendChild(mark);
+
+    position = index + searchQuery.length;
+    matches++;
+  }
+
+  if (position < text.length) {
+    textElement.appendChild(document.createTextNode(text.slice(position)));
+  }
+
+  return matches;
+}
+
+/**
+ * Applies the search and filters to one entry element.
+ *
+ * @param {HTMLElement} element - Transcript entry element
+ * @returns {void}
+ */
+function applyViewToEntryElement(element) {
+  element.classList.toggle('filtered-out', !isEntryElementShown(element));
+  highlightEntryElement(element);
+}
+
+/**
+ * Gets the visible search matches in transcript order.
+ *
+ * @returns {Array<HTMLElement>}
+ */
+function getVisibleMatches() {
+  const container = getTranscriptContainer();
+  if (!container) {
+    return [];
+  }
+  return Array.from(container.querySelectorAll('.transcript:not(.filtered-out) mark.transcript-match'));
+}
+
+/**
+ * Updates the match counter next to the search box.
+ *
+ * @returns {void}
+ */
+function renderSearchStatus() {
+  const status = document.getElementById('transcriptSearchStatus');
+  if (!status) {
+    return;
+  }
+
+  if (!searchQuery) {
+    status.textContent = '';
+    return;
+  }
+
+  const count = getVisibleMatches().length;
+  status.textContent = count === 0
+    ? 'No matches'
+    : `${activeMatchIndex >= 0 ? activeMatchIndex + 1 : 0} of ${count}`;
+}
+
+/**
+ * Re-applies the search and filters to the whole transcript.
+ *
+ * @returns {void}
+ */
+function refreshTranscriptView() {
+  const container = getTranscriptContainer();
+  if (!container) {
+    return;
+  }
+
+  container.querySelectorAll('.transcript').forEach(applyViewToEntryElement);
+  activeMatchIndex = -1;
+  renderSearchStatus();
+}
+
+/**
+ * Moves to the next (or previous) search match and scrolls it into view.
+ *
+ * Moving to a match pauses auto-scroll, like scrolling up manually.
+ *
+ * @param {number} direction - 1 for the next match, -1 for the previous one
+ * @returns {void}
+ */
+function goToMatch(direction) {
+  const matches = getVisibleMatches();
+  if (matches.length === 0) {
+    renderSearchStatus();
+    return;
+  }
+
+  matches.forEach(match => match.classList.remove('active'));
+  activeMatchIndex = activeMatchIndex < 0
+    ? (direction > 0 ? 0 : matches.length - 1)
+    : (activeMatchIndex + direction + matches.length) % matches.length;
+
+  const match = matches[activeMatchIndex];
+  match.classList.add('active');
+  match.scrollIntoView({ block: 'center' });
+
+  const container = getTranscriptContainer();
+  followLatest = container ? isScrolledToBottom(container) : true;
+  renderJumpToLatest();
+  renderSearchStatus();
+}
+
+/**
+ * Scrolls a transcript entry into view and flashes it, for example when
+ * an alert or a call fact links back to its transcript line.
+ *
+ * Like moving to a search match, this pauses auto-scroll.
+ *
+ * @param {number} entryId - Transcript entry ID
+ * @returns {void}
+ *
+ * Usage Example:
+ * showTranscriptEntry(alert.entryId);
+ */
+function showTranscriptEntry(entryId) {
+  const container = getTranscriptContainer();
+  const element = container ? container.querySelector(`[data-entry-id="${entryId}"]`) : null;
+  if (!element) {
+    return;
+  }
+
+  element.scrollIntoView({ block: 'center' });
+  element.classList.remove('transcript-flash');
+  // Restart the flash animation
+  void element.offsetWidth;
+  element.classList.add('transcript-flash');
+
+  followLatest = isScrolledToBottom(container);
+  renderJumpToLatest();
+}
+
+/**
+ * Applies the view to new transcript entries and follows the latest
+ * message while auto-scroll is active.
+ *
+ * @param {Object} event - Transcript event ({ type: 'reset' | 'entry', entry })
+ * @returns {void}
+ */
+function handleTranscriptViewEvent(event) {
+  const container = getTranscriptContainer();
+  if (!container) {
+    return;
+  }
+
+  if (event.type === 'reset') {
+    activeMatchIndex = -1;
+    jumpToLatest();
+    renderSearchStatus();
+    return;
+  }
+
+  if (event.type !== 'entry') {
+    return;
+  }
+
+  const element = container.querySelector(`[data-entry-id="${event.entry.id}"]`);
+  if (element) {
+    applyViewToEntryElement(element);
+  }
+
+  if (followLatest) {
+    container.scrollTop = container.scrollHeight;
+  } else if (!element || isEntryElementShown(element)) {
+    unseenMessageCount++;
+    renderJumpToLatest();
+  }
+
+  if (searchQuery) {
+    renderSearchStatus();
+  }
+}
+
+/**
+ * Toggles a participant filter chip.
+ *
+ * @param {HTMLElement} chip - Chip with data-participant-types
+ * @returns {void}
+ */
+function toggleParticipantFilter(chip) {
+  const types = chip.dataset.participantTypes.split(',');
+  const show = chip.getAttribute('aria-pressed') !== 'true';
+
+  chip.setAttribute('aria-pressed', String(show));
+  types.forEach(type => {
+    if (show) {
+      hiddenParticipantTypes.delete(type);
+    } else {
+      hiddenParticipantTypes.add(type);
+    }
+  });
+
+  refreshTranscriptView();
+}
+
+/**
+ * Initializes transcript search, filters and scrolling.
+ *
+ * @returns {void}
+ *
+ * Functionality:
+ * 1. Follows transcript model events for new entries
+ * 2. Binds the search box, filter chips and "Jump to latest"
+ * 3. Pauses auto-scroll when the agent scrolls up
+ *
+ * Usage Example:
+ * initTranscriptView();
+ */
+function initTranscriptView() {
+  if (window.subscribeTranscript) {
+    window.subscribeTranscript(handleTranscriptViewEvent);
+  }
+
+  const container = getTranscriptContainer();
+  if (container) {
+    container.addEventListener('scroll', handleTranscriptScroll, { passive: true });
+  }
+
+  const searchInput = document.getElementById('transcriptSearch');
+  if (searchInput) {
+    searchInput.addEventListener('input', () => {
+      searchQuery = searchInput.value.trim();
+      refreshTranscriptView();
+    });
+    searchInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        goToMatch(event.shiftKey ? -1 : 1);
+      } else if (event.key === 'Escape') {
+        searchInput.value = '';
+        searchQuery = '';
+        refreshTranscriptView();
+      }
+    });
+  }
+
+  document.querySelectorAll('[data-participant-types]').forEach(chip => {
+    chip.setAttribute('aria-pressed', 'true');
+    chip.addEventListener('click', () => toggleParticipantFilter(chip));
+  });
+
+  const jumpBtn = document.getElementById('jumpToLatestBtn');
+  if (jumpBtn) {
+    jumpBtn.addEventListener('click', jumpToLatest);
+  }
+
+  renderJumpToLatest();
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Functions:
+ * - initTranscriptView: Initialize search, filters and scrolling
+ * - jumpToLatest: Scroll to the newest message and resume auto-scroll
+ * - refreshTranscriptView: Re-apply search and filters to the transcript
+ * - showTranscriptEntry: Scroll to and flash a transcript entry
+ */
+window.initTranscriptView = initTranscriptView;
+window.jumpToLatest = jumpToLatest;
+window.refreshTranscriptView = refreshTranscriptView;
+window.showTranscriptEntry = showTranscriptEntry;
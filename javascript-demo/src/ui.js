@@ -20,6 +20,7 @@
  *
  * Dependencies:
  * - DOM elements with specific IDs
+ * - Call session (window.callSession) for call, takeover and mute state
  * - Global window functions and variables
  * - Authentication module for user information
  *
@@ -32,93 +33,60 @@ let packetsSent = 0;
 let packetsReceived = 0;
 
 /**
- * Appends a system message to the transcript display.
- *
- * This function adds a simple system message to the transcript container
- * with a "System" label and the provided text content.
+ * Appends a system message to the transcript.
  *
  * @param {string} text - The message text to display
  * @returns {void}
  *
- * Functionality:
- * 1. DOM Element Creation: Creates a new div element for the message
- * 2. Styling: Applies 'transcript' CSS class
- * 3. Content Structure: Creates structured HTML with System label and message
- * 4. Container Update: Appends message to transcript container
- * 5. Auto-scroll: Scrolls to bottom to show latest message
- *
- * HTML Structure:
- * <div class="transcript">
- *   <div><span class="bold">System</span></div>
- *   <div>Message text</div>
- * </div>
- *
  * Usage Example:
  * appendMessage('Call connected successfully');
  */
 function appendMessage(text) {
-  const transcriptContainer = document.getElementById('transcript');
-  const div = document.createElement('div');
-  div.className = 'transcript';
-  div.innerHTML = `<div><span class="bold">System</span></div><div>${text}</div>`;
-  transcriptContainer.appendChild(div);
-  transcriptContainer.scrollTop = transcriptContainer.scrollHeight;
+  appendTranscriptMessage(null, 'system', text);
 }
 
 /**
- * Appends a transcript message with participant information and styling.
- *
- * This function adds a detailed transcript message that includes participant
- * information, timestamp, and appropriate styling based on the participant type.
- * It handles different participant types and applies corresponding CSS classes.
- *
- * @param {string} participantId - Unique identifier for the participant
- * @param {string} participantType - Type of participant (e.g., 'ForeignPhoneParticipant', 'AIAgentParticipant')
- * @param {string} text - The message text to display
- * @param {string} [timestamp=null] - Timestamp for the message (defaults to current time)
- * @returns {void}
- *
- * Functionality:
- * 1. Participant Mapping: Maps participant types to display names
- * 2. Message Styling: Applies appropriate CSS classes based on participant type
- * 3. Timestamp Handling: Uses provided timestamp or current time
- * 4. DOM Creation: Creates structured HTML with participant info and message
- * 5. Auto-scroll: Scrolls to bottom to show latest message
+ * Appends a message to the transcript of the current call.
  *
- * Participant Type Mappings:
- * - ForeignPhoneParticipant: 'Foreign Phone' (inbound styling)
- * - BrowserParticipant: Current username (outbound styling)
- * - BrowserHeadsetParticipant: Current username (outbound styling)
- * - AIAgentParticipant: 'AI Agent' (ai styling)
- * - system: 'System' (system styling)
+ * The message is added to the structured transcript model
+ * (transcript.js); the transcript display renders it from there via
+ * renderTranscriptEvent().
  *
- * CSS Classes Applied:
- * - inbound: For incoming calls/foreign participants
- * - outbound: For browser participants
- * - ai: For AI agent messages
- * - system: For system messages
- *
- * HTML Structure:
- * <div class="transcript">
- *   <div><span class="bold [messageClass]">Speaker (time)</span></div>
- *   <div class="[messageClass]">Message text</div>
- * </div>
+ * @param {string|null} participantId - Unique identifier for the participant
+ * @param {string} participantType - Type of participant (e.g., 'ForeignPhoneParticipant', 'AIAgentParticipant'), or 'system'
+ * @param {string} text - The message text
+ * @param {string} [kind] - One of TranscriptMessageKind (defaults to 'speech'
+ *   for participants and 'system' for system messages)
+ * @returns {Object|undefined} The new transcript entry
  *
  * Usage Example:
  * appendTranscriptMessage('user123', 'AIAgentParticipant', 'Hello, how can I help you?');
+ * appendTranscriptMessage(null, 'system', 'Connection lost', 'error');
  */
-function appendTranscriptMessage(participantId, participantType, text, timestamp = null) {
-  const transcriptContainer = document.getElementById('transcript');
-  const div = document.createElement('div');
-  div.className = 'transcript';
-
-  const time = timestamp || new Date().toLocaleTimeString();
+function appendTranscriptMessage(participantId, participantType, text, kind) {
+  if (window.addTranscriptEntry) {
+    return window.addTranscriptEntry(participantId, participantType, text, kind);
+  }
+}
 
-  // Get the display title for the participant type
-  let speaker = 'Unknown';
-  let messageClass = 'system';
+/**
+ * Labels shown next to the speaker for message kinds other than
+ * participant speech and plain system messages.
+ */
+const transcriptKindLabels = {
+  'dtmf-sent': 'DTMF sent',
+  'speech-synthesized': 'Text to speech',
+  'takeover': 'Takeover',
+  'error': 'Error'
+};
 
-  // Define participant type mapping similar to the reference
+/**
+ * Gets the display name of a transcript speaker.
+ *
+ * @param {string} participantType - Participant type, or 'system'
+ * @returns {string}
+ */
+function getSpeakerTitle(participantType) {
   const participantTypeToTitleMapping = {
     'ForeignPhoneParticipant': 'Foreign Phone',
     'BrowserParticipant': window.getCurrentUser()?.username || 'Browser',
@@ -127,62 +95,210 @@ function appendTranscriptMessage(participantId, participantType, text, timestamp
     'system': 'System'
   };
 
-  // Get speaker name from mapping
-  speaker = participantTypeToTitleMapping[participantType] || participantType;
+  return participantTypeToTitleMapping[participantType] || participantType || 'Unknown';
+}
 
-  // Determine message class based on participant type
+/**
+ * Gets the CSS class for a participant type.
+ *
+ * @param {string} participantType - Participant type, or 'system'
+ * @returns {string} 'inbound', 'outbound', 'ai' or 'system'
+ */
+function getMessageClass(participantType) {
   if (participantType === 'ForeignPhoneParticipant') {
-    messageClass = 'inbound';
+    return 'inbound';
   } else if (participantType === 'BrowserParticipant' || participantType === 'BrowserHeadsetParticipant') {
-    messageClass = 'outbound';
+    return 'outbound';
   } else if (participantType === 'AIAgentParticipant') {
-    messageClass = 'ai';
-  } else if (participantType === 'system') {
-    messageClass = 'system';
+    return 'ai';
   }
+  return 'system';
+}
 
-  div.innerHTML = `
-    <div><span class="bold ${messageClass}">${speaker} (${time})</span></div>
-    <div class="${messageClass}">${text}</div>
-  `;
+/**
+ * Creates the DOM element for a transcript entry.
+ *
+ * All text is set with textContent, so transcript text, speaker names
+ * and TTS strings are never interpreted as markup. Message text is
+ * redacted (redaction.js) before it is shown.
+ *
+ * @param {Object} entry - Transcript entry (see transcript.js)
+ * @returns {HTMLElement}
+ *
+ * Participant Type Mappings:
+ * - ForeignPhoneParticipant: 'Foreign Phone' (inbound styling)
+ * - BrowserParticipant: Current username (outbound styling)
+ * - BrowserHeadsetParticipant: Current username (outbound styling)
+ * - AIAgentParticipant: 'AI Agent' (ai styling)
+ * - system: 'System' (system styling)
+ *
+ * CSS Classes Applied:
+ * - inbound / outbound / ai / system: By participant type
+ * - kind-[kind]: By message kind (speech, system, dtmf-sent,
+ *   speech-synthesized, takeover, error)
+ *
+ * DOM Structure:
+ * <div class="transcript kind-[kind]" data-entry-id="[id]" data-participant-type="[type]">
+ *   <div><span class="bold [messageClass]">Speaker (time)</span> <span class="transcript-kind">Kind</span></div>
+ *   <div class="transcript-text [messageClass]">Message text</div>
+ * </div>
+ */
+function createTranscriptElement(entry) {
+  const messageClass = getMessageClass(entry.participantType);
+  const div = document.createElement('div');
+  div.className = `transcript kind-${entry.kind}`;
+  div.dataset.entryId = entry.id;
+  div.dataset.participantType = entry.participantType;
+
+  const header = document.createElement('div');
+  const speaker = document.createElement('span');
+  speaker.className = `bold ${messageClass}`;
+  speaker.textContent = `${getSpeakerTitle(entry.participantType)} (${new Date(entry.time).toLocaleTimeString()})`;
+  header.appendChild(speaker);
+
+  const kindLabel = transcriptKindLabels[entry.kind];
+  if (kindLabel) {
+    const badge = document.createElement('span');
+    badge.className = 'transcript-kind';
+    badge.textContent = kindLabel;
+    header.appendChild(badge);
+  }
+
+  const body = document.createElement('div');
+  body.className = `transcript-text ${messageClass}`;
+  body.textContent = window.redactText ? window.redactText(entry.text) : entry.text;
+
+  div.appendChild(header);
+  div.appendChild(body);
+  return div;
+}
+
+/**
+ * Renders transcript model events into the #transcript container.
+ *
+ * @param {Object} event - Transcript event ({ type: 'reset' | 'entry', entry })
+ * @returns {void}
+ *
+ * Functionality:
+ * - 'reset': Clears the display for a new call
+ * - 'entry': Appends the entry; search, filters and scrolling are then
+ *   applied by transcriptView.js
+ *
+ * Usage Example:
+ * subscribeTranscript(renderTranscriptEvent);
+ */
+function renderTranscriptEvent(event) {
+  const transcriptContainer = document.getElementById('transcript');
+  if (!transcriptContainer) {
+    return;
+  }
+
+  if (event.type === 'reset') {
+    transcriptContainer.textContent = '';
+  } else if (event.type === 'entry') {
+    transcriptContainer.appendChild(createTranscriptElement(event.entry));
+  }
+}
+
+/**
+ * Re-renders the whole transcript, for example after redaction has been
+ * turned on or off.
+ *
+ * @param {Array<Object>} entries - Transcript entries to show
+ * @returns {void}
+ */
+function renderTranscript(entries) {
+  const transcriptContainer = document.getElementById('transcript');
+  if (!transcriptContainer) {
+    return;
+  }
+
+  transcriptContainer.textContent = '';
+  entries.forEach(entry => transcriptContainer.appendChild(createTranscriptElement(entry)));
+}
+
+/**
+ * Human-readable labels for call session states.
+ *
+ * Used by updateCallStatus() to describe the current call state next to
+ * the connection indicator.
+ */
+const callStateLabels = {
+  'idle': 'Idle',
+  'starting': 'Starting call...',
+  'waiting-for-job': 'Waiting for call...',
+  'connecting': 'Connecting...',
+  'ai-active': 'AI agent on call',
+  'agent-ready': 'Payer agent ready',
+  'human-active': 'You are on the call',
+  'ending': 'Ending call...',
+  'ended': 'Call ended',
+  'failed': 'Call failed'
+};
+
+/**
+ * Returns the current call session, or null before main.js created it.
+ *
+ * @returns {CallSession|null}
+ */
+function getCallSession() {
+  return window.callSession || null;
+}
 
-  transcriptContainer.appendChild(div);
-  transcriptContainer.scrollTop = transcriptContainer.scrollHeight;
+/**
+ * Renders all call-related UI from the current call session.
+ *
+ * This function is subscribed to the call session by main.js and runs on
+ * every state transition and session data change, so the call controls,
+ * dialpad and audio buttons always reflect the same state.
+ *
+ * @returns {void}
+ *
+ * Usage Example:
+ * callSession.subscribe(renderCallSession);
+ */
+function renderCallSession() {
+  updateCallStatus();
+  updateDialpadState();
+  updateAudioStatus();
 }
 
 /**
- * Updates the UI based on call connection status.
+ * Updates the UI based on call session state.
  *
  * This function manages the visual state of all call-related UI elements
- * based on whether the user is connected to a call or not. It enables/disables
+ * based on the state of the current call session. It enables/disables
  * buttons and updates visual indicators accordingly.
  *
- * @param {boolean} connected - Whether the user is connected to a call
  * @returns {void}
  *
  * Functionality:
  * 1. Connection Indicator: Updates visual connection status indicator
- * 2. Button States: Enables/disables call control buttons
- * 3. Audio Controls: Manages mute button states
+ * 2. State Label: Shows the call session state next to the indicator,
+ *    including the reconnect attempt while a dropped call is recovered
+ * 3. Button States: Enables/disables call control buttons
  * 4. Take Over Button: Updates take over button based on current state
  * 5. Speech Input: Enables/disables speech input functionality
- * 6. Dialpad: Updates dialpad button states
  *
- * Connected State Actions:
+ * Connected State Actions ('ai-active', 'agent-ready', 'human-active'):
  * - Sets connection indicator to 'connected' class
  * - Disables connect button
- * - Enables mute speaker and microphone buttons
  * - Enables end call button
+ * - Enables take over button unless the call was already taken over
+ * - Shows the Return to AI button while the call is taken over, enabled
+ *   only in 'human-active' and only if the softphone package can hand
+ *   calls back (the button's tooltip says why otherwise)
  * - Enables speech input and submit button
- * - Updates dialpad state based on take over status
  *
- * Disconnected State Actions:
+ * In-Progress State Actions ('starting' to 'connecting', 'ending'):
+ * - Keeps connect button disabled
+ * - Keeps end call button enabled so the call can be abandoned
+ * - Disables take over and speech input
+ *
+ * Idle State Actions ('idle', 'ended', 'failed'):
  * - Sets connection indicator to 'disconnected' class
  * - Enables connect button
- * - Disables all audio control buttons
- * - Disables end call button
- * - Disables speech input and submit button
- * - Disables all dialpad buttons
+ * - Disables end call, take over and speech input
  *
  * Error Handling:
  * - Wraps all DOM operations in try-catch
@@ -190,110 +306,89 @@ function appendTranscriptMessage(participantId, participantType, text, timestamp
  * - Continues execution even if some elements are missing
  *
  * Usage Example:
- * updateCallStatus(true); // Connected state
- * updateCallStatus(false); // Disconnected state
+ * updateCallStatus();
  */
-function updateCallStatus(connected) {
+function updateCallStatus() {
   try {
+    const session = getCallSession();
+    const state = session ? session.state : 'idle';
+    const connected = session ? session.isConnected : false;
+    const active = session ? session.isActive : false;
+    const hasTakenOver = session ? session.hasTakenOver : false;
+
     const connectionIndicator = document.getElementById('connectionIndicator');
+    const callStateLabel = document.getElementById('callStateLabel');
     const connectBtn = document.getElementById('connectBtn');
-    const muteSpeakerBtn = document.getElementById('muteSpeakerBtn');
-    const muteMicBtn = document.getElementById('muteMicBtn');
     const takeOverBtn = document.getElementById('takeOverBtn');
+    const returnToAIBtn = document.getElementById('returnToAIBtn');
     const endCallBtn = document.getElementById('endCallBtn');
     const speechInput = document.getElementById('speechInput');
     const speechSubmitBtn = document.querySelector('#speechForm button[type="submit"]');
-    const dialpadButtons = document.querySelectorAll('.dtmf');
 
-  if (connected) {
-    // Connected state
+    const reconnecting = session ? session.isReconnecting : false;
+
     if (connectionIndicator) {
-      connectionIndicator.className = 'connected';
-    }
-    if (connectBtn) {
-      connectBtn.disabled = true; // Disable connect button when connected
+      if (reconnecting) {
+        connectionIndicator.className = 'reconnecting';
+      } else {
+        connectionIndicator.className = connected ? 'connected' : 'disconnected';
+      }
     }
-    if (muteSpeakerBtn) {
-      muteSpeakerBtn.disabled = false;
+    if (callStateLabel) {
+      callStateLabel.textContent = reconnecting
+        ? `Reconnecting (attempt ${session.reconnectAttempt})...`
+        : callStateLabels[state] || state;
+      callStateLabel.dataset.state = reconnecting ? 'reconnecting' : state;
     }
-    if (muteMicBtn) {
-      muteMicBtn.disabled = false;
+    if (connectBtn) {
+      connectBtn.disabled = active; // Disable connect button while a call is in progress
     }
     if (takeOverBtn) {
-      const hasTakenOver = window.hasTakenOver || false;
-      takeOverBtn.disabled = hasTakenOver; // Disable if already taken over
+      takeOverBtn.disabled = !connected || hasTakenOver; // Disable if already taken over
       takeOverBtn.textContent = hasTakenOver ? 'Taken Over' : 'Take Over';
     }
-    if (endCallBtn) {
-      endCallBtn.disabled = false;
-    }
-    if (speechInput) {
-      speechInput.disabled = false;
-    }
-    if (speechSubmitBtn) {
-      speechSubmitBtn.disabled = false;
-    }
-
-    // Update dialpad state based on take over status
-    updateDialpadState();
-  } else {
-    // Disconnected state
-    if (connectionIndicator) {
-      connectionIndicator.className = 'disconnected';
-    }
-    if (connectBtn) {
-      connectBtn.disabled = false; // Enable connect button when disconnected
-    }
-    if (muteSpeakerBtn) {
-      muteSpeakerBtn.disabled = true;
-    }
-    if (muteMicBtn) {
-      muteMicBtn.disabled = true;
-    }
-    if (takeOverBtn) {
-      takeOverBtn.disabled = true;
-      takeOverBtn.textContent = 'Take Over';
+    if (returnToAIBtn) {
+      // Only a live human takeover can be handed back (not while reconnecting)
+      const canReturn = Boolean(window.canReturnToAI && window.canReturnToAI());
+      returnToAIBtn.disabled = state !== 'human-active' || !canReturn;
+      returnToAIBtn.style.display = hasTakenOver ? '' : 'none';
+      returnToAIBtn.title = canReturn
+        ? 'Hand the call back to the AI agent'
+        : 'This softphone version cannot hand calls back to the AI agent';
     }
     if (endCallBtn) {
-      endCallBtn.disabled = true;
+      endCallBtn.disabled = !active || state === 'ending';
     }
     if (speechInput) {
-      speechInput.disabled = true;
+      speechInput.disabled = !connected;
     }
     if (speechSubmitBtn) {
-      speechSubmitBtn.disabled = true;
+      speechSubmitBtn.disabled = !connected;
     }
-
-    // Disable all dialpad buttons when disconnected
-    dialpadButtons.forEach(button => {
-      button.style.pointerEvents = 'none';
-      button.style.opacity = '0.6';
-    });
-  }
   } catch (error) {
     console.error('Error updating call status:', error);
   }
 }
 
 /**
- * Updates the dialpad button states based on connection and take over status.
+ * Updates the dialpad button states based on call session state.
  *
  * This function manages the visual state and interactivity of dialpad buttons
- * based on whether the user is connected to a call and has taken over control.
+ * based on whether the call is connected and has been taken over.
  *
  * @returns {void}
  *
  * Functionality:
- * 1. State Check: Checks connection and take over status
+ * 1. State Check: Checks connection and take over status on the call session
  * 2. Button Management: Updates all dialpad button states
  * 3. Visual Feedback: Changes opacity and pointer events
  *
- * Enabled State (Connected + Taken Over):
+ * Enabled State ('human-active'):
  * - Sets pointer-events to 'auto'
  * - Sets opacity to '1' (fully visible)
  * - Allows user interaction with buttons
  *
- * Disabled State (Not Connected or Not Taken Over):
+ * Disabled State (any other state, including reconnecting after takeover):
  * - Sets pointer-events to 'none'
  * - Sets opacity to '0.6' (dimmed appearance)
  * - Prevents user interaction with buttons
@@ -308,12 +403,12 @@ function updateCallStatus(connected) {
  */
 function updateDialpadState() {
   try {
+    const session = getCallSession();
+    const enabled = session ? session.isConnected && session.hasTakenOver : false;
     const dialpadButtons = document.querySelectorAll('.dtmf');
-    const hasTakenOver = window.hasTakenOver || false;
-    const isConnected = window.isConnected || false;
 
     dialpadButtons.forEach(button => {
-      if (isConnected && hasTakenOver) {
+      if (enabled) {
         // Enable dialpad when connected and taken over
         button.style.pointerEvents = 'auto';
         button.style.opacity = '1';
@@ -332,31 +427,25 @@ function updateDialpadState() {
  * Updates the audio control button states and text based on current audio status.
  *
  * This function manages the visual state and text of audio control buttons
- * (speaker and microphone mute buttons) based on the current audio state
- * and take over status.
+ * (speaker and microphone mute buttons) based on the mute flags and take
+ * over status of the call session.
  *
  * @returns {void}
  *
  * Functionality:
- * 1. State Retrieval: Gets current conversation and take over status
+ * 1. State Retrieval: Reads mute and take over status from the call session
  * 2. Speaker Button: Updates speaker mute button text and state
  * 3. Microphone Button: Updates microphone mute button text and state
- * 4. Take Over Check: Enables/disables microphone button based on take over status
  *
  * Speaker Button States:
  * - Muted: Shows "Unmute Speaker" text
  * - Unmuted: Shows "Mute Speaker" text
- * - Always enabled when connected
+ * - Enabled while connected
  *
  * Microphone Button States:
  * - Muted: Shows "Unmute Mic" text
  * - Unmuted: Shows "Mute Mic" text
- * - Only enabled when user has taken over
- *
- * Global Variables Used:
- * - window.isOutputMuted: Speaker mute status
- * - window.isInputMuted: Microphone mute status
- * - window.hasTakenOver: Take over status
+ * - Only enabled while connected and taken over
  *
  * Error Handling:
  * - Wraps all DOM operations in try-catch
@@ -368,44 +457,23 @@ function updateDialpadState() {
  */
 function updateAudioStatus() {
   try {
+    const session = getCallSession();
+    const connected = session ? session.isConnected : false;
+    const hasTakenOver = session ? session.hasTakenOver : false;
+    const isOutputMuted = session ? session.isOutputMuted : false;
+    const isInputMuted = session ? session.isInputMuted : false;
+
     const muteSpeakerBtn = document.getElementById('muteSpeakerBtn');
     const muteMicBtn = document.getElementById('muteMicBtn');
 
-    // Get conversation state
-    const conversation = window.conversation;
-    const hasTakenOver = window.hasTakenOver || false;
-
-    console.log('Updating audio status - conversation:', conversation);
-    console.log('hasTakenOver:', hasTakenOver);
-
-    // Update speaker button text and state based on local output muted state
     if (muteSpeakerBtn) {
-      // Use the global isOutputMuted variable
-      const isOutputMuted = window.isOutputMuted || false;
-      console.log('isOutputMuted:', isOutputMuted);
-
-      if (isOutputMuted) {
-        muteSpeakerBtn.textContent = 'Unmute Speaker';
-        muteSpeakerBtn.disabled = false;
-      } else {
-        muteSpeakerBtn.textContent = 'Mute Speaker';
-        muteSpeakerBtn.disabled = false;
-      }
+      muteSpeakerBtn.textContent = isOutputMuted ? 'Unmute Speaker' : 'Mute Speaker';
+      muteSpeakerBtn.disabled = !connected;
     }
 
-    // Update mic button text and state based on local input muted state
     if (muteMicBtn) {
-      // Use the global isInputMuted variable
-      const isInputMuted = window.isInputMuted || false;
-      console.log('isInputMuted:', isInputMuted);
-
-      if (isInputMuted) {
-        muteMicBtn.textContent = 'Unmute Mic';
-        muteMicBtn.disabled = !hasTakenOver;
-      } else {
-        muteMicBtn.textContent = 'Mute Mic';
-        muteMicBtn.disabled = !hasTakenOver;
-      }
+      muteMicBtn.textContent = isInputMuted ? 'Unmute Mic' : 'Mute Mic';
+      muteMicBtn.disabled = !(connected && hasTakenOver);
     }
   } catch (error) {
     console.error('Error updating audio status:', error);
@@ -605,6 +673,68 @@ function showError(message, title = 'Error') {
   }
 }
 
+/**
+ * Shows the call loading overlay.
+ *
+ * @param {string} [message='Connecting to call...'] - Text shown under the spinner
+ * @param {Object} [options={}] - Overlay options
+ * @param {Function} [options.onCancel] - When given, shows a Cancel button
+ *   that calls this function
+ * @returns {void}
+ *
+ * Usage Example:
+ * showLoadingOverlay('Connecting to call...', { onCancel: handleCancelConnect });
+ */
+function showLoadingOverlay(message = 'Connecting to call...', options = {}) {
+  const loadingOverlay = document.getElementById('loadingOverlay');
+  const cancelBtn = document.getElementById('cancelConnectBtn');
+
+  setLoadingMessage(message);
+
+  if (cancelBtn) {
+    cancelBtn.onclick = options.onCancel || null;
+    cancelBtn.disabled = false;
+    cancelBtn.style.display = options.onCancel ? 'block' : 'none';
+  }
+  if (loadingOverlay) {
+    loadingOverlay.style.display = 'flex';
+  }
+}
+
+/**
+ * Updates the text shown in the call loading overlay.
+ *
+ * @param {string} message - Text shown under the spinner
+ * @returns {void}
+ *
+ * Usage Example:
+ * setLoadingMessage('Dialing payer...');
+ */
+function setLoadingMessage(message) {
+  const loadingMessage = document.getElementById('loadingMessage');
+  if (loadingMessage) {
+    loadingMessage.textContent = message;
+  }
+}
+
+/**
+ * Hides the call loading overlay and its Cancel button.
+ *
+ * @returns {void}
+ */
+function hideLoadingOverlay() {
+  const loadingOverlay = document.getElementById('loadingOverlay');
+  const cancelBtn = document.getElementById('cancelConnectBtn');
+
+  if (cancelBtn) {
+    cancelBtn.onclick = null;
+    cancelBtn.style.display = 'none';
+  }
+  if (loadingOverlay) {
+    loadingOverlay.style.display = 'none';
+  }
+}
+
 /**
  * Hides the error message toast notification.
  *
@@ -842,13 +972,17 @@ window.testTakeoverNotification = function() {
  * Exported Functions:
  * - appendMessage: Add system messages to transcript
  * - appendTranscriptMessage: Add detailed transcript messages
- * - updateCallStatus: Update UI based on call connection status
+ * - renderTranscriptEvent: Render transcript model events
+ * - renderTranscript: Re-render the whole transcript
+ * - renderCallSession: Render all call controls from the call session
+ * - updateCallStatus: Update UI based on call session state
  * - updateDialpadState: Update dialpad button states
  * - updateAudioStatus: Update audio control button states
  * - updateAuthStatus: Update authentication status display
  * - updateAuthMessage: Update auth message (deprecated)
  * - showError: Display error messages in toast
  * - hideError: Hide error message toast
+ * - showLoadingOverlay / setLoadingMessage / hideLoadingOverlay: Call loading overlay
  * - showHumanRepresentativeNotification: Show take over notification
  *
  * Exported Properties:
@@ -860,6 +994,9 @@ window.testTakeoverNotification = function() {
  */
 window.appendMessage = appendMessage;
 window.appendTranscriptMessage = appendTranscriptMessage;
+window.renderTranscriptEvent = renderTranscriptEvent;
+window.renderTranscript = renderTranscript;
+window.renderCallSession = renderCallSession;
 window.updateCallStatus = updateCallStatus;
 window.updateDialpadState = updateDialpadState;
 window.updateAudioStatus = updateAudioStatus;
@@ -867,6 +1004,9 @@ window.updateAuthStatus = updateAuthStatus;
 window.updateAuthMessage = updateAuthMessage;
 window.showError = showError;
 window.hideError = hideError;
+window.showLoadingOverlay = showLoadingOverlay;
+window.setLoadingMessage = setLoadingMessage;
+window.hideLoadingOverlay = hideLoadingOverlay;
 window.showHumanRepresentativeNotification = showHumanRepresentativeNotification;
 
 
@@ -11,6 +11,7 @@
  * - URL parsing and claim ID extraction
  * - Participant type management and mapping
  * - Tenant configuration management
+ * - Ids for records kept in the browser
  *
  * Constants:
  * - CallParticipantTypeEnum: Enumeration of participant types
@@ -351,6 +352,25 @@ function getPreferredTenant() {
   return process.env.APP_PREFERRED_TENANT;
 }
 
+/**
+ * Creates an id for a record kept in the browser (call facts, history
+ * records, queue items, alerts and queued wrap-ups).
+ *
+ * Uses crypto.randomUUID() where the browser provides it (secure
+ * contexts) and a time based id otherwise.
+ *
+ * @returns {string} New unique id
+ *
+ * Usage Example:
+ * const record = { id: createLocalId(), startedAt: Date.now() };
+ */
+function createLocalId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 /**
  * Global Function Exports
  *
@@ -368,6 +388,7 @@ function getPreferredTenant() {
  * - decodeBase64: Decode Base64 string to byte array
  * - generateDTMFTone: Generate DTMF tones for dialpad
  * - getPreferredTenant: Get preferred tenant ID
+ * - createLocalId: Create an id for a record kept in the browser
  *
  * Note: Configuration is now handled by environment variables
  *
@@ -381,4 +402,5 @@ window.extractClaimIdFromUrl = extractClaimIdFromUrl;
 window.encodeBase64 = encodeBase64;
 window.decodeBase64 = decodeBase64;
 window.generateDTMFTone = generateDTMFTone;
-window.getPreferredTenant = getPreferredTenant;
\ No newline at end of file
+window.getPreferredTenant = getPreferredTenant;
+window.createLocalId = createLocalId;
\ No newline at end of file
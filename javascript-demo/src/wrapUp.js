@@ -0,0 +1,551 @@
+/**
+ * Wrap-Up Module - Post-Call Disposition Form
+ *
+ * This module shows a wrap-up form when a connected call ends. The agent
+ * picks a disposition code, adds an optional note and the reference
+ * number given by the payer, and the result is submitted to the claims
+ * API. Submissions that fail because the network or the API is not
+ * available are kept in an outbox and retried later.
+ *
+ * Disposition Codes:
+ * - Configured with APP_DISPOSITION_CODES as a comma separated list of
+ *   code=Label pairs (a code without a label is shown as is)
+ * - Defaults: paid, denied, pending, needs-resubmission, wrong-payer
+ *
+ * API:
+ * - POST /api/v1/claims/{claimId}/calls/{jobId}/disposition, next to the
+ *   /api/v1/claims/{claimId}/calls endpoint used by startCall()
+ *
+ * Offline Retry:
+ * - Failed submissions are stored in localStorage under 'wrapUpOutbox'
+ * - The outbox is retried on start, when the browser comes back online
+ *   and periodically while it is not empty
+ * - Submissions the API rejects as invalid (4xx other than 401, 408 and
+ *   429) are not retried; the form stays open with the error
+ *
+ * Call Facts:
+ * - The first reference number found during the call (callFacts.js)
+ *   prefills the payer reference number
+ * - All call facts are submitted with the wrap-up as callFacts
+ *
+ * Dependencies:
+ * - Call session events (callSession.js)
+ * - window.getToken (auth.js)
+ * - window.getCallFacts (callFacts.js)
+ * - window.createLocalId (utils.js)
+ * - Environment variables for API configuration
+ *
+ * Usage: This module is imported by main.js, which calls initWrapUp()
+ * with the call session during application start. Other modules wait
+ * for the agent to finish the wrap-up with whenWrapUpComplete().
+ */
+
+const defaultDispositionCodes = [
+  { code: 'paid', label: 'Paid' },
+  { code: 'denied', label: 'Denied' },
+  { code: 'pending', label: 'Pending' },
+  { code: 'needs-resubmission', label: 'Needs resubmission' },
+  { code: 'wrong-payer', label: 'Wrong payer' }
+];
+
+const wrapUpOutboxStorageKey = 'wrapUpOutbox';
+
+// Delay between outbox retries while it is not empty
+const wrapUpRetryIntervalMs = 60000;
+
+// HTTP statuses that are worth retrying from the outbox
+const retryableStatuses = [401, 408, 429];
+
+// Wrap-up state
+let wrapUpCall = null;
+let pendingWrapUps = [];
+let wrapUpWaiters = [];
+let wrapUpRetryTimer = null;
+let isFlushingOutbox = false;
+
+/**
+ * Gets the configured disposition codes.
+ *
+ * @returns {Array<{code: string, label: string}>}
+ *
+ * Usage Example:
+ * // APP_DISPOSITION_CODES="paid=Paid,denied=Denied,appeal=Appeal filed"
+ * getDispositionCodes(); // [{ code: 'paid', label: 'Paid' }, ...]
+ */
+function getDispositionCodes() {
+  const configured = (process.env.APP_DISPOSITION_CODES || '').replace(/^\"|\"$/g, '');
+  if (!configured.trim()) {
+    return defaultDispositionCodes;
+  }
+
+  return configured.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [code, ...label] = entry.split('=');
+      return { code: code.trim(), label: label.join('=').trim() || code.trim() };
+    });
+}
+
+/**
+ * Loads the outbox of unsent wrap-ups.
+ *
+ * @returns {Array<Object>}
+ */
+function loadWrapUpOutbox() {
+  try {
+    const stored = localStorage.getItem(wrapUpOutboxStorageKey);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Error loading wrap-up outbox from localStorage:', error);
+    localStorage.removeItem(wrapUpOutboxStorageKey);
+    return [];
+  }
+}
+
+/**
+ * Saves the outbox of unsent wrap-ups and updates the outbox status.
+ *
+ * @param {Array<Object>} outbox - Unsent wrap-ups
+ * @returns {void}
+ */
+function saveWrapUpOutbox(outbox) {
+  try {
+    localStorage.setItem(wrapUpOutboxStorageKey, JSON.stringify(outbox));
+  } catch (error) {
+    console.error('Error saving wrap-up outbox to localStorage:', error);
+  }
+  renderWrapUpOutboxStatus(outbox);
+}
+
+/**
+ * Submits a wrap-up to the claims API.
+ *
+ * @param {Object} wrapUp - Wrap-up to submit
+ * @param {string} wrapUp.claimId - Claim the call was made for
+ * @param {string} wrapUp.jobId - Job ID of the call
+ * @param {Object} wrapUp.payload - Request body
+ * @returns {Promise<void>}
+ * @throws {Error} With `retryable` set when the submission should be
+ *   retried from the outbox
+ */
+async function submitWrapUp(wrapUp) {
+  const token = window.getToken ? await window.getToken() : null;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+    'currentUser': localStorage.getItem('currentUser') || '',
+    'refresh_token': localStorage.getItem('refreshToken') || '',
+  };
+
+  const claimsUrl = (process.env.APP_CLAIMS_URL || '').replace(/^\"|\"$/g, ''); // Remove quotes from environment variable
+  const fullUrl = `${claimsUrl}/api/v1/claims/${wrapUp.claimId}/calls/${wrapUp.jobId}/disposition`;
+
+  let response;
+  try {
+    response = await fetch(fullUrl, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(wrapUp.payload),
+    });
+  } catch (error) {
+    // Network failure (offline, DNS, CORS...)
+    error.retryable = true;
+    throw error;
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('Wrap-up API error response:', errorText);
+
+    let errorData;
+    try {
+      errorData = JSON.parse(errorText);
+    } catch (e) {
+      errorData = { detail: errorText };
+    }
+
+    const error = new Error(errorData.detail || `Failed to submit wrap-up: ${response.status} ${response.statusText}`);
+    error.retryable = response.status >= 500 || retryableStatuses.includes(response.status);
+    throw error;
+  }
+}
+
+/**
+ * Retries all wrap-ups in the outbox, oldest first.
+ *
+ * Stops at the first retryable failure so submissions keep their order.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushWrapUpOutbox() {
+  if (isFlushingOutbox || (navigator.onLine === false)) {
+    return;
+  }
+
+  isFlushingOutbox = true;
+  try {
+    let outbox = loadWrapUpOutbox();
+
+    while (outbox.length > 0) {
+      const wrapUp = outbox[0];
+      try {
+        await submitWrapUp(wrapUp);
+        console.log('Queued wrap-up submitted for claim:', '[ID]');
+      } catch (error) {
+        if (error.retryable) {
+          wrapUp.attempts = (wrapUp.attempts || 0) + 1;
+          wrapUp.lastError = error.message;
+          saveWrapUpOutbox(outbox);
+          break;
+        }
+        console.error('Queued wrap-up was rejected and dropped:', error);
+        if (window.showError) {
+          window.showError(`A saved wrap-up was rejected by the claims API: ${error.message}`);
+        }
+      }
+
+      outbox = outbox.slice(1);
+      saveWrapUpOutbox(outbox);
+    }
+  } finally {
+    isFlushingOutbox = false;
+    scheduleWrapUpRetry();
+  }
+}
+
+/**
+ * Schedules the next outbox retry while the outbox is not empty.
+ *
+ * @returns {void}
+ */
+function scheduleWrapUpRetry() {
+  if (wrapUpRetryTimer) {
+    clearTimeout(wrapUpRetryTimer);
+    wrapUpRetryTimer = null;
+  }
+
+  if (loadWrapUpOutbox().length > 0) {
+    wrapUpRetryTimer = setTimeout(flushWrapUpOutbox, wrapUpRetryIntervalMs);
+  }
+}
+
+/**
+ * Shows how many wrap-ups are waiting to be sent.
+ *
+ * @param {Array<Object>} [outbox] - Unsent wrap-ups (loaded if omitted)
+ * @returns {void}
+ */
+function renderWrapUpOutboxStatus(outbox = loadWrapUpOutbox()) {
+  const status = document.getElementById('wrapUpOutboxStatus');
+  if (!status) {
+    return;
+  }
+
+  status.style.display = outbox.length > 0 ? '' : 'none';
+  status.textContent = outbox.length === 1
+    ? '1 wrap-up waiting to be sent'
+    : `${outbox.length} wrap-ups waiting to be sent`;
+  status.title = outbox.length > 0 && outbox[0].lastError ? `Last error: ${outbox[0].lastError}` : '';
+}
+
+/**
+ * Whether a wrap-up is waiting for the agent.
+ *
+ * @returns {boolean}
+ */
+function isWrapUpPending() {
+  return pendingWrapUps.length > 0;
+}
+
+/**
+ * Waits until the agent has finished (submitted or skipped) all
+ * pending wrap-ups.
+ *
+ * @returns {Promise<void>} Resolves immediately if no wrap-up is pending
+ *
+ * Usage Example:
+ * await whenWrapUpComplete();
+ */
+function whenWrapUpComplete() {
+  if (!isWrapUpPending()) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => wrapUpWaiters.push(resolve));
+}
+
+/**
+ * Opens the wrap-up form for an ended call.
+ *
+ * @param {Object} call - Call to wrap up ({ claimId, jobId, startedAt, endedAt, facts })
+ * @returns {void}
+ */
+function openWrapUp(call) {
+  pendingWrapUps.push(call);
+  if (pendingWrapUps.length === 1) {
+    renderWrapUpForm();
+  }
+}
+
+/**
+ * Renders the wrap-up form for the first pending call, or hides it.
+ *
+ * @returns {void}
+ */
+function renderWrapUpForm() {
+  const panel = document.getElementById('wrapUpPanel');
+  if (!panel) {
+    return;
+  }
+
+  const call = pendingWrapUps[0];
+  if (!call) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const claimLabel = document.getElementById('wrapUpClaim');
+  const disposition = document.getElementById('wrapUpDisposition');
+  const referenceNumber = document.getElementById('wrapUpReferenceNumber');
+  const note = document.getElementById('wrapUpNote');
+  const submitBtn = document.getElementById('wrapUpSubmitBtn');
+
+  if (claimLabel) {
+    claimLabel.textContent = call.claimId;
+  }
+  if (disposition) {
+    disposition.textContent = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Select disposition...';
+    disposition.appendChild(placeholder);
+    getDispositionCodes().forEach(({ code, label }) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = label;
+      disposition.appendChild(option);
+    });
+  }
+  if (referenceNumber) {
+    // Prefill the reference number the payer read out during the call
+    const referenceFact = call.facts.find(fact => fact.type === 'reference-number');
+    referenceNumber.value = referenceFact ? referenceFact.value : '';
+  }
+  if (note) {
+    note.value = '';
+  }
+  if (submitBtn) {
+    submitBtn.disabled = false;
+  }
+
+  panel.style.display = '';
+  if (disposition) {
+    disposition.focus();
+  }
+}
+
+/**
+ * Closes the wrap-up of the first pending call and shows the next one.
+ * Resolves whenWrapUpComplete() waiters once none is left.
+ *
+ * @returns {void}
+ */
+function completeWrapUp() {
+  pendingWrapUps.shift();
+  renderWrapUpForm();
+
+  if (!isWrapUpPending()) {
+    const waiters = wrapUpWaiters;
+    wrapUpWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
+
+/**
+ * Gets the call facts to submit with a wrap-up.
+ *
+ * While the Call facts panel still shows the wrapped up call, its
+ * current facts are used, so edits made after the call ended are
+ * included. Otherwise the facts from the end of the call are used.
+ *
+ * @param {Object} call - Call being wrapped up
+ * @returns {Array<Object>}
+ */
+function getWrapUpCallFacts(call) {
+  const transcriptCall = window.getTranscriptCall ? window.getTranscriptCall() : null;
+  if (window.getCallFacts && transcriptCall && transcriptCall.jobId === call.jobId) {
+    return window.getCallFacts();
+  }
+  return call.facts;
+}
+
+/**
+ * Submits the wrap-up form.
+ *
+ * Failed submissions that can be retried are moved to the outbox; the
+ * form is closed either way so the agent can move on.
+ *
+ * @returns {Promise<void>}
+ */
+async function handleWrapUpSubmit() {
+  const call = pendingWrapUps[0];
+  if (!call) {
+    return;
+  }
+
+  const disposition = document.getElementById('wrapUpDisposition');
+  const referenceNumber = document.getElementById('wrapUpReferenceNumber');
+  const note = document.getElementById('wrapUpNote');
+  const submitBtn = document.getElementById('wrapUpSubmitBtn');
+
+  const dispositionCode = disposition ? disposition.value : '';
+  if (!dispositionCode) {
+    if (window.showError) {
+      window.showError('Please select a disposition for this call');
+    }
+    return;
+  }
+
+  const facts = getWrapUpCallFacts(call);
+  const wrapUp = {
+    id: window.createLocalId(),
+    claimId: call.claimId,
+    jobId: call.jobId,
+    payload: {
+      jobId: call.jobId,
+      disposition: dispositionCode,
+      note: note ? note.value.trim() : '',
+      payerReferenceNumber: referenceNumber ? referenceNumber.value.trim() : '',
+      callFacts: facts.map(({ type, value }) => ({ type, value })),
+      callStartedAt: call.startedAt,
+      callEndedAt: call.endedAt,
+      submittedAt: new Date().toISOString()
+    },
+    attempts: 0,
+    lastError: null
+  };
+
+  if (submitBtn) {
+    submitBtn.disabled = true;
+  }
+
+  try {
+    // Keep submissions in order: queue behind older unsent wrap-ups
+    if (loadWrapUpOutbox().length > 0) {
+      const error = new Error('Older wrap-ups are still waiting to be sent');
+      error.retryable = true;
+      throw error;
+    }
+
+    await submitWrapUp(wrapUp);
+    console.log('Wrap-up submitted for claim:', '[ID]');
+  } catch (error) {
+    if (!error.retryable) {
+      console.error('Wrap-up was rejected:', error);
+      if (window.showError) {
+        window.showError(`Wrap-up was rejected: ${error.message}`);
+      }
+      if (submitBtn) {
+        submitBtn.disabled = false;
+      }
+      return;
+    }
+
+    console.warn('Wrap-up could not be sent, saving it for retry:', error.message);
+    wrapUp.lastError = error.message;
+    saveWrapUpOutbox([...loadWrapUpOutbox(), wrapUp]);
+    scheduleWrapUpRetry();
+  }
+
+  completeWrapUp();
+}
+
+/**
+ * Skips the wrap-up of the current call without submitting anything.
+ *
+ * @returns {void}
+ */
+function handleWrapUpSkip() {
+  if (pendingWrapUps[0]) {
+    console.log('Wrap-up skipped for claim:', '[ID]');
+    completeWrapUp();
+  }
+}
+
+/**
+ * Opens the wrap-up form when a call that was connected ends.
+ *
+ * @param {Object} event - Call session event ({ type, state, session })
+ * @returns {void}
+ */
+function handleWrapUpSessionEvent(event) {
+  if (event.type !== 'state') {
+    return;
+  }
+
+  const { session, state } = event;
+
+  if (state === 'starting') {
+    wrapUpCall = { claimId: session.claimId, jobId: null, startedAt: new Date().toISOString(), connected: false };
+  } else if (!wrapUpCall) {
+    return;
+  } else if (state === 'waiting-for-job') {
+    wrapUpCall.jobId = session.jobId;
+  } else if (session.isConnected) {
+    wrapUpCall.connected = true;
+  } else if (state === 'ended' || state === 'failed') {
+    const { connected, ...call } = wrapUpCall;
+    wrapUpCall = null;
+    if (connected) {
+      const facts = window.getCallFacts ? window.getCallFacts() : [];
+      openWrapUp({ ...call, endedAt: new Date().toISOString(), facts });
+    }
+  }
+}
+
+/**
+ * Initializes the wrap-up form and the outbox retry.
+ *
+ * @param {CallSession} callSession - Session whose ended calls are wrapped up
+ * @returns {void}
+ *
+ * Usage Example:
+ * initWrapUp(callSession);
+ */
+function initWrapUp(callSession) {
+  callSession.subscribe(handleWrapUpSessionEvent);
+
+  const submitBtn = document.getElementById('wrapUpSubmitBtn');
+  if (submitBtn) {
+    submitBtn.addEventListener('click', handleWrapUpSubmit);
+  }
+
+  const skipBtn = document.getElementById('wrapUpSkipBtn');
+  if (skipBtn) {
+    skipBtn.addEventListener('click', handleWrapUpSkip);
+  }
+
+  window.addEventListener('online', flushWrapUpOutbox);
+
+  renderWrapUpForm();
+  renderWrapUpOutboxStatus();
+  flushWrapUpOutbox();
+}
+
+/**
+ * Global Exports
+ *
+ * Exported Functions:
+ * - initWrapUp: Initialize the wrap-up form with the call session
+ * - isWrapUpPending: Whether a wrap-up is waiting for the agent
+ * - whenWrapUpComplete: Wait until all pending wrap-ups are done
+ * - getDispositionCodes: Configured disposition codes
+ * - flushWrapUpOutbox: Retry unsent wrap-ups now
+ */
+window.initWrapUp = initWrapUp;
+window.isWrapUpPending = isWrapUpPending;
+window.whenWrapUpComplete = whenWrapUpComplete;
+window.getDispositionCodes = getDispositionCodes;
+window.flushWrapUpOutbox = flushWrapUpOutbox;
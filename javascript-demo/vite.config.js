@@ -56,7 +56,12 @@ export default defineConfig(({ mode }) => {
         APP_KEYCLOAK_URL: JSON.stringify(env.APP_KEYCLOAK_URL || ''),
         APP_KEYCLOAK_REALM: JSON.stringify(env.APP_KEYCLOAK_REALM || ''),
         APP_KEYCLOAK_CLIENT_ID: JSON.stringify(env.APP_KEYCLOAK_CLIENT_ID || ''),
-        APP_REDIRECT_URI: JSON.stringify(env.APP_REDIRECT_URI || '')
+        APP_REDIRECT_URI: JSON.stringify(env.APP_REDIRECT_URI || ''),
+        APP_RELOAD_AFTER_CALL: JSON.stringify(env.APP_RELOAD_AFTER_CALL || ''),
+        APP_JOB_STATUS_PHASES: JSON.stringify(env.APP_JOB_STATUS_PHASES || ''),
+        APP_DISPOSITION_CODES: JSON.stringify(env.APP_DISPOSITION_CODES || ''),
+        APP_REDACTION_RULES: JSON.stringify(env.APP_REDACTION_RULES || ''),
+        APP_REDACTION_UNMASK_ROLES: JSON.stringify(env.APP_REDACTION_UNMASK_ROLES || '')
       }
     }
   };
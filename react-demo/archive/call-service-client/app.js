@@ -3,9 +3,73 @@ let inboundAudioContext = null;
 let outboundAudioContext = null;
 let socket = null;
 
+// Payload formats for this call, from codec.js: "mulaw", "alaw", "pcm16be" or "pcm16le".
+// Chosen per call by negotiateAudioFormatsAsync().
+const defaultInboundAudioFormat = "mulaw";
+const defaultOutboundAudioFormat = "pcm16be";
+let inboundAudioFormat = defaultInboundAudioFormat;
+let outboundAudioFormat = defaultOutboundAudioFormat;
+
+let outboundWorkletNode = null;
+let outboundSourceNode = null;
+let monitorGainNode = null;
+
+// Listeners for what happens in the conversation: { type: "InboundText" |
+// "OutboundText", text } when a line of transcript arrives, and
+// { type: "VoiceActivity", participant: "inbound" | "outbound", speaking }
+// when the caller or the agent starts or stops speaking.
+const conversationListeners = new Set();
+
+// Adds a listener for conversation events. Returns a function that removes it.
+function subscribeConversation(listener) {
+    conversationListeners.add(listener);
+    return () => conversationListeners.delete(listener);
+}
+
+function emitConversationEvent(event) {
+    for (const listener of conversationListeners) {
+        try {
+            listener(event);
+        }
+        catch (error) {
+            console.log("conversation listener failed", error);
+        }
+    }
+}
+
+// Sets the payload formats of the next call from the page's inboundFormat
+// and outboundFormat query parameters, for example
+// index.html?inboundFormat=alaw&outboundFormat=pcm16le, falling back to the
+// defaults. Returns false when a format is not one codec.js supports.
+async function negotiateAudioFormatsAsync() {
+    const { audioFormats } = await import("./codec.js");
+    const parameters = new URLSearchParams(window.location.search);
+    const inbound = parameters.get("inboundFormat") || defaultInboundAudioFormat;
+    const outbound = parameters.get("outboundFormat") || defaultOutboundAudioFormat;
+
+    for (const format of [inbound, outbound]) {
+        if (!audioFormats.includes(format)) {
+            appendMessage("system: unsupported audio format " + format + ", use one of " + audioFormats.join(", "));
+            return false;
+        }
+    }
+
+    inboundAudioFormat = inbound;
+    outboundAudioFormat = outbound;
+    return true;
+}
+
 async function handleConnectAsnyc(event) {
+    if (!await negotiateAudioFormatsAsync()) {
+        return;
+    }
+
+    // The server sends InboundAudio and expects OutboundAudio in the formats
+    // given on the socket URL.
     let jobId = $("#jobId")[0].value;
-    let url = "ws://localhost:5001/api/v1/jobs/" + jobId + "/browser"
+    let url = "ws://localhost:5001/api/v1/jobs/" + jobId + "/browser" +
+        "?inboundFormat=" + encodeURIComponent(inboundAudioFormat) +
+        "&outboundFormat=" + encodeURIComponent(outboundAudioFormat);
 
     await createInboundAudioContextAsync();
     // await createOutboundAudioContextAsync();
@@ -31,14 +95,21 @@ function handleDisconnect() {
     if (outboundAudioContext != null) {
         outboundAudioContext.close();
         outboundAudioContext = null;
+        outboundWorkletNode = null;
+        outboundSourceNode = null;
+        monitorGainNode = null;
     }
 
+    // Nobody is speaking once the call is gone.
+    emitConversationEvent({ type: "VoiceActivity", participant: "inbound", speaking: false });
+    emitConversationEvent({ type: "VoiceActivity", participant: "outbound", speaking: false });
+
     $("#connect").show();
     $("#disconnect").hide();
 }
 
 function handleWebSocketOpen() {
-    appendMessage("system: socket opened");
+    appendMessage("system: socket opened, audio in " + inboundAudioFormat + ", out " + outboundAudioFormat);
     $("#disconnect").show();
     $("#connect").hide();
 }
@@ -60,6 +131,7 @@ function handleWebSocketMessage(message) {
 
     if (parsed.type === "InboundText" || parsed.type === "OutboundText") {
         appendMessage(parsed.type + ": " + parsed.payload);
+        emitConversationEvent({ type: parsed.type, text: parsed.payload });
     }
     else if (parsed.type == "InboundAudio") {
         const sequenceNumber = parsed.sequenceNumber;
@@ -97,14 +169,17 @@ async function createInboundAudioContextAsync() {
         inboundAudioContext = null;
     }
 
-    inboundAudioContext = new AudioContext({ sampleRate: 8000 });
+    // Run at the device's rate; the worklet resamples the 8 kHz call audio.
+    inboundAudioContext = new AudioContext();
 
     const gainNode = inboundAudioContext.createGain();
     gainNode.connect(inboundAudioContext.destination);
     gainNode.gain.value = 15 / 20.0;
 
     await inboundAudioContext.audioWorklet.addModule("inbound-audio-processor.js");
-    workletNode = new AudioWorkletNode(inboundAudioContext, 'inbound-audio-processor');
+    workletNode = new AudioWorkletNode(inboundAudioContext, 'inbound-audio-processor', {
+        processorOptions: { format: inboundAudioFormat }
+    });
     workletNode.port.onmessage = handleWorkletNodeMessage;
     workletNode.connect(gainNode);
 
@@ -112,6 +187,20 @@ async function createInboundAudioContextAsync() {
 }
 
 function handleWorkletNodeMessage(event) {
+    if (event.data.type === "JitterBufferStats") {
+        const stats = event.data;
+        $("#stats").text(
+            "jitter " + stats.jitterMs + " ms, delay " + stats.playoutDelayMs + " ms, buffered " + stats.bufferedMs + " ms" +
+            " | underruns " + stats.underruns + ", late " + stats.latePackets + ", duplicates " + stats.duplicatePackets +
+            ", concealed " + stats.concealedPackets + ", discarded " + stats.discardedPackets);
+        return;
+    }
+
+    if (event.data.type === "VoiceActivity") {
+        emitConversationEvent({ type: "VoiceActivity", participant: "inbound", speaking: event.data.speaking });
+        return;
+    }
+
     console.log(event.data);
 }
 
@@ -136,18 +225,98 @@ async function createOutboundAudioContextAsync() {
         outboundAudioContext = null;
     }
     
-    outboundAudioContext = new AudioContext({ sampleRate: 8000, channels: 1 });
+    // Run at the device's rate; the worklet resamples the microphone to 8 kHz.
+    outboundAudioContext = new AudioContext();
 
     await outboundAudioContext.audioWorklet.addModule("outbound-audio-processor.js");
-    workletNode = new AudioWorkletNode(outboundAudioContext, 'outbound-audio-processor');
-    workletNode.port.onmessage = handleOutboundMessageAsync;
+    outboundWorkletNode = new AudioWorkletNode(outboundAudioContext, 'outbound-audio-processor', {
+        processorOptions: { format: outboundAudioFormat, cleanup: loadCleanupSettings(), suppressSilence: loadSuppressSilence() }
+    });
+    outboundWorkletNode.port.onmessage = handleOutboundMessageAsync;
     
     const mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
-    const sourceNode = outboundAudioContext.createMediaStreamSource(mediaStream);
-    sourceNode.connect(workletNode);
+    outboundSourceNode = outboundAudioContext.createMediaStreamSource(mediaStream);
+    outboundSourceNode.connect(outboundWorkletNode);
+
+    monitorGainNode = outboundAudioContext.createGain();
+    monitorGainNode.connect(outboundAudioContext.destination);
+    handleCleanupMonitorChanged();
+}
+
+// Cleanup stages of the outbound audio (see audio-cleanup.js), saved between visits.
+function loadCleanupSettings() {
+    try {
+        return JSON.parse(localStorage.getItem("audioCleanup")) || {};
+    }
+    catch (error) {
+        console.log("could not load cleanup settings", error);
+        return {};
+    }
+}
+
+function handleCleanupChanged() {
+    const settings = {
+        highPass: $("#highPass")[0].checked,
+        noiseGate: $("#noiseGate")[0].checked,
+        automaticGainControl: $("#automaticGainControl")[0].checked
+    };
+    localStorage.setItem("audioCleanup", JSON.stringify(settings));
+
+    if (outboundWorkletNode != null) {
+        outboundWorkletNode.port.postMessage({ type: "AudioCleanup", settings });
+    }
+}
+
+// Whether OutboundAudio is only sent while the agent speaks, saved between visits.
+function loadSuppressSilence() {
+    return localStorage.getItem("suppressSilence") === "true";
+}
+
+function handleSuppressSilenceChanged() {
+    const enabled = $("#suppressSilence")[0].checked;
+    localStorage.setItem("suppressSilence", String(enabled));
+
+    if (outboundWorkletNode != null) {
+        outboundWorkletNode.port.postMessage({ type: "SuppressSilence", enabled });
+    }
+}
+
+// Plays the microphone to the agent before or after cleanup. Use headphones.
+function handleCleanupMonitorChanged() {
+    if (monitorGainNode == null) {
+        return;
+    }
+
+    outboundSourceNode.disconnect();
+    outboundSourceNode.connect(outboundWorkletNode);
+    outboundWorkletNode.disconnect();
+
+    const monitor = $("#cleanupMonitor")[0].value;
+    if (monitor === "before") {
+        outboundSourceNode.connect(monitorGainNode);
+    }
+    else if (monitor === "after") {
+        outboundWorkletNode.connect(monitorGainNode);
+    }
 }
 
 async function handleOutboundMessageAsync(event) {
+    if (event.data.type === "AudioCleanupLevels") {
+        const levels = event.data;
+        $("#cleanupLevels").text(
+            "before " + levels.beforeDb + " dB, after " + levels.afterDb + " dB" +
+            " | gain " + levels.gainDb + " dB, gate " + (levels.gateOpen ? "open" : "closed"));
+        return;
+    }
+
+    if (event.data.type === "VoiceActivity") {
+        if (!event.data.speaking && event.data.suppressedPackets > 0) {
+            console.log("suppressed packets", event.data.suppressedPackets);
+        }
+        emitConversationEvent({ type: "VoiceActivity", participant: "outbound", speaking: event.data.speaking });
+        return;
+    }
+
     const message = {
         type: "OutboundAudio",
         payload: encodeBase64(event.data.buffer),
@@ -161,4 +330,17 @@ async function handleOutboundMessageAsync(event) {
 
 $(document).ready(async function () {
     $("#connect").show();
+
+    const cleanupSettings = loadCleanupSettings();
+    $("#highPass")[0].checked = Boolean(cleanupSettings.highPass);
+    $("#noiseGate")[0].checked = Boolean(cleanupSettings.noiseGate);
+    $("#automaticGainControl")[0].checked = Boolean(cleanupSettings.automaticGainControl);
+    $("#suppressSilence")[0].checked = loadSuppressSilence();
+
+    // Highlights whoever is speaking next to the transcript.
+    subscribeConversation(event => {
+        if (event.type === "VoiceActivity") {
+            $("#" + event.participant + "Speaking").toggleClass("speaking", event.speaking);
+        }
+    });
 });
\ No newline at end of file
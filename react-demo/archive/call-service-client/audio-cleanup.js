@@ -0,0 +1,246 @@
+// Cleans up microphone audio before it is encoded for the call.
+//
+// Three stages, each of which can be turned on and off:
+//
+//   highPass               Removes rumble (desk bumps, air conditioning,
+//                          handling noise) below the telephone band.
+//   noiseGate              Turns the microphone down between words, so
+//                          background noise from the floor is not sent while
+//                          the agent is listening. The threshold follows the
+//                          measured noise floor.
+//   automaticGainControl   Brings speech to a steady level on the line,
+//                          whether the agent is quiet or close to the
+//                          microphone, and limits peaks so they do not clip.
+//
+// Samples are processed in place and nothing is allocated after
+// construction, so it is safe to use inside AudioWorkletProcessor.process().
+
+export const defaultCleanupSettings = {
+    highPass: false,
+    noiseGate: false,
+    automaticGainControl: false
+};
+
+// High-pass filter settings.
+const highPassCutoffHz = 100;           // Rumble below this is removed.
+
+// Noise gate settings.
+const gateMarginDb = 10;                // The gate opens this far above the noise floor.
+const gateMinThresholdDb = -55;         // ... but never below this.
+const gateMaxThresholdDb = -30;         // ... or above this, so speech always opens it.
+const gateHysteresisDb = 4;             // The gate closes this far below where it opens.
+const gateRangeDb = -24;                // How far the closed gate turns the microphone down.
+const gateHoldSeconds = 0.2;            // The gate stays open this long after speech stops.
+const gateOpenSeconds = 0.002;          // Time constant of the gate opening.
+const gateCloseSeconds = 0.08;          // Time constant of the gate closing.
+const noiseFloorRiseDbPerSecond = 3;    // How fast the noise floor estimate rises.
+
+// Automatic gain control settings.
+const agcTargetDb = -20;                // Speech level (RMS) to aim for.
+const agcSpeechThresholdDb = -45;       // Quieter than this is not speech; the gain is left alone.
+const agcMinGainDb = -12;
+const agcMaxGainDb = 18;
+const agcLevelSeconds = 0.1;            // Time constant of the level measurement.
+const agcAttackSeconds = 0.05;          // Time constant of the gain going down.
+const agcReleaseSeconds = 1.5;          // Time constant of the gain going up.
+const agcLimit = 0.9;                   // Peaks are held below this.
+
+function toLinear(db) {
+    return Math.pow(10, db / 20);
+}
+
+export function toDb(linear) {
+    return linear > 0 ? 20 * Math.log10(linear) : -Infinity;
+}
+
+// Coefficient of a one-pole smoother with the given time constant.
+function smoothing(seconds, sampleRate) {
+    return Math.exp(-1 / (seconds * sampleRate));
+}
+
+// A second-order Butterworth high-pass filter.
+class HighPassFilter {
+    constructor (sampleRate) {
+        const w0 = 2 * Math.PI * highPassCutoffHz / sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+        const a0 = 1 + alpha;
+
+        this._b0 = (1 + cos) / 2 / a0;
+        this._b1 = -(1 + cos) / a0;
+        this._b2 = (1 + cos) / 2 / a0;
+        this._a1 = -2 * cos / a0;
+        this._a2 = (1 - alpha) / a0;
+        this.reset();
+    }
+
+    reset() {
+        this._z1 = 0;
+        this._z2 = 0;
+    }
+
+    process(samples, count) {
+        let z1 = this._z1;
+        let z2 = this._z2;
+
+        for (let i = 0; i < count; i++) {
+            const x = samples[i];
+            const y = this._b0 * x + z1;
+            z1 = this._b1 * x - this._a1 * y + z2;
+            z2 = this._b2 * x - this._a2 * y;
+            samples[i] = y;
+        }
+
+        this._z1 = z1;
+        this._z2 = z2;
+    }
+}
+
+// A noise gate whose threshold follows the noise floor.
+class NoiseGate {
+    constructor (sampleRate) {
+        this._envelopeRelease = smoothing(0.05, sampleRate);
+        this._floorRise = toLinear(noiseFloorRiseDbPerSecond / sampleRate);
+        this._holdSamples = Math.round(gateHoldSeconds * sampleRate);
+        this._openSmoothing = smoothing(gateOpenSeconds, sampleRate);
+        this._closeSmoothing = smoothing(gateCloseSeconds, sampleRate);
+        this._range = toLinear(gateRangeDb);
+        this._margin = toLinear(gateMarginDb);
+        this._hysteresis = toLinear(-gateHysteresisDb);
+        this._minThreshold = toLinear(gateMinThresholdDb);
+        this._maxThreshold = toLinear(gateMaxThresholdDb);
+        this.reset();
+    }
+
+    get open() {
+        return this._open;
+    }
+
+    reset() {
+        this._noiseFloor = this._minThreshold;          // Estimated level of the background noise.
+        this._envelope = this._noiseFloor;              // Peak level, falling slowly.
+        this._open = false;
+        this._holdRemaining = 0;                        // Samples until the gate may close.
+        this._gain = this._range;
+    }
+
+    process(samples, count) {
+        for (let i = 0; i < count; i++) {
+            const level = Math.abs(samples[i]);
+            this._envelope = Math.max(level, this._envelope * this._envelopeRelease);
+
+            // The floor drops straight to quieter levels and creeps up to louder ones.
+            this._noiseFloor = Math.min(this._envelope, this._noiseFloor * this._floorRise);
+
+            const openThreshold = Math.min(Math.max(this._noiseFloor * this._margin, this._minThreshold), this._maxThreshold);
+            const closeThreshold = openThreshold * this._hysteresis;
+
+            if (this._envelope > openThreshold) {
+                this._open = true;
+                this._holdRemaining = this._holdSamples;
+            }
+            else if (this._open && this._envelope < closeThreshold) {
+                if (this._holdRemaining > 0) {
+                    this._holdRemaining -= 1;
+                }
+                else {
+                    this._open = false;
+                }
+            }
+
+            const target = this._open ? 1 : this._range;
+            const coefficient = target > this._gain ? this._openSmoothing : this._closeSmoothing;
+            this._gain = target + (this._gain - target) * coefficient;
+            samples[i] *= this._gain;
+        }
+    }
+}
+
+// Automatic gain control with a peak limiter.
+class AutomaticGainControl {
+    constructor (sampleRate) {
+        this._levelSmoothing = smoothing(agcLevelSeconds, sampleRate);
+        this._attackSmoothing = smoothing(agcAttackSeconds, sampleRate);
+        this._releaseSmoothing = smoothing(agcReleaseSeconds, sampleRate);
+        this._target = toLinear(agcTargetDb);
+        this._speechThreshold = toLinear(agcSpeechThresholdDb);
+        this._minGain = toLinear(agcMinGainDb);
+        this._maxGain = toLinear(agcMaxGainDb);
+        this.reset();
+    }
+
+    get gainDb() {
+        return toDb(this._gain);
+    }
+
+    reset() {
+        this._meanSquare = 0;   // Smoothed power of the input.
+        this._gain = 1;
+    }
+
+    process(samples, count) {
+        for (let i = 0; i < count; i++) {
+            const x = samples[i];
+            this._meanSquare = x * x + (this._meanSquare - x * x) * this._levelSmoothing;
+            const level = Math.sqrt(this._meanSquare);
+
+            if (level > this._speechThreshold) {
+                const desired = Math.min(Math.max(this._target / level, this._minGain), this._maxGain);
+                const coefficient = desired < this._gain ? this._attackSmoothing : this._releaseSmoothing;
+                this._gain = desired + (this._gain - desired) * coefficient;
+            }
+
+            // Limit peaks straight away; the gain recovers at the release rate.
+            if (Math.abs(x * this._gain) > agcLimit) {
+                this._gain = agcLimit / Math.abs(x);
+            }
+
+            samples[i] = x * this._gain;
+        }
+    }
+}
+
+// The cleanup chain: high-pass filter, then noise gate, then AGC.
+export class AudioCleanup {
+    constructor (sampleRate, settings = defaultCleanupSettings) {
+        this._highPass = new HighPassFilter(sampleRate);
+        this._noiseGate = new NoiseGate(sampleRate);
+        this._automaticGainControl = new AutomaticGainControl(sampleRate);
+        this.settings = { ...defaultCleanupSettings };
+        this.configure(settings);
+    }
+
+    get gateOpen() {
+        return !this.settings.noiseGate || this._noiseGate.open;
+    }
+
+    get gainDb() {
+        return this.settings.automaticGainControl ? this._automaticGainControl.gainDb : 0;
+    }
+
+    // Turns stages on or off. A stage that is turned on starts from scratch.
+    configure(settings) {
+        for (const stage in defaultCleanupSettings) {
+            if (!(stage in settings)) {
+                continue;
+            }
+            const enabled = Boolean(settings[stage]);
+            if (enabled && !this.settings[stage]) {
+                this["_" + stage].reset();
+            }
+            this.settings[stage] = enabled;
+        }
+    }
+
+    process(samples, count = samples.length) {
+        if (this.settings.highPass) {
+            this._highPass.process(samples, count);
+        }
+        if (this.settings.noiseGate) {
+            this._noiseGate.process(samples, count);
+        }
+        if (this.settings.automaticGainControl) {
+            this._automaticGainControl.process(samples, count);
+        }
+    }
+}
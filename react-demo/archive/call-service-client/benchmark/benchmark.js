@@ -0,0 +1,213 @@
+// Compares the array-based audio processors with the ring buffer ones.
+//
+// Runs each processor outside the browser with a stand-in for the
+// AudioWorklet globals, feeds it the same simulated call and times every
+// process() call. A process() call that takes longer than the render budget
+// (one render quantum of audio, 16 ms at 8 kHz) would make the browser
+// drop audio. Dropouts count the render quanta an inbound processor filled
+// with silence because no audio was buffered (playout underruns).
+//
+// The inbound processors are compared in two scenarios:
+// - ring buffer: the array-based processor against the same processor with
+//   its queue replaced by the ring buffer. Both play every packet in arrival
+//   order, so only the queue differs. They run dry at the same moments, so
+//   their dropouts are the same; the queue changes how many process() calls
+//   go over budget, which a smaller render budget (the second argument)
+//   shows.
+// - jitter buffer: the array-based processor against the inbound processor,
+//   which also has the jitter buffer. It drops the backlog of a stall to
+//   stay close to live, so it runs dry during every stall, while the
+//   array-based processor runs dry only once and stays behind by the stall
+//   for the rest of the call. Behind is how much received audio is still
+//   waiting to be played when the call ends.
+//
+// Usage: node benchmark.js [seconds of audio] [render budget in ms]
+//
+// The array-based processors in this folder are copies of the original
+// processors, which queued samples in plain arrays, and the ring-based one
+// is the array-based inbound processor on the ring buffer; they are only
+// used here.
+
+import { performance } from "node:perf_hooks";
+
+const simulatedSeconds = Number(process.argv[2]) || 600;
+const simulatedSampleRate = 8000;
+const renderQuantum = 128;
+const renderBudgetMs = Number(process.argv[3]) || renderQuantum / simulatedSampleRate * 1000; // process() time that is over budget.
+const packetSize = 160;                                     // Samples per InboundAudio packet (20 ms).
+const stallEverySeconds = 10;                               // How often the network stalls.
+const stallSeconds = 2;                                     // How long the network stalls.
+
+// Stand-ins for the AudioWorkletGlobalScope.
+const processors = {};
+globalThis.sampleRate = simulatedSampleRate;
+globalThis.currentTime = 0;
+globalThis.AudioWorkletProcessor = class {
+    constructor () {
+        // Keeps the last message of each type, such as JitterBufferStats.
+        this.port = {
+            messages: {},
+            postMessage(message) {
+                this.messages[message.type] = message;
+            },
+            onmessage: null
+        };
+    }
+};
+globalThis.registerProcessor = (name, processorClass) => {
+    processors[name] = processorClass;
+};
+
+// The archived outbound processor used byte helpers from archive/microphone.
+globalThis.getHighOrderByte = (sample16) => (sample16 >> 8) & 0xff;
+globalThis.getLowOrderByte = (sample16) => sample16 & 0xff;
+
+// Keep the processors' periodic debug logging out of the results.
+console.log = () => {};
+const print = (...args) => process.stdout.write(args.join(" ") + "\n");
+
+await import("./array-inbound-audio-processor.js");
+await import("./array-outbound-audio-processor.js");
+await import("./ring-inbound-audio-processor.js");
+await import("../inbound-audio-processor.js");
+await import("../outbound-audio-processor.js");
+
+// A packet of varied uLaw bytes. 0x7f and 0xff, which decode to 0, are left
+// out, so every sample that plays is non-zero.
+function createPacket(sequenceNumber) {
+    const bytes = new Uint8Array(packetSize);
+    for (let i = 0; i < packetSize; i++) {
+        bytes[i] = ((sequenceNumber * 7 + i * 13) % 0x7f) | ((i & 1) << 7);
+    }
+    return bytes;
+}
+
+// Times a series of process() calls and summarises them. playout is null
+// for processors that do not play audio.
+function summarise(name, durations, playout = null) {
+    durations.sort((a, b) => a - b);
+    const total = durations.reduce((sum, duration) => sum + duration, 0);
+    const percentile = (p) => durations[Math.min(durations.length - 1, Math.floor(durations.length * p))];
+    const overBudget = durations.filter(duration => duration > renderBudgetMs).length;
+
+    return {
+        name,
+        calls: durations.length,
+        totalMs: total.toFixed(1),
+        meanUs: (total / durations.length * 1000).toFixed(2),
+        p99Us: (percentile(0.99) * 1000).toFixed(2),
+        maxUs: (durations[durations.length - 1] * 1000).toFixed(2),
+        overBudget,
+        dropouts: playout && playout.underruns,
+        behindSeconds: playout && playout.behindSeconds.toFixed(2)
+    };
+}
+
+// Plays a call with regular network stalls: packets that would have arrived
+// during a stall arrive together when it ends, as happens after a tab or
+// network hiccup.
+function benchmarkInbound(name) {
+    const processor = new processors[name]();
+    const output = [[new Float32Array(renderQuantum)]];
+    const quanta = Math.floor(simulatedSeconds * sampleRate / renderQuantum);
+    const packetSeconds = packetSize / sampleRate;
+    const durations = [];
+    let sequenceNumber = 0;
+    let underruns = 0;
+    let playedSamples = 0;
+
+    for (let quantum = 0; quantum < quanta; quantum++) {
+        globalThis.currentTime = quantum * renderQuantum / sampleRate;
+
+        // Deliver every packet that has arrived by now.
+        while (sequenceNumber * packetSeconds <= currentTime) {
+            const sentAt = sequenceNumber * packetSeconds;
+            const stallEnd = (Math.floor(sentAt / stallEverySeconds) * stallEverySeconds) + stallSeconds;
+            const arrivesAt = sentAt < stallEnd ? stallEnd : sentAt;
+            if (arrivesAt > currentTime) {
+                break;
+            }
+            processor.port.onmessage({ data: { bytes: createPacket(sequenceNumber), sequenceNumber } });
+            sequenceNumber += 1;
+        }
+
+        output[0][0].fill(0);
+        const start = performance.now();
+        processor.process([], output, {});
+        durations.push(performance.now() - start);
+
+        let played = 0;
+        for (let i = 0; i < renderQuantum; i++) {
+            if (output[0][0][i] !== 0) {
+                played += 1;
+            }
+        }
+        playedSamples += played;
+        if (played === 0) {
+            underruns += 1;
+        }
+    }
+
+    // An empty render quantum a second later makes the inbound processor
+    // post its final statistics.
+    globalThis.currentTime += 1;
+    processor.process([], [[new Float32Array(0)]], {});
+    const stats = processor.port.messages.JitterBufferStats;
+    const discardedSamples = stats ? stats.discardedPackets * packetSize : 0;
+    const behindSeconds = (sequenceNumber * packetSize - discardedSamples - playedSamples) / sampleRate;
+
+    return summarise(name, durations, { underruns, behindSeconds });
+}
+
+// Captures a call's worth of microphone audio.
+function benchmarkOutbound(name) {
+    const processor = new processors[name]();
+    const input = [[new Float32Array(renderQuantum)]];
+    const output = [[new Float32Array(renderQuantum)]];
+    const quanta = Math.floor(simulatedSeconds * sampleRate / renderQuantum);
+    const durations = [];
+
+    for (let quantum = 0; quantum < quanta; quantum++) {
+        globalThis.currentTime = quantum * renderQuantum / sampleRate;
+        for (let i = 0; i < renderQuantum; i++) {
+            input[0][0][i] = Math.sin((quantum * renderQuantum + i) * 2 * Math.PI * 440 / sampleRate) * 0.5;
+        }
+
+        const start = performance.now();
+        processor.process(input, output, {});
+        durations.push(performance.now() - start);
+    }
+
+    return summarise(name, durations);
+}
+
+print(`${simulatedSeconds} s of audio at ${sampleRate} Hz, render budget ${renderBudgetMs} ms, dropout = quantum played as silence`);
+
+function printResults(title, results) {
+    print("");
+    print(title);
+    results.forEach(result => print([
+        result.name.padEnd(32),
+        `calls ${result.calls}`,
+        `total ${result.totalMs} ms`,
+        `mean ${result.meanUs} us`,
+        `p99 ${result.p99Us} us`,
+        `max ${result.maxUs} us`,
+        `over budget ${result.overBudget}`,
+        `dropouts ${result.dropouts === null ? "-" : result.dropouts}`,
+        `behind ${result.behindSeconds === null ? "-" : result.behindSeconds + " s"}`
+    ].join("  ")));
+}
+
+printResults(`inbound, ring buffer (same playout, ${stallSeconds} s network stall every ${stallEverySeconds} s):`, [
+    benchmarkInbound("array-inbound-audio-processor"),
+    benchmarkInbound("ring-inbound-audio-processor")
+]);
+printResults(`inbound, jitter buffer (${stallSeconds} s network stall every ${stallEverySeconds} s):`, [
+    benchmarkInbound("array-inbound-audio-processor"),
+    benchmarkInbound("inbound-audio-processor")
+]);
+printResults("outbound:", [
+    benchmarkOutbound("array-outbound-audio-processor"),
+    benchmarkOutbound("outbound-audio-processor")
+]);
@@ -0,0 +1,43 @@
+import { RingBuffer } from "../ring-buffer.js";
+import { getCodec } from "../codec.js";
+
+const queueCapacitySeconds = 60; // Keeps whatever a stall delivers, like the array-based queue.
+
+// The array-based inbound processor with its queue replaced by the ring
+// buffer: packets are decoded straight into the ring buffer and played in
+// arrival order, nothing is dropped. Only the benchmark uses it, to compare
+// the two queues with the same playout policy.
+class InboundAudioProcessor extends AudioWorkletProcessor {
+    _codec = getCodec("mulaw");
+    _decoded = new Float32Array(160); // The packet being decoded.
+    _queue = new RingBuffer(Math.ceil(queueCapacitySeconds * sampleRate)); // Samples waiting to be played.
+
+    constructor (...args) {
+        super(...args);
+        this.port.onmessage = this.handleMessage.bind(this);
+        this.process = this.process.bind(this);
+    }
+
+    handleMessage(event) {
+        const bytes = event.data.bytes;
+        const sampleCount = bytes.length;
+
+        if (this._decoded.length < sampleCount) {
+            this._decoded = new Float32Array(sampleCount);
+        }
+        this._codec.decode(bytes, this._decoded, sampleCount);
+        this._queue.write(this._decoded, sampleCount);
+    }
+
+    process(_, outputs, __) {
+        const output = outputs[0];
+        let requestedSampleCount = output[0].length;
+
+        const readCount = this._queue.read(output[0], requestedSampleCount);
+        output[0].fill(0, readCount);
+
+        return true;
+    }
+}
+
+registerProcessor('ring-inbound-audio-processor', InboundAudioProcessor);
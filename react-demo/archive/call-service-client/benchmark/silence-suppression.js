@@ -0,0 +1,127 @@
+// Checks voice activity detection and silence suppression in the outbound
+// audio processor.
+//
+// Runs the processor outside the browser with a stand-in for the
+// AudioWorklet globals, like benchmark.js, and feeds it silence, a quiet
+// onset packet, speech and silence again. Checks the VoiceActivity events,
+// which sequence numbers are sent, and how many packets were suppressed,
+// with silence suppression on and off.
+//
+// Usage: node silence-suppression.js
+
+const simulatedSampleRate = 8000;       // The context's rate, so packets are not resampled.
+const renderQuantum = 128;
+const packetSize = 160;                 // Samples per OutboundAudio packet (20 ms).
+
+// The call, in packets: silence, a quiet onset that is too soft to count as
+// speech, speech, then silence until well after the hangover.
+const silentPackets = 50;
+const onsetPacket = silentPackets;
+const firstSpeechPacket = onsetPacket + 1;
+const speechPackets = 49;
+const trailingSilentPackets = 50;
+const packetCount = firstSpeechPacket + speechPackets + trailingSilentPackets;
+
+// Stand-ins for the AudioWorkletGlobalScope.
+const processors = {};
+globalThis.sampleRate = simulatedSampleRate;
+globalThis.currentTime = 0;
+globalThis.AudioWorkletProcessor = class {
+    constructor () {
+        this.port = { messages: [], postMessage(message) { this.messages.push(message); }, onmessage: null };
+    }
+};
+globalThis.registerProcessor = (name, processorClass) => {
+    processors[name] = processorClass;
+};
+
+// Keep the processor's periodic debug logging out of the results.
+const print = console.log;
+console.log = () => {};
+
+await import("../outbound-audio-processor.js");
+
+// The microphone: a 200 Hz tone during speech, a much quieter one at the onset.
+function sampleAt(index) {
+    const packet = Math.floor(index / packetSize);
+    const tone = Math.sin(index * 2 * Math.PI * 200 / simulatedSampleRate);
+    if (packet === onsetPacket) {
+        return tone * 0.001;
+    }
+    if (packet >= firstSpeechPacket && packet < firstSpeechPacket + speechPackets) {
+        return tone * 0.3;
+    }
+    return 0;
+}
+
+// Plays the call into a new processor and returns what it posted.
+function runCall(suppressSilence) {
+    const processor = new processors["outbound-audio-processor"]({ processorOptions: { suppressSilence } });
+    const input = [[new Float32Array(renderQuantum)]];
+    const output = [[new Float32Array(renderQuantum)]];
+    const quanta = Math.ceil(packetCount * packetSize / renderQuantum);
+
+    for (let quantum = 0; quantum < quanta; quantum++) {
+        globalThis.currentTime = quantum * renderQuantum / simulatedSampleRate;
+        for (let i = 0; i < renderQuantum; i++) {
+            input[0][0][i] = sampleAt(quantum * renderQuantum + i);
+        }
+        processor.process(input, output, {});
+    }
+
+    const messages = processor.port.messages;
+    return {
+        voiceActivity: messages.filter(message => message.type === "VoiceActivity")
+            .map(message => ({ speaking: message.speaking, suppressedPackets: message.suppressedPackets })),
+        sequenceNumbers: messages.filter(message => message.buffer).map(message => message.sequenceNumber),
+        suppressedPackets: processor._suppressedPackets
+    };
+}
+
+// Sequence numbers from first to last, inclusive.
+function range(first, last) {
+    return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+}
+
+let failures = 0;
+
+function check(name, actual, expected) {
+    const passed = JSON.stringify(actual) === JSON.stringify(expected);
+    print(name, passed);
+    if (!passed) {
+        print("  actual  ", JSON.stringify(actual));
+        print("  expected", JSON.stringify(expected));
+        failures += 1;
+    }
+}
+
+// Speaking stops on the sixteenth silent packet after speech (see
+// voice-activity.js).
+const speakingStops = firstSpeechPacket + speechPackets + 15;
+
+// Without suppression every packet is sent, in order.
+const unsuppressed = runCall(false);
+check("unsuppressed voice activity", unsuppressed.voiceActivity, [
+    { speaking: true, suppressedPackets: 0 },
+    { speaking: false, suppressedPackets: 0 }
+]);
+check("unsuppressed sequence numbers", unsuppressed.sequenceNumbers, range(0, packetCount - 1));
+check("unsuppressed packets suppressed", unsuppressed.suppressedPackets, 0);
+
+// With suppression the speech is sent from the packet before the onset,
+// so neither the onset nor the first speech packet is cut off. The packets
+// before that, and after speaking stops, are never sent; the last three
+// silent packets are still held back as pre-roll.
+const suppressed = runCall(true);
+const firstSent = onsetPacket - 1;
+check("suppressed voice activity", suppressed.voiceActivity, [
+    { speaking: true, suppressedPackets: firstSent },
+    { speaking: false, suppressedPackets: firstSent }
+]);
+check("suppressed sequence numbers", suppressed.sequenceNumbers, range(firstSent, speakingStops - 1));
+check("suppressed packets suppressed", suppressed.suppressedPackets, firstSent + (packetCount - speakingStops - 3));
+
+if (failures > 0) {
+    print(failures, "checks failed");
+    process.exitCode = 1;
+}
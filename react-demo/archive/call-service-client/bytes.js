@@ -1,44 +1,75 @@
-// Buffer from network stream containing signed 16-bit integers in big-endian byte order.
-const bytes = new Uint8Array(16);
-bytes[0] = 251;
-bytes[1] = 164;
-bytes[2] = 252;
-bytes[3] = 100;
-bytes[4] = 253;
-bytes[5] = 148;
-bytes[6] = 254;
-bytes[7] = 236;
-bytes[8] = 0;
-bytes[9] = 32;
-bytes[10] = 0;
-bytes[11] = 180;
-bytes[12] = 0;
-bytes[13] = 244;
-bytes[14] = 1;
-bytes[15] = 84;
-
-// Array of signed integer audio samples in the platform byte order. 
-const samples16 = new Int16Array(bytes.length /2);
-
-for (let i = 0; i < bytes.length; i += 2)
-{
-    const lowOrderByte = bytes[i + 1];
-    const highOrderByte = bytes[i];
-    const sample16 = getInt16(lowOrderByte, highOrderByte);
-    samples16[i / 2] = sample16;
+// Checks codec.js against known sample values. Runs in Node (node bytes.js)
+// and in the browser console (index.html loads it as a module).
+//
+// The mu-law and A-law values match the G.711 reference implementation.
+
+import { getCodec } from "./codec.js";
+
+// Signed 16-bit samples and the same samples in each format.
+const samples = [-1116, -924, -620, -276, 32, 180, 244, 340, 0, 32767, -32768];
+
+const vectors = {
+    // Buffer from network stream containing signed 16-bit integers in big-endian byte order.
+    pcm16be: {
+        bytes: [251,164, 252,100, 253,148, 254,236, 0,32, 0,180, 0,244, 1,84, 0,0, 127,255, 128,0],
+        decoded: samples
+    },
+    pcm16le: {
+        bytes: [164,251, 100,252, 148,253, 236,254, 32,0, 180,0, 244,0, 84,1, 0,0, 255,127, 0,128],
+        decoded: samples
+    },
+    mulaw: {
+        bytes: [76, 79, 88, 102, 251, 236, 232, 226, 255, 128, 0],
+        decoded: [-1116, -924, -620, -276, 32, 180, 244, 340, 0, 32124, -32124]
+    },
+    alaw: {
+        bytes: [100, 121, 118, 68, 215, 222, 218, 192, 213, 170, 42],
+        decoded: [-1120, -912, -624, -280, 40, 184, 248, 344, 8, 32256, -32256]
+    }
+};
+
+let failures = 0;
+
+function check(name, actual, expected) {
+    const passed = actual.length === expected.length && actual.every((value, i) => value === expected[i]);
+    console.log(name, passed);
+    if (!passed) {
+        console.log("  actual  ", actual.join(","));
+        console.log("  expected", expected.join(","));
+        failures += 1;
+    }
 }
 
-function getInt16(lowOrderByte, highOrderByte) {
-    var sign = highOrderByte & (1 << 7);
-    var x = (((highOrderByte & 0xFF) << 8) | (lowOrderByte & 0xFF));
-    return sign ? 0xFFFF0000 | x : x;
+for (const format in vectors) {
+    const codec = getCodec(format);
+    const { bytes, decoded } = vectors[format];
+
+    const encoded = new Uint8Array(samples.length * codec.bytesPerSample);
+    codec.encode16(Int16Array.from(samples), encoded);
+    check(format + " encode16", Array.from(encoded), bytes);
+
+    const samples16 = new Int16Array(decoded.length);
+    codec.decode16(Uint8Array.from(bytes), samples16);
+    check(format + " decode16", Array.from(samples16), decoded);
+
+    const samples32 = new Float32Array(decoded.length);
+    codec.decode(Uint8Array.from(bytes), samples32);
+    check(format + " decode", Array.from(samples32, sample32 => Math.round(sample32 > 0 ? sample32 * 32767 : sample32 * 32768)), decoded);
+
+    // Every byte decodes to a sample that encodes back to the same byte
+    // (mu-law has two zeros, 0x7F and 0xFF, which both decode to 0).
+    if (codec.bytesPerSample === 1) {
+        const allBytes = Uint8Array.from({ length: 256 }, (_, byte) => byte);
+        const allSamples16 = new Int16Array(256);
+        const roundTrip = new Uint8Array(256);
+        codec.decode16(allBytes, allSamples16);
+        codec.encode16(allSamples16, roundTrip);
+        const expected = Array.from(allBytes, byte => format === "mulaw" && byte === 0x7F ? 0xFF : byte);
+        check(format + " round trip", Array.from(roundTrip), expected);
+    }
 }
 
-console.log(samples16[0], samples16[0] === -1116);
-console.log(samples16[1], samples16[1] === -924);
-console.log(samples16[2], samples16[2] === -620);
-console.log(samples16[3], samples16[3] === -276);
-console.log(samples16[4], samples16[4] === 32);
-console.log(samples16[5], samples16[5] === 180);
-console.log(samples16[6], samples16[6] === 244);
-console.log(samples16[7], samples16[7] === 340);
\ No newline at end of file
+console.log(failures === 0 ? "all codec checks passed" : failures + " codec checks failed");
+if (typeof process !== "undefined") {
+    process.exitCode = failures === 0 ? 0 : 1;
+}
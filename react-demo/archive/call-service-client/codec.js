@@ -0,0 +1,227 @@
+// Audio codecs for InboundAudio and OutboundAudio payloads.
+//
+// One module for the worklets, the main thread and Node: it has no
+// dependencies and only uses typed arrays. Supported formats:
+//
+//   "mulaw"    G.711 mu-law, one byte per sample.
+//   "alaw"     G.711 A-law, one byte per sample.
+//   "pcm16be"  Signed 16-bit samples, big-endian (network byte order).
+//   "pcm16le"  Signed 16-bit samples, little-endian (WAV byte order).
+//
+// getCodec(format) returns an object that converts whole buffers between
+// bytes and 16-bit or 32-bit float samples without allocating, so it is safe
+// to use inside AudioWorkletProcessor.process(). decode() and decode16()
+// return the number of samples written, encode() and encode16() the number
+// of bytes. bytes.js checks the codecs against known sample values:
+// node bytes.js
+
+export const audioFormats = ["mulaw", "alaw", "pcm16be", "pcm16le"];
+
+// mu-law.
+const BIAS = 0x84;
+const CLIP = 32635;
+
+const encodeTable = [
+    0,0,1,1,2,2,2,2,3,3,3,3,3,3,3,3,
+    4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,
+    5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,
+    5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,
+    6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,
+    6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,
+    6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,
+    6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,
+    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
+    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
+    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
+    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
+    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
+    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
+    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
+    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7
+];
+
+const decodeTable = [0,132,396,924,1980,4092,8316,16764];
+
+export function encodeMuLaw(sample16) {
+    let sign;
+    let exponent;
+    let mantissa;
+    let muLawSample;
+    sign = (sample16 >> 8) & 0x80;
+    if (sign != 0) sample16 = -sample16;
+    sample16 = sample16 + BIAS;
+    if (sample16 > CLIP) sample16 = CLIP;
+    exponent = encodeTable[(sample16>>7) & 0xFF];
+    mantissa = (sample16 >> (exponent+3)) & 0x0F;
+    muLawSample = ~(sign | (exponent << 4) | mantissa);
+    return muLawSample & 0xFF;
+}
+
+export function decodeMuLaw(muLawSample) {
+    let sign;
+    let exponent;
+    let mantissa;
+    let sample;
+    muLawSample = ~muLawSample;
+    sign = (muLawSample & 0x80);
+    exponent = (muLawSample >> 4) & 0x07;
+    mantissa = muLawSample & 0x0F;
+    sample = decodeTable[exponent] + (mantissa << (exponent+3));
+    if (sign != 0) sample = -sample;
+    return sample;
+}
+
+// A-law. Samples are coded in 13 bits, in segments that end at these values.
+const aLawSegmentEnds = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+export function encodeALaw(sample16) {
+    let mask;
+    let sample = sample16 >> 3;
+    if (sample >= 0) {
+        mask = 0xD5;
+    }
+    else {
+        mask = 0x55;
+        sample = -sample - 1;
+    }
+
+    let segment = 0;
+    while (segment < 8 && sample > aLawSegmentEnds[segment]) segment++;
+    if (segment >= 8) return 0x7F ^ mask;
+
+    const mantissa = segment < 2 ? (sample >> 1) & 0x0F : (sample >> segment) & 0x0F;
+    return ((segment << 4) | mantissa) ^ mask;
+}
+
+export function decodeALaw(aLawSample) {
+    aLawSample ^= 0x55;
+    let sample = (aLawSample & 0x0F) << 4;
+    const segment = (aLawSample & 0x70) >> 4;
+    if (segment === 0) {
+        sample += 8;
+    }
+    else {
+        sample = (sample + 0x108) << (segment - 1);
+    }
+    return (aLawSample & 0x80) ? sample : -sample;
+}
+
+// Converts a signed 16-bit sample to a 32-bit float sample.
+export function getSample32(sample16) {
+    return sample16 > 0 ? sample16 / 32767.0 : sample16 / 32768.0;
+}
+
+// Converts a 32-bit float sample to a signed 16-bit sample, clipping at full scale.
+export function getSample16(sample32) {
+    return Math.trunc(sample32 > 0 ? Math.min(sample32, 1) * 32767.0 : Math.max(sample32, -1) * 32768.0);
+}
+
+// A codec for a one byte per sample format. Every byte is decoded up front,
+// and every 16-bit sample is encoded up front, so conversion is one table
+// lookup per sample.
+function createCompandingCodec(format, encodeSample, decodeSample) {
+    const decodeTable16 = new Int16Array(256);
+    const decodeTable32 = new Float32Array(256);
+    for (let byte = 0; byte < 256; byte++) {
+        decodeTable16[byte] = decodeSample(byte);
+        decodeTable32[byte] = getSample32(decodeTable16[byte]);
+    }
+
+    const encodeTable16 = new Uint8Array(65536); // Indexed by the sample as an unsigned 16-bit number.
+    for (let sample16 = -32768; sample16 < 32768; sample16++) {
+        encodeTable16[sample16 & 0xFFFF] = encodeSample(sample16);
+    }
+
+    return {
+        format,
+        bytesPerSample: 1,
+        decode16(bytes, samples16, count = bytes.length) {
+            for (let i = 0; i < count; i++) {
+                samples16[i] = decodeTable16[bytes[i]];
+            }
+            return count;
+        },
+        decode(bytes, samples32, count = bytes.length) {
+            for (let i = 0; i < count; i++) {
+                samples32[i] = decodeTable32[bytes[i]];
+            }
+            return count;
+        },
+        encode16(samples16, bytes, count = samples16.length) {
+            for (let i = 0; i < count; i++) {
+                bytes[i] = encodeTable16[samples16[i] & 0xFFFF];
+            }
+            return count;
+        },
+        encode(samples32, bytes, count = samples32.length) {
+            for (let i = 0; i < count; i++) {
+                bytes[i] = encodeTable16[getSample16(samples32[i]) & 0xFFFF];
+            }
+            return count;
+        }
+    };
+}
+
+// A codec for signed 16-bit samples in the given byte order.
+function createPcm16Codec(format, bigEndian) {
+    const high = bigEndian ? 0 : 1; // Offset of the high-order byte.
+    const low = 1 - high;           // Offset of the low-order byte.
+
+    return {
+        format,
+        bytesPerSample: 2,
+        decode16(bytes, samples16, count = bytes.length >> 1) {
+            for (let i = 0; i < count; i++) {
+                samples16[i] = (bytes[i * 2 + high] << 8) | bytes[i * 2 + low];
+            }
+            return count;
+        },
+        decode(bytes, samples32, count = bytes.length >> 1) {
+            for (let i = 0; i < count; i++) {
+                samples32[i] = getSample32(((bytes[i * 2 + high] << 24) | (bytes[i * 2 + low] << 16)) >> 16);
+            }
+            return count;
+        },
+        encode16(samples16, bytes, count = samples16.length) {
+            for (let i = 0; i < count; i++) {
+                const sample16 = samples16[i];
+                bytes[i * 2 + high] = (sample16 >> 8) & 0xFF;
+                bytes[i * 2 + low] = sample16 & 0xFF;
+            }
+            return count * 2;
+        },
+        encode(samples32, bytes, count = samples32.length) {
+            for (let i = 0; i < count; i++) {
+                const sample16 = getSample16(samples32[i]);
+                bytes[i * 2 + high] = (sample16 >> 8) & 0xFF;
+                bytes[i * 2 + low] = sample16 & 0xFF;
+            }
+            return count * 2;
+        }
+    };
+}
+
+const codecs = new Map(); // Codecs created so far, by format.
+
+// Returns the codec for one of audioFormats. Throws for any other format.
+export function getCodec(format) {
+    if (!codecs.has(format)) {
+        switch (format) {
+            case "mulaw":
+                codecs.set(format, createCompandingCodec(format, encodeMuLaw, decodeMuLaw));
+                break;
+            case "alaw":
+                codecs.set(format, createCompandingCodec(format, encodeALaw, decodeALaw));
+                break;
+            case "pcm16be":
+                codecs.set(format, createPcm16Codec(format, true));
+                break;
+            case "pcm16le":
+                codecs.set(format, createPcm16Codec(format, false));
+                break;
+            default:
+                throw new Error("Unsupported audio format: " + format);
+        }
+    }
+    return codecs.get(format);
+}
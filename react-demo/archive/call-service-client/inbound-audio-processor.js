@@ -1,70 +1,324 @@
+import { RingBuffer } from "./ring-buffer.js";
+import { Resampler } from "./resampler.js";
+import { getCodec } from "./codec.js";
+import { VoiceActivityDetector } from "./voice-activity.js";
 
-const decodeTable = [0,132,396,924,1980,4092,8316,16764];
-
-function decodeSample8(sample8) {
-    let sign;
-    let exponent;
-    let mantissa;
-    let sample;
-    sample8 = ~sample8;
-    sign = (sample8 & 0x80);
-    exponent = (sample8 >> 4) & 0x07;
-    mantissa = sample8 & 0x0F;
-    sample = decodeTable[exponent] + (mantissa << (exponent+3));
-    if (sign != 0) sample = -sample;
-    return sample;
-}
+const networkSampleRate = 8000;         // Sample rate of InboundAudio packets.
+const defaultFormat = "mulaw";          // Format of InboundAudio packets unless processorOptions.format says otherwise.
+
+// Jitter buffer settings.
+const minPlayoutDelaySeconds = 0.04;    // Never start playing with less than this buffered.
+const maxPlayoutDelaySeconds = 0.4;     // Never wait for more than this.
+const jitterMultiplier = 4;             // Playout delay in multiples of the measured jitter.
+const maxConcealedPackets = 5;          // Consecutive lost packets that are concealed before going silent.
+const concealmentAttenuation = 0.5;     // Each concealed packet is this much quieter than the one before.
+const sequenceResetThreshold = 1000;    // A sequence number this far back means the stream restarted.
+const statsIntervalSeconds = 1;         // How often statistics are posted to the main thread.
+const playoutCapacitySeconds = 0.5;     // Length of the playout ring buffer (more than a packet plus a render quantum).
+const maxPooledPackets = 64;            // Packet buffers kept for reuse.
+
+// A jitter buffer for InboundAudio packets.
+//
+// Packets are kept by sequence number and played in sequence order, not in
+// arrival order. Packets that arrive after their turn has passed, and
+// duplicates, are dropped. A missing packet is concealed by repeating the
+// previous packet more quietly once a later packet has arrived. Playout
+// starts (and restarts after an underrun) once the playout delay is buffered;
+// the delay follows the measured jitter (RFC 3550 interarrival jitter).
+class JitterBuffer {
+    _packets = new Map();       // Packets waiting to be played, by sequence number.
+    _bufferedSamples = 0;       // Number of samples in _packets.
+    _nextSequenceNumber = null; // Sequence number of the next packet to play.
+    _lastPlayedSequenceNumber = null; // Sequence number of the last packet played or concealed.
+    _playing = false;           // False while (re)buffering up to the playout delay.
+    _lastPacket = null;         // The last packet played, used for concealment.
+    _concealedInARow = 0;       // Consecutive packets concealed.
+    _lastArrivalTime = null;    // Arrival time of the previous packet.
+    _lastArrivalSequenceNumber = null; // Sequence number of the previous packet.
+    _jitter = 0;                // Interarrival jitter in seconds.
+    _pool = [];                 // Packet buffers that can be reused.
+
+    stats = {
+        underruns: 0,           // Times playout ran dry and had to rebuffer.
+        latePackets: 0,         // Packets dropped because their turn had passed.
+        duplicatePackets: 0,    // Packets dropped because they were already buffered.
+        concealedPackets: 0,    // Lost packets replaced by concealment.
+        discardedPackets: 0     // Packets dropped to bring the delay back down.
+    };
+
+    constructor (sampleRate) {
+        this._sampleRate = sampleRate;
+    }
+
+    get playoutDelaySeconds() {
+        const delay = this._jitter * jitterMultiplier;
+        return Math.min(Math.max(delay, minPlayoutDelaySeconds), maxPlayoutDelaySeconds);
+    }
+
+    get jitterSeconds() {
+        return this._jitter;
+    }
 
-function getSample32(sample16) {
-    if (sample16 > 0) {
-        return sample16 / 32767.0;
+    get bufferedSeconds() {
+        return this._bufferedSamples / this._sampleRate;
     }
-    else {
-        return sample16 / 32768.0;
+
+    reset() {
+        this._packets.clear();
+        this._bufferedSamples = 0;
+        this._nextSequenceNumber = null;
+        this._lastPlayedSequenceNumber = null;
+        this._playing = false;
+        this._lastPacket = null;
+        this._concealedInARow = 0;
+        this._lastArrivalTime = null;
+        this._lastArrivalSequenceNumber = null;
+    }
+
+    // Gets a buffer for a packet of length samples, reusing a released one if possible.
+    allocate(length) {
+        for (let i = this._pool.length - 1; i >= 0; i--) {
+            if (this._pool[i].length === length) {
+                const samples = this._pool[i];
+                this._pool[i] = this._pool[this._pool.length - 1];
+                this._pool.pop();
+                return samples;
+            }
+        }
+        return new Float32Array(length);
+    }
+
+    // Returns a packet buffer from push() or pop() for reuse.
+    release(samples) {
+        if (this._pool.length < maxPooledPackets) {
+            this._pool.push(samples);
+        }
+    }
+
+    // Adds a packet of decoded samples that arrived at arrivalTime (seconds).
+    push(sequenceNumber, samples, arrivalTime) {
+        const lastPlayed = this._lastPlayedSequenceNumber;
+        if (lastPlayed !== null && sequenceNumber < lastPlayed - sequenceResetThreshold) {
+            this.reset();
+        }
+        else if (lastPlayed !== null && sequenceNumber <= lastPlayed) {
+            this.stats.latePackets += 1;
+            this.release(samples);
+            return;
+        }
+
+        if (this._packets.has(sequenceNumber)) {
+            this.stats.duplicatePackets += 1;
+            this.release(samples);
+            return;
+        }
+
+        this._updateJitter(sequenceNumber, samples.length, arrivalTime);
+        this._packets.set(sequenceNumber, samples);
+        this._bufferedSamples += samples.length;
+
+        if (this._nextSequenceNumber === null || sequenceNumber < this._nextSequenceNumber) {
+            this._nextSequenceNumber = sequenceNumber;
+        }
+    }
+
+    // Returns the next packet to play, a concealment packet, or null when
+    // there is nothing to play.
+    pop() {
+        if (!this._playing) {
+            if (this.bufferedSeconds < this.playoutDelaySeconds) {
+                return null;
+            }
+            this._playing = true;
+        }
+
+        // Drop a packet when far more is buffered than the playout delay needs.
+        if (this.bufferedSeconds > this.playoutDelaySeconds * 2 + minPlayoutDelaySeconds && this._packets.has(this._nextSequenceNumber)) {
+            this.release(this._take(this._nextSequenceNumber));
+            this.stats.discardedPackets += 1;
+        }
+
+        if (this._packets.has(this._nextSequenceNumber)) {
+            const samples = this._take(this._nextSequenceNumber);
+            this._keepLastPacket(samples);
+            this._concealedInARow = 0;
+            return samples;
+        }
+
+        // The next packet is missing. If later packets are here it was lost.
+        if (this._packets.size > 0) {
+            const gap = this._lowestBufferedSequenceNumber() - this._nextSequenceNumber;
+
+            // Skip a long gap rather than play it as silence.
+            if (gap > maxConcealedPackets) {
+                this._nextSequenceNumber += gap;
+                return this.pop();
+            }
+
+            this._lastPlayedSequenceNumber = this._nextSequenceNumber;
+            this._nextSequenceNumber += 1;
+            this.stats.concealedPackets += 1;
+            return this._conceal();
+        }
+
+        this._playing = false;
+        this.stats.underruns += 1;
+        return null;
+    }
+
+    // Scans the buffered sequence numbers without building an array, as
+    // this runs on the audio thread.
+    _lowestBufferedSequenceNumber() {
+        let lowest = Infinity;
+        for (const sequenceNumber of this._packets.keys()) {
+            if (sequenceNumber < lowest) {
+                lowest = sequenceNumber;
+            }
+        }
+        return lowest;
+    }
+
+    _take(sequenceNumber) {
+        const samples = this._packets.get(sequenceNumber);
+        this._packets.delete(sequenceNumber);
+        this._bufferedSamples -= samples.length;
+        this._lastPlayedSequenceNumber = sequenceNumber;
+        this._nextSequenceNumber = sequenceNumber + 1;
+        return samples;
+    }
+
+    // Keeps a copy of the packet being played for concealment.
+    _keepLastPacket(samples) {
+        if (this._lastPacket === null || this._lastPacket.length !== samples.length) {
+            this._lastPacket = new Float32Array(samples.length);
+        }
+        this._lastPacket.set(samples);
+    }
+
+    _conceal() {
+        this._concealedInARow += 1;
+        const length = this._lastPacket ? this._lastPacket.length : 160;
+        const samples = this.allocate(length);
+
+        if (this._lastPacket && this._concealedInARow <= maxConcealedPackets) {
+            const gain = Math.pow(concealmentAttenuation, this._concealedInARow);
+            for (let i = 0; i < length; i++) {
+                samples[i] = this._lastPacket[i] * gain;
+            }
+        }
+        else {
+            samples.fill(0);
+        }
+
+        return samples;
+    }
+
+    _updateJitter(sequenceNumber, sampleCount, arrivalTime) {
+        if (this._lastArrivalTime !== null) {
+            const expectedSpacing = (sequenceNumber - this._lastArrivalSequenceNumber) * sampleCount / this._sampleRate;
+            const difference = (arrivalTime - this._lastArrivalTime) - expectedSpacing;
+            this._jitter += (Math.abs(difference) - this._jitter) / 16;
+        }
+        this._lastArrivalTime = arrivalTime;
+        this._lastArrivalSequenceNumber = sequenceNumber;
     }
 }
 
 class InboundAudioProcessor extends AudioWorkletProcessor {
-    _queue = [];        // A queue containing all recieved buffers.
-    _buffer = null;     // The buffer that is currently being read.
-    _index = 0;         // The index into the current buffer.
+    _jitterBuffer = new JitterBuffer(networkSampleRate); // Received packets waiting to be played.
+    _resampler = new Resampler(networkSampleRate, sampleRate); // From the network's rate to the context's.
+    _resampled = new Float32Array(this._resampler.maxOutputLength(160)); // A 20 ms packet at the context's rate.
+    _playout = new RingBuffer(Math.ceil(playoutCapacitySeconds * sampleRate)); // Samples ready to play.
+    _voiceActivity = new VoiceActivityDetector(); // Whether the other side is speaking.
+    _sequenceNumber = 0; // Sequence number for packets that arrive without one.
+    _lastStatsTime = 0; // When statistics were last posted.
 
-    constructor (...args) {
-        super(...args);
+    constructor (options) {
+        super(options);
+        const format = options && options.processorOptions && options.processorOptions.format;
+        this._codec = getCodec(format || defaultFormat); // Decodes InboundAudio packets; see codec.js.
         this.port.onmessage = this.handleMessage.bind(this);
         this.process = this.process.bind(this);
     }
 
     handleMessage(event) {
         const bytes = event.data.bytes;
+        const sequenceNumber = Number.isInteger(event.data.sequenceNumber) ? event.data.sequenceNumber : this._sequenceNumber;
+        this._sequenceNumber = sequenceNumber + 1;
 
-        // WebAudio runs on 32-bit IEEE floating point samples, so
-        // some bit twiddling is required to get things right.
-        const sampleCount = bytes.length;
+        // WebAudio runs on 32-bit IEEE floating point samples.
+        const sampleCount = Math.floor(bytes.length / this._codec.bytesPerSample);
+        const samples = this._jitterBuffer.allocate(sampleCount);
+        this._codec.decode(bytes, samples, sampleCount);
 
-        for (let sampleIndex = 0; sampleIndex < sampleCount; sampleIndex++) {
-            const sample16 = decodeSample8(bytes[sampleIndex]); // Decode from 8-bit uLaw sample to 16-bit signed integer sample.
-            const sample32 = getSample32(sample16);             // Encode 16-bit signed integer sample as 32-bit IEEE float sample.
-            this._queue.push(sample32);
-        }
+        this._jitterBuffer.push(sequenceNumber, samples, currentTime);
     }
 
     process(_, outputs, __) {
         const output = outputs[0];
         let requestedSampleCount = output[0].length;
 
-        // Read a buffer of the requested size from the queue.
-        for (let i = 0; i < requestedSampleCount; i++) {
-            if (this._queue[0] != undefined) {
-                output[0][i] = this._queue.shift() || 0;
-            }
-            else {
-                output[0][i] = 0;
+        // Top up the playout buffer from the jitter buffer, resampling each
+        // packet to the context's rate, then copy the requested samples out
+        // in one go.
+        while (this._playout.length < requestedSampleCount) {
+            const samples = this._jitterBuffer.pop();
+            if (samples === null) {
+                break;
             }
+            this.playPacket(samples);
+            this._jitterBuffer.release(samples);
+        }
+
+        const readCount = this._playout.read(output[0], requestedSampleCount);
+        output[0].fill(0, readCount);
+
+        // Nobody is speaking while nothing plays.
+        if (readCount === 0 && this._voiceActivity.speaking) {
+            this._voiceActivity.stop();
+            this.postVoiceActivity();
         }
 
+        this.postStats();
         return true;
     }
+
+    // Resamples a packet into the playout buffer, and tells the main thread
+    // when the other side starts or stops speaking.
+    playPacket(samples) {
+        const wasSpeaking = this._voiceActivity.speaking;
+        if (this._voiceActivity.process(samples) !== wasSpeaking) {
+            this.postVoiceActivity();
+        }
+
+        const maxOutputLength = this._resampler.maxOutputLength(samples.length);
+        if (this._resampled.length < maxOutputLength) {
+            this._resampled = new Float32Array(maxOutputLength);
+        }
+        const resampledCount = this._resampler.process(samples, this._resampled);
+        this._playout.write(this._resampled, resampledCount);
+    }
+
+    postVoiceActivity() {
+        this.port.postMessage({ type: "VoiceActivity", speaking: this._voiceActivity.speaking });
+    }
+
+    // Reports the jitter buffer statistics to the main thread.
+    postStats() {
+        if (currentTime - this._lastStatsTime < statsIntervalSeconds) {
+            return;
+        }
+        this._lastStatsTime = currentTime;
+
+        const jitterBuffer = this._jitterBuffer;
+        this.port.postMessage({
+            type: "JitterBufferStats",
+            ...jitterBuffer.stats,
+            jitterMs: Math.round(jitterBuffer.jitterSeconds * 1000),
+            playoutDelayMs: Math.round(jitterBuffer.playoutDelaySeconds * 1000),
+            bufferedMs: Math.round(jitterBuffer.bufferedSeconds * 1000)
+        });
+    }
 }
-  
-registerProcessor('inbound-audio-processor', InboundAudioProcessor);
\ No newline at end of file
+
+registerProcessor('inbound-audio-processor', InboundAudioProcessor);
@@ -1,93 +1,163 @@
-const BIAS = 0x84;
-const CLIP = 32635;
-
-const encodeTable = [
-    0,0,1,1,2,2,2,2,3,3,3,3,3,3,3,3,
-    4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,
-    5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,
-    5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,
-    6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,
-    6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,
-    6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,
-    6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,
-    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
-    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
-    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
-    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
-    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
-    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
-    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,
-    7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7
-];
-
-const decodeTable = [0,132,396,924,1980,4092,8316,16764];
-
-function encodeSample16(sample16) {
-    let sign;
-    let exponent;
-    let mantissa;
-    let muLawSample;
-    sign = (sample16 >> 8) & 0x80;
-    if (sign != 0) sample16 = -sample16;
-    sample16 = sample16 + BIAS;
-    if (sample16 > CLIP) sample16 = CLIP;
-    exponent = encodeTable[(sample16>>7) & 0xFF];
-    mantissa = (sample16 >> (exponent+3)) & 0x0F;
-    muLawSample = ~(sign | (exponent << 4) | mantissa);
-    return muLawSample;
-}
+import { RingBuffer } from "./ring-buffer.js";
+import { Resampler } from "./resampler.js";
+import { getCodec, getSample16 } from "./codec.js";
+import { AudioCleanup, toDb } from "./audio-cleanup.js";
+import { VoiceActivityDetector, onsetFrames } from "./voice-activity.js";
 
-function getSample16(sample32) {
-    const buffer = new Int16Array(1);
-
-    if (sample32 > 0) {
-        buffer[0] = sample32 * 32767.0;
-    }
-    else {
-        buffer[0] = sample32 * 32768.0;
-    }
-
-    return buffer[0];
-}
+const networkSampleRate = 8000;         // Sample rate of OutboundAudio packets.
+const defaultFormat = "pcm16be";        // Format of OutboundAudio packets unless processorOptions.format says otherwise.
+const packetSampleCount = 160;          // Samples per OutboundAudio packet (20 ms at 8 kHz).
+const captureCapacity = 4096;           // Samples of the capture ring buffer.
+const levelsIntervalSeconds = 0.1;      // How often cleanup levels are posted to the main thread.
+const prerollPackets = onsetFrames + 1; // Suppressed packets sent when speech starts: the onset frames and one before.
 
 class OutboundAudioProcessor extends AudioWorkletProcessor {
-    constructor (...args) {
-        super(...args);
+    _resampler = new Resampler(sampleRate, networkSampleRate); // From the context's rate to the network's.
+    _capture = new RingBuffer(captureCapacity, Int16Array); // Captured samples not yet sent.
+    _resampled = new Float32Array(this._resampler.maxOutputLength(128)); // The current render quantum at 8 kHz.
+    _samples16 = new Int16Array(this._resampled.length);    // The same as 16-bit samples.
+    _packet = new Int16Array(packetSampleCount);            // Samples of the packet being sent.
+    _cleaned = new Float32Array(128);                       // The current render quantum after cleanup.
+    _beforeSquares = 0;                                     // Sum of squared samples before cleanup, since levels were last posted.
+    _afterSquares = 0;                                      // The same after cleanup.
+    _levelsSampleCount = 0;                                 // Samples in those sums.
+    _lastLevelsTime = 0;                                    // When levels were last posted.
+    _voiceActivity = new VoiceActivityDetector();           // Whether the agent is speaking.
+    _suppressedPackets = 0;                                 // Packets not sent because the agent was silent.
+    _prerollCount = 0;                                      // Suppressed packets held in _preroll.
+
+    constructor (options) {
+        super(options);
+        const format = options && options.processorOptions && options.processorOptions.format;
+        this._codec = getCodec(format || defaultFormat); // Encodes OutboundAudio packets; see codec.js.
+        this._buffer = new Uint8Array(packetSampleCount * this._codec.bytesPerSample); // The encoded packet.
+        this._preroll = Array.from({ length: prerollPackets }, () => new Uint8Array(this._buffer.length)); // The last suppressed packets, by sequence number modulo prerollPackets.
+        this._cleanup = new AudioCleanup(sampleRate, (options && options.processorOptions && options.processorOptions.cleanup) || {});
+        this._suppressSilence = Boolean(options && options.processorOptions && options.processorOptions.suppressSilence); // Whether packets are only sent while the agent speaks.
         this._sequenceNumber = 0;
+        this.port.onmessage = this.handleMessage.bind(this);
         this.process = this.process.bind(this);
     }
 
-    process(inputs, _, __) {
+    // Turns cleanup stages on and off: { type: "AudioCleanup", settings },
+    // and silence suppression: { type: "SuppressSilence", enabled }.
+    handleMessage(event) {
+        if (event.data.type === "AudioCleanup") {
+            this._cleanup.configure(event.data.settings);
+        }
+        else if (event.data.type === "SuppressSilence") {
+            this._suppressSilence = Boolean(event.data.enabled);
+        }
+    }
+
+    process(inputs, outputs, __) {
         const samples32 = inputs[0][0] // There's one microphone but two channels WTF?
 
         if (!samples32) {
             return true;
         }
 
-        const buffer = new Uint8Array(samples32.length * 2);
-        const samples16 = new Int16Array(samples32.length);
-            
-        for (let sampleIndex = 0; sampleIndex < samples32.length; sampleIndex++) {
-            const byteIndex = sampleIndex * 2;
+        // Clean up the microphone audio, and play the result on the output
+        // so it can be monitored.
+        if (this._cleaned.length !== samples32.length) {
+            this._cleaned = new Float32Array(samples32.length);
+        }
+        const cleaned = this._cleaned;
+        cleaned.set(samples32);
+        this._cleanup.process(cleaned);
+        outputs[0].forEach(channel => channel.set(cleaned));
+        this.postLevels(samples32, cleaned);
+
+        // The context runs at the device's rate; packets are always 8 kHz.
+        const maxOutputLength = this._resampler.maxOutputLength(cleaned.length);
+        if (this._resampled.length < maxOutputLength) {
+            this._resampled = new Float32Array(maxOutputLength);
+            this._samples16 = new Int16Array(maxOutputLength);
+        }
+        const resampledCount = this._resampler.process(cleaned, this._resampled);
 
-            // Convert from 32-bit float to 16-bit signed integer.
-            const sample16 = getSample16(samples32[sampleIndex]);
-            samples16[sampleIndex] = sample16;
+        for (let sampleIndex = 0; sampleIndex < resampledCount; sampleIndex++) {
+            this._samples16[sampleIndex] = getSample16(this._resampled[sampleIndex]);
+        }
+        this._capture.write(this._samples16, resampledCount);
 
-            // Write to buffer in big-endian byte order for network transmission.
-            buffer[byteIndex] = getHighOrderByte(sample16);
-            buffer[byteIndex + 1] = getLowOrderByte(sample16);
+        while (this._capture.length >= packetSampleCount) {
+            this.postPacket();
         }
 
+        return true;
+    }
+
+    // Measures the level before and after cleanup, and reports it to the
+    // main thread: { type: "AudioCleanupLevels", beforeDb, afterDb, gainDb, gateOpen }.
+    postLevels(before, after) {
+        for (let sampleIndex = 0; sampleIndex < before.length; sampleIndex++) {
+            this._beforeSquares += before[sampleIndex] * before[sampleIndex];
+            this._afterSquares += after[sampleIndex] * after[sampleIndex];
+        }
+        this._levelsSampleCount += before.length;
+
+        if (currentTime - this._lastLevelsTime < levelsIntervalSeconds) {
+            return;
+        }
+        this._lastLevelsTime = currentTime;
+
+        this.port.postMessage({
+            type: "AudioCleanupLevels",
+            beforeDb: Math.max(Math.round(toDb(Math.sqrt(this._beforeSquares / this._levelsSampleCount))), -100),
+            afterDb: Math.max(Math.round(toDb(Math.sqrt(this._afterSquares / this._levelsSampleCount))), -100),
+            gainDb: Math.round(this._cleanup.gainDb),
+            gateOpen: this._cleanup.gateOpen
+        });
+        this._beforeSquares = 0;
+        this._afterSquares = 0;
+        this._levelsSampleCount = 0;
+    }
+
+    // Sends one packet from the capture buffer. While silence is suppressed,
+    // packets are only sent while the agent speaks, starting with the last
+    // prerollPackets packets before speaking was detected, so the start of
+    // the first word is not cut off; sequence numbers still count every packet.
+    postPacket() {
+        const packet = this._packet;
+        const buffer = this._buffer;
+        this._capture.read(packet, packetSampleCount);
+
+        this._codec.encode16(packet, buffer, packetSampleCount);
+
+        const wasSpeaking = this._voiceActivity.speaking;
+        const speaking = this._voiceActivity.process(packet, packetSampleCount, 1 / 32768);
+        if (speaking !== wasSpeaking) {
+            this.port.postMessage({ type: "VoiceActivity", speaking, suppressedPackets: this._suppressedPackets });
+        }
+
+        if (this._suppressSilence && !speaking) {
+            if (this._prerollCount === prerollPackets) {
+                this._suppressedPackets += 1; // The oldest pre-roll packet is never sent.
+            }
+            else {
+                this._prerollCount += 1;
+            }
+            this._preroll[this._sequenceNumber % prerollPackets].set(buffer);
+            this._sequenceNumber += 1;
+            return;
+        }
+
+        for (let i = this._prerollCount; i > 0; i--) {
+            const sequenceNumber = this._sequenceNumber - i;
+            this.port.postMessage({ buffer: this._preroll[sequenceNumber % prerollPackets], sequenceNumber });
+        }
+        this._prerollCount = 0;
+
         if (this._sequenceNumber % 1000 === 0){
             console.log(this._sequenceNumber, "out", "bytes    ", buffer.join(","));
-            console.log(this._sequenceNumber, "out", "samples16", samples16.join(","));
+            console.log(this._sequenceNumber, "out", "samples16", packet.join(","));
         }
 
+        // postMessage() copies the buffer, so it can be reused for the next packet.
         this.port.postMessage({ buffer, sequenceNumber: this._sequenceNumber });
         this._sequenceNumber += 1;
-        return true;
     }
 }
 
-registerProcessor('outbound-audio-processor', OutboundAudioProcessor);
\ No newline at end of file
+registerProcessor('outbound-audio-processor', OutboundAudioProcessor);
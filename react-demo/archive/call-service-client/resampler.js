@@ -0,0 +1,124 @@
+// Converts a stream of samples from one sample rate to another.
+//
+// A polyphase windowed-sinc resampler: the rates are reduced to a ratio of
+// integers L/M, and each output sample is the input convolved with one of L
+// phases of a Blackman-windowed sinc low-pass filter. The filter cuts off
+// below the Nyquist frequency of the lower rate, so downsampling does not
+// alias and upsampling does not image. State is kept between calls, so a
+// stream can be resampled one block at a time, and nothing is allocated
+// after construction unless a block is larger than any block before it.
+
+const zeroCrossings = 16;   // Sinc zero crossings on each side of the centre, at the lower rate.
+const rolloff = 0.9;        // Cutoff as a fraction of the lower rate's Nyquist frequency.
+
+function greatestCommonDivisor(a, b) {
+    while (b !== 0) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+function sinc(x) {
+    return x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+export class Resampler {
+    constructor (inputRate, outputRate) {
+        const divisor = greatestCommonDivisor(Math.round(inputRate), Math.round(outputRate));
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        this._up = Math.round(outputRate) / divisor;    // L: interpolation factor.
+        this._down = Math.round(inputRate) / divisor;   // M: decimation factor.
+        this._position = 0;                             // Next output, in input samples times L.
+
+        // Taps per phase, enough for zeroCrossings at the lower rate.
+        this._taps = 2 * zeroCrossings * Math.max(1, Math.ceil(this._down / this._up));
+        this._phases = this._createPhases();
+        this._history = new Float32Array(this._taps - 1 + 128); // Last taps - 1 inputs, then the block.
+    }
+
+    get passthrough() {
+        return this._up === this._down;
+    }
+
+    // The most output samples a block of inputLength samples can produce.
+    maxOutputLength(inputLength) {
+        return Math.ceil(inputLength * this._up / this._down) + 1;
+    }
+
+    reset() {
+        this._position = 0;
+        this._history.fill(0);
+    }
+
+    // Resamples a block of input into output, continuing from the previous
+    // block. Returns the number of output samples written.
+    process(input, output) {
+        if (this.passthrough) {
+            output.set(input);
+            return input.length;
+        }
+
+        const taps = this._taps;
+        const up = this._up;
+        const down = this._down;
+        const phases = this._phases;
+
+        if (this._history.length < taps - 1 + input.length) {
+            const history = new Float32Array(taps - 1 + input.length);
+            history.set(this._history.subarray(0, taps - 1));
+            this._history = history;
+        }
+        const history = this._history;
+        history.set(input, taps - 1);
+
+        // Output n uses the input around position / L, with phase position % L.
+        let outputCount = 0;
+        let position = this._position;
+        while (position < input.length * up) {
+            const inputIndex = Math.floor(position / up);
+            const phaseStart = (position - inputIndex * up) * taps;
+            const end = inputIndex + taps - 1; // history index of the newest input used.
+
+            let sum = 0;
+            for (let tap = 0; tap < taps; tap++) {
+                sum += phases[phaseStart + tap] * history[end - tap];
+            }
+
+            output[outputCount] = sum;
+            outputCount += 1;
+            position += down;
+        }
+
+        this._position = position - input.length * up;
+        history.copyWithin(0, input.length, input.length + taps - 1);
+        return outputCount;
+    }
+
+    // Splits the prototype low-pass filter into L phases of _taps
+    // coefficients. Each phase is normalised to unity gain at DC.
+    _createPhases() {
+        const up = this._up;
+        const taps = this._taps;
+        const length = up * taps;
+        const centre = (length - 1) / 2;
+        const cutoff = rolloff * Math.min(this.inputRate, this.outputRate) / (2 * this.inputRate * up);
+        const phases = new Float32Array(length);
+
+        for (let phase = 0; phase < up; phase++) {
+            let sum = 0;
+            for (let tap = 0; tap < taps; tap++) {
+                const index = phase + tap * up;
+                const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * index / (length - 1)) + 0.08 * Math.cos(4 * Math.PI * index / (length - 1));
+                const coefficient = 2 * cutoff * sinc(2 * cutoff * (index - centre)) * window;
+                phases[phase * taps + tap] = coefficient;
+                sum += coefficient;
+            }
+            for (let tap = 0; tap < taps; tap++) {
+                phases[phase * taps + tap] /= sum;
+            }
+        }
+
+        return phases;
+    }
+}
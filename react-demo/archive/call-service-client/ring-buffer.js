@@ -0,0 +1,64 @@
+// A fixed-size FIFO of samples backed by one preallocated typed array.
+//
+// Writes and reads copy whole runs of samples with TypedArray.set() instead
+// of moving one sample at a time, and nothing is allocated after
+// construction, so it is safe to use inside AudioWorkletProcessor.process().
+export class RingBuffer {
+    constructor (capacity, ArrayType = Float32Array) {
+        this._data = new ArrayType(capacity);   // The samples.
+        this._readIndex = 0;                    // Where the next read starts.
+        this._length = 0;                       // Number of samples stored.
+    }
+
+    get capacity() {
+        return this._data.length;
+    }
+
+    // Number of samples that can be read.
+    get length() {
+        return this._length;
+    }
+
+    // Number of samples that can be written.
+    get available() {
+        return this._data.length - this._length;
+    }
+
+    clear() {
+        this._readIndex = 0;
+        this._length = 0;
+    }
+
+    // Appends as many of the samples as fit. Returns the number written.
+    write(samples, count = samples.length) {
+        const capacity = this._data.length;
+        const writeCount = Math.min(count, capacity - this._length);
+        const writeIndex = (this._readIndex + this._length) % capacity;
+        const firstRun = Math.min(writeCount, capacity - writeIndex);
+
+        this._data.set(samples.subarray(0, firstRun), writeIndex);
+        if (firstRun < writeCount) {
+            this._data.set(samples.subarray(firstRun, writeCount), 0);
+        }
+
+        this._length += writeCount;
+        return writeCount;
+    }
+
+    // Moves up to count samples into target, starting at target[offset].
+    // Returns the number read.
+    read(target, count = target.length, offset = 0) {
+        const capacity = this._data.length;
+        const readCount = Math.min(count, this._length);
+        const firstRun = Math.min(readCount, capacity - this._readIndex);
+
+        target.set(this._data.subarray(this._readIndex, this._readIndex + firstRun), offset);
+        if (firstRun < readCount) {
+            target.set(this._data.subarray(0, readCount - firstRun), offset + firstRun);
+        }
+
+        this._readIndex = (this._readIndex + readCount) % capacity;
+        this._length -= readCount;
+        return readCount;
+    }
+}
@@ -0,0 +1,93 @@
+// Detects speech in a stream of audio frames.
+//
+// Each frame (a packet, 20 ms at 8 kHz) is classified by its energy and its
+// zero-crossing rate. A frame is speech when its energy is well above the
+// background noise level (the quietest frame of the last two seconds, as
+// there are always pauses between syllables), and it crosses zero at the
+// rate of voiced speech rather than hiss; much louder frames count whatever
+// their zero-crossing rate, so fricatives are not cut off. Speaking
+// starts after a few speech frames in a row and stops after a hangover, so
+// single clicks do not register and words are not clipped at the end.
+//
+// Nothing is allocated, so it is safe to use inside
+// AudioWorkletProcessor.process().
+
+const noiseWindowFrames = 100;          // Frames the background level is the minimum of.
+const speechMarginDb = 9;               // Speech is this far above the background level.
+const minSpeechDb = -50;                // ... and never quieter than this.
+const loudSpeechMarginDb = 10;          // This far above that, any frame counts.
+const maxZeroCrossingRate = 0.35;       // Crossings per sample above this are noise.
+export const onsetFrames = 2;           // Speech frames in a row before speaking starts.
+const hangoverFrames = 15;              // Silent frames in a row before speaking stops.
+
+export class VoiceActivityDetector {
+    _energies = new Float32Array(noiseWindowFrames).fill(Infinity); // Energy of recent frames, in dB.
+    _energyIndex = 0;           // Where the next frame's energy is stored.
+    _speechFrames = 0;          // Speech frames in a row.
+    _silentFrames = 0;          // Silent frames in a row.
+
+    speaking = false;
+    energyDb = -Infinity;       // Energy of the last frame.
+
+    reset() {
+        this._energies.fill(Infinity);
+        this._energyIndex = 0;
+        this._speechFrames = 0;
+        this._silentFrames = 0;
+        this.speaking = false;
+        this.energyDb = -Infinity;
+    }
+
+    // Ends speaking straight away, for when the audio stops altogether.
+    stop() {
+        this._speechFrames = 0;
+        this.speaking = false;
+    }
+
+    // Classifies the next frame. Samples are scaled by scale to full scale
+    // 1 (pass 1 / 32768 for 16-bit samples). Returns whether the participant
+    // is speaking.
+    process(samples, count = samples.length, scale = 1) {
+        let squares = 0;
+        let crossings = 0;
+        for (let i = 0; i < count; i++) {
+            squares += samples[i] * samples[i];
+            if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+                crossings += 1;
+            }
+        }
+
+        const energyDb = squares > 0 ? 10 * Math.log10(squares * scale * scale / count) : -100;
+        const zeroCrossingRate = count > 1 ? crossings / (count - 1) : 0;
+        this.energyDb = energyDb;
+
+        // This frame counts too, so the first frame is taken as background.
+        let noiseDb = energyDb;
+        for (let i = 0; i < this._energies.length; i++) {
+            noiseDb = Math.min(noiseDb, this._energies[i]);
+        }
+        this._energies[this._energyIndex] = energyDb;
+        this._energyIndex = (this._energyIndex + 1) % this._energies.length;
+
+        const thresholdDb = Math.max(noiseDb + speechMarginDb, minSpeechDb);
+        const isSpeech = energyDb > thresholdDb &&
+            (zeroCrossingRate < maxZeroCrossingRate || energyDb > thresholdDb + loudSpeechMarginDb);
+
+        if (isSpeech) {
+            this._speechFrames += 1;
+            this._silentFrames = 0;
+            if (this._speechFrames >= onsetFrames) {
+                this.speaking = true;
+            }
+        }
+        else {
+            this._speechFrames = 0;
+            this._silentFrames += 1;
+            if (this._silentFrames > hangoverFrames) {
+                this.speaking = false;
+            }
+        }
+
+        return this.speaking;
+    }
+}
@@ -1,3 +1,30 @@
+import { getCodec } from "../call-service-client/codec.js";
+
+// Codecs by WAV format tag and bits per sample.
+const wavFormats = {
+    "1/16": "pcm16le",
+    "6/8": "alaw",
+    "7/8": "mulaw"
+};
+
+// Finds a chunk of a RIFF file by its four character id.
+function findChunk(dataView, id) {
+    let offset = 12;
+
+    while (offset + 8 <= dataView.byteLength) {
+        const chunkId = String.fromCharCode(...new Uint8Array(dataView.buffer, offset, 4));
+        const size = dataView.getUint32(offset + 4, true);
+
+        if (chunkId === id) {
+            return { offset: offset + 8, size: Math.min(size, dataView.byteLength - offset - 8) };
+        }
+
+        offset += 8 + size + (size % 2); // Chunks are padded to an even size.
+    }
+
+    throw new Error("WAV file has no " + id + " chunk.");
+}
+
 function handleFileReaderLoad(event) {
     const dataView = new DataView(event.target.result);
     const format = dataView.getInt32(8);
@@ -6,42 +33,37 @@ function handleFileReaderLoad(event) {
         throw new Error("File is not a WAV file.");
     }
 
-    const channels = dataView.getInt16(22, true);
-    const sampleRate = dataView.getInt32(24, true);
-    const bitsPerSample = dataView.getInt16(34, true);
+    const fmt = findChunk(dataView, "fmt ");
+    const data = findChunk(dataView, "data");
+    const formatTag = dataView.getUint16(fmt.offset, true);
+    const channels = dataView.getInt16(fmt.offset + 2, true);
+    const sampleRate = dataView.getInt32(fmt.offset + 4, true);
+    const bitsPerSample = dataView.getInt16(fmt.offset + 14, true);
 
+    console.log("formatTag", formatTag);
     console.log("sampleRate", sampleRate);
     console.log("bitsPerSample", bitsPerSample);
     console.log("channels", channels);
 
-    if (bitsPerSample == 16) {
-        const samples16 = new Int16Array(dataView.buffer.slice(44));
-        console.log("samples", samples16.length);
-        loadSample16(sampleRate, channels, samples16);
+    const bytes = new Uint8Array(dataView.buffer, data.offset, data.size);
+
+    if (formatTag == 3 && bitsPerSample == 32) {
+        const samples32 = new Float32Array(dataView.buffer.slice(data.offset, data.offset + data.size - (data.size % 4)));
+        console.log("samples", samples32.length);
+        loadSample32(sampleRate, channels, samples32);
     }
-    else if (bitsPerSample == 32) {
-        const samples32 = new Float32Array(dataView.buffer.slice(44));
+    else if ((formatTag + "/" + bitsPerSample) in wavFormats) {
+        const codec = getCodec(wavFormats[formatTag + "/" + bitsPerSample]);
+        const samples32 = new Float32Array(Math.floor(bytes.length / codec.bytesPerSample));
+        codec.decode(bytes, samples32, samples32.length);
         console.log("samples", samples32.length);
         loadSample32(sampleRate, channels, samples32);
     }
     else {
-        alert("Unsupported bit rate.");
+        alert("Unsupported WAV format.");
     }
 }
 
-function loadSample16(sampleRate, channels, samples16) {
-    console.log("samples16", samples16.slice(8448, 8548));
-
-    const samples32 = new Float32Array(samples16.byteLength / 2);
-
-    for (let i = 0; i < samples16.length; i++) {
-        const integerSample = samples16[i];
-        samples32[i] = integerSample > 0 ? integerSample / 32767.0 : integerSample / 32768.0;
-    }
-    
-    loadSample32(sampleRate, channels, samples32);
-}
-
 function loadSample32(sampleRate, channels, samples32) {
     console.log("samples32", samples32.slice(8448, 8548));
 
@@ -10,7 +10,8 @@ async function createOutboundAudioContextAsync() {
         return;
     }
     
-    outboundAudioContext = new AudioContext({ sampleRate: 8000, channels: 1 });
+    // Run at the device's rate; the worklet resamples the microphone to 8 kHz.
+    outboundAudioContext = new AudioContext();
 
     await outboundAudioContext.audioWorklet.addModule("outbound-audio-processor.js");
     workletNode = new AudioWorkletNode(outboundAudioContext, 'outbound-audio-processor');
@@ -18,8 +19,6 @@ async function createOutboundAudioContextAsync() {
     
     const mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
     const sourceNode = outboundAudioContext.createMediaStreamSource(mediaStream);
-    const sampleRateParam = workletNode.parameters.get('sampleRate');
-    sampleRateParam.setValueAtTime(mediaStream.getAudioTracks()[0].getSettings().sampleRate, outboundAudioContext.currentTime);
     sourceNode.connect(workletNode);
 }
 
@@ -1,25 +1,13 @@
-function getSample16(sample32) {
-    const buffer = new Int16Array(1);
+import { Resampler } from "../call-service-client/resampler.js";
+import { getCodec } from "../call-service-client/codec.js";
 
-    if (sample32 > 0) {
-        buffer[0] = sample32 * 32767.0;
-    }
-    else {
-        buffer[0] = sample32 * 32768.0;
-    }
-
-    return buffer[0];
-}
-
-function getHighOrderByte(sample16) {
-    return (sample16 >> 8) & 0xff;
-}
-
-function getLowOrderByte(sample16) {
-    return sample16 & 0xff;
-}
+const networkSampleRate = 8000; // Sample rate of the recorded samples.
+const codec = getCodec("pcm16be"); // Format of the recorded samples.
 
 class OutboundAudioProcessor extends AudioWorkletProcessor {
+    _resampler = new Resampler(sampleRate, networkSampleRate); // From the context's rate to 8 kHz.
+    _resampled = new Float32Array(this._resampler.maxOutputLength(128)); // The current render quantum at 8 kHz.
+
     constructor (...args) {
         super(...args);
         this.process = this.process.bind(this);
@@ -32,18 +20,16 @@ class OutboundAudioProcessor extends AudioWorkletProcessor {
             return true;
         }
 
-        const buffer = new Uint8Array(samples32.length * 2);
-            
-        for (let sampleIndex = 0; sampleIndex < samples32.length; sampleIndex++) {
-            const byteIndex = sampleIndex * 2;
-
-            // Convert from 32-bit float to 16-bit signed integer.
-            const sample16 = getSample16(samples32[sampleIndex]);
-
-            // Write to buffer in big-endian byte order for network transmission.
-            buffer[byteIndex] = getHighOrderByte(sample16);
-            buffer[byteIndex + 1] = getLowOrderByte(sample16);
+        // The context runs at the device's rate; record at 8 kHz.
+        const maxOutputLength = this._resampler.maxOutputLength(samples32.length);
+        if (this._resampled.length < maxOutputLength) {
+            this._resampled = new Float32Array(maxOutputLength);
         }
+        const resampledCount = this._resampler.process(samples32, this._resampled);
+
+        // Write to buffer in big-endian byte order for network transmission.
+        const buffer = new Uint8Array(resampledCount * codec.bytesPerSample);
+        codec.encode(this._resampled, buffer, resampledCount);
 
         this.port.postMessage({ buffer: buffer });
         return true;
@@ -1,5 +1,5 @@
 import './softphone.css';
-import { useState, useEffect, MouseEvent, FormEvent, ChangeEvent } from 'react';
+import { useState, useEffect, useRef, MouseEvent, FormEvent, ChangeEvent } from 'react';
 import CallService, { Conversation } from "@outbound-ai/softphone";
 
 const serviceUri = process.env.REACT_APP_SERVICE_URI ?? "ws://localhost:5001";
@@ -22,6 +22,7 @@ function App() {
   const [_speechMessage, _setSpeechMessage] = useState("");
   const [_transcript, _setTranscript] = useState(new Array<IMessage>());
   const [_participants, _setParticipants] = useState({} as Record<string, string>);
+  const _transcriptRef = useRef<HTMLDivElement>(null);
 
   useEffect(() => {
     if (_conversation) {
@@ -38,14 +39,22 @@ function App() {
         _setParticipants({});
       }
 
-      // New messages can arrive at any time.
+      // New messages can arrive at any time. They are appended so the
+      // transcript reads oldest to newest, like the JavaScript demo.
       _conversation.onTranscriptAvailable = (participantId, participantType, text) => {
         const message = { participantId, participantType, text }
-        const transcript = [message].concat(_transcript);
-        _setTranscript(transcript);
+        _setTranscript((transcript) => transcript.concat([message]));
       };
     }
-  }, [_conversation, _transcript]);
+  }, [_conversation]);
+
+  // Keep the newest message in view.
+  useEffect(() => {
+    const transcript = _transcriptRef.current;
+    if (transcript) {
+      transcript.scrollTop = transcript.scrollHeight;
+    }
+  }, [_transcript]);
 
   async function handleClickConnectAsync(event: MouseEvent) {
     event.stopPropagation();
@@ -123,7 +132,7 @@ function App() {
         <button onClick={handleHangup} disabled={!(_conversation && _connected)}>hangup</button>
       </div>
 
-      <div id="transcript">
+      <div id="transcript" ref={_transcriptRef}>
         {_transcript.map(function (message, index) {
           return <div className="transcript" key={index}>
             <div>